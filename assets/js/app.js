@@ -4,25 +4,47 @@
 const AppController = {
     // Application state
     _isInitialized: false,
+    _savedData: null,
 
     /**
      * Initialize the application
+     * @returns {Promise} Resolves when the app is ready
      */
-    init() {
+    async init() {
         if (this._isInitialized) return;
 
+        // Register the service worker first, so the app works offline even if loading data fails
+        OfflineModule.init();
+
         try {
-            // Load data from storage
-            const data = StorageManager.loadData();
+            // Open storage (migrating old localStorage data) and load data
+            await StorageManager.init();
+            const data = await StorageManager.loadData();
 
             // Initialize modules
             ExpenseManager.init(data);
-            StatisticsModule.init(data.settings);
+            RecurringModule.init(data.recurring);
+            CurrencyModule.init(data);
+            SplitModule.init(data.settlements);
+            GoalModule.init(data);
+            const postedRecurring = this._postDueRecurringExpenses();
+            PeriodModule.init(data.periods, data.activePeriodId);
+            StatisticsModule.init({ ...data.settings, ...PeriodModule.getBudgetSettings() });
             CalendarModule.init(ExpenseManager.getExpenses());
             ModalModule.init();
+            ChartModule.init();
+            ReportModule.init();
+            CsvImportModule.init();
+            ImportDialogModule.init();
+            SearchModule.init();
+            QuickAddModule.init();
+            CategoryModule.init();
+            CategoryRuleModule.init(data.categoryRules);
+            HistoryModule.init(StorageManager.loadHistory());
+            AlertModule.init(StorageManager.loadAlerts());
 
-            // Set up UI with saved settings
-            this._populateFormFields(data.settings);
+            // Set up UI with the active period
+            this._populateFormFields(PeriodModule.getActivePeriod());
             this._updateCategoryDatalist();
 
             // Bind event listeners
@@ -31,11 +53,28 @@ const AppController = {
             // Initial render
             this._updateDisplay();
 
+            // Persist recurring expenses posted on startup and data that was migrated or repaired
+            // (this also takes the snapshot the first undo step is compared with)
+            const loadReport = StorageManager.getLoadReport();
+            const isUpgraded = loadReport && (loadReport.migrations.length > 0 || SchemaManager.hasIssues(loadReport));
+            if (postedRecurring > 0 || isUpgraded) {
+                this._saveData(null);
+            } else {
+                this._savedData = this._getCurrentData();
+            }
+
+            if (loadReport && SchemaManager.hasIssues(loadReport)) {
+                console.warn('Saved data was repaired on load:', loadReport);
+                this._showError(CONFIG.MESSAGES.SCHEMA_LOAD_REPORT
+                    .replace('{repaired}', loadReport.repaired.length)
+                    .replace('{rejected}', loadReport.rejected.length));
+            }
+
             this._isInitialized = true;
             console.log('Expense Tracker initialized successfully');
         } catch (error) {
             console.error('Error initializing application:', error);
-            this._showError(CONFIG.MESSAGES.APP_ERROR);
+            this._showError(error.message || CONFIG.MESSAGES.APP_ERROR);
         }
     },
 
@@ -51,16 +90,42 @@ const AppController = {
                 alert(CONFIG.MESSAGES.VALIDATION_ERROR);
                 return;
             }
+            this._checkExchangeRate(expenseData.currency, expenseData.date);
 
             // Add expense through manager
             ExpenseManager.addExpense(expenseData);
 
             // Clear form
             this._clearExpenseForm();
+            SplitModule.clearForm();
+
+            // Update UI
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.ADD_EXPENSE);
+
+            console.log('Expense added successfully');
+        } catch (error) {
+            console.error('Error adding expense:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Add an expense confirmed in the quick-add preview
+     * @param {object} expenseData - Parsed expense { description, amount, category, date }
+     */
+    quickAddExpense(expenseData) {
+        try {
+            ExpenseManager.addExpense({
+                ...expenseData,
+                type: CONFIG.ENTRY_TYPES.EXPENSE,
+                currency: CurrencyModule.getBaseCurrency()
+            });
+            QuickAddModule.clear();
 
             // Update UI
             this._updateDisplay();
-            this._saveData();
+            this._saveData(CONFIG.HISTORY_LABELS.ADD_EXPENSE);
 
             console.log('Expense added successfully');
         } catch (error) {
@@ -75,10 +140,6 @@ const AppController = {
      */
     deleteExpense(id) {
         try {
-            if (!confirm(CONFIG.MESSAGES.DELETE_CONFIRM)) {
-                return;
-            }
-
             // Get expense date before deletion for modal refresh
             const expense = ExpenseManager.getExpenseById(id);
             const expenseDate = expense ? expense.date : null;
@@ -93,13 +154,16 @@ const AppController = {
 
             // Update UI
             this._updateDisplay();
-            this._saveData();
+            this._saveData(CONFIG.HISTORY_LABELS.DELETE_EXPENSE);
 
             // Refresh modal if it's open
             if (expenseDate && ModalModule.getCurrentState().isVisible) {
                 ModalModule.show(expenseDate, ModalModule.getCurrentState().category);
             }
 
+            // No confirmation: the deletion can be undone from the toast
+            HistoryModule.showToast(CONFIG.MESSAGES.EXPENSE_DELETED);
+
             console.log('Expense deleted successfully');
         } catch (error) {
             console.error('Error deleting expense:', error);
@@ -107,6 +171,39 @@ const AppController = {
         }
     },
 
+    /**
+     * Update an existing expense
+     * @param {number} id - Expense ID
+     * @param {object} updateData - Fields to update
+     */
+    updateExpense(id, updateData) {
+        try {
+            const expense = ExpenseManager.getExpenseById(id);
+            if (expense && updateData.currency) {
+                this._checkExchangeRate(updateData.currency, updateData.date || expense.date);
+            }
+
+            const updated = ExpenseManager.updateExpense(id, updateData);
+
+            if (!updated) {
+                alert(CONFIG.MESSAGES.NO_EXPENSE_TO_EDIT);
+                return;
+            }
+
+            // Update UI
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.UPDATE_EXPENSE);
+
+            // Leave edit mode and refresh the open modal
+            ModalModule.cancelEdit();
+
+            console.log('Expense updated successfully');
+        } catch (error) {
+            console.error('Error updating expense:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
     /**
      * Show daily expenses modal
      * @param {string} dateStr - Date string in YYYY-MM-DD format
@@ -122,17 +219,81 @@ const AppController = {
     },
 
     /**
-     * Navigate calendar to previous month
+     * Undo the last data change
+     */
+    undo() {
+        try {
+            const result = HistoryModule.undo(this._getCurrentData());
+            if (!result) return;
+
+            this._applyHistoryStep(result.data);
+            HistoryModule.hideToast();
+            console.log(`Undone: ${result.label}`);
+        } catch (error) {
+            console.error('Error undoing change:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Redo the last undone data change
+     */
+    redo() {
+        try {
+            const result = HistoryModule.redo(this._getCurrentData());
+            if (!result) return;
+
+            this._applyHistoryStep(result.data);
+            console.log(`Redone: ${result.label}`);
+        } catch (error) {
+            console.error('Error redoing change:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Move the calendar to a date and open its expenses
+     * @param {string} dateStr - Date string in YYYY-MM-DD format
+     */
+    jumpToDate(dateStr) {
+        CalendarModule.setCurrentDate(Utils.parseDateString(dateStr));
+        this.showDailyExpenses(dateStr);
+    },
+
+    /**
+     * Prefill the add-expense form with a date and move focus to it
+     * @param {string} dateStr - Date string in YYYY-MM-DD format
+     */
+    prepareExpenseForDate(dateStr) {
+        $('#expenseDate').val(dateStr);
+        ModalModule.hide();
+
+        const $description = $('#expenseDescription');
+        if ($description[0] && $description[0].scrollIntoView) {
+            $description[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        $description.focus();
+    },
+
+    /**
+     * Navigate calendar to previous month (week or year in those views)
      */
     previousMonth() {
-        CalendarModule.previousMonth();
+        CalendarModule.previous();
     },
 
     /**
-     * Navigate calendar to next month
+     * Navigate calendar to next month (week or year in those views)
      */
     nextMonth() {
-        CalendarModule.nextMonth();
+        CalendarModule.next();
+    },
+
+    /**
+     * Navigate calendar to today
+     */
+    goToToday() {
+        CalendarModule.goToToday();
     },
 
     /**
@@ -143,13 +304,7 @@ const AppController = {
             const data = this._getCurrentData();
             const blob = StorageManager.exportData(data);
 
-            // Create download link
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${CONFIG.EXPORT_FILE_PREFIX}${Utils.getTodayString()}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
+            this._downloadBlob(blob, `${CONFIG.EXPORT_FILE_PREFIX}${Utils.getTodayString()}.json`);
 
             console.log('Data exported successfully');
         } catch (error) {
@@ -159,7 +314,38 @@ const AppController = {
     },
 
     /**
-     * Import data from JSON file
+     * Export the filtered expense list to CSV
+     */
+    exportExpensesCsv() {
+        try {
+            const rows = CsvExportModule.buildExpenseRows(CsvExportModule.getFilters());
+            this._downloadBlob(CsvUtils.toBlob(rows), `${CONFIG.EXPORT_FILE_PREFIX}${Utils.getTodayString()}.csv`);
+
+            console.log('Expenses exported to CSV successfully');
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            alert(CONFIG.MESSAGES.EXPORT_ERROR);
+        }
+    },
+
+    /**
+     * Export per-day and per-category summaries of the active period to CSV
+     */
+    exportSummaryCsv() {
+        try {
+            const period = PeriodModule.getActivePeriod();
+            const rows = CsvExportModule.buildSummaryRows(period);
+            this._downloadBlob(CsvUtils.toBlob(rows), `${CONFIG.EXPORT_FILE_PREFIX}summary-${period.startDate}.csv`);
+
+            console.log('Summary exported to CSV successfully');
+        } catch (error) {
+            console.error('Error exporting summary CSV:', error);
+            alert(CONFIG.MESSAGES.EXPORT_ERROR);
+        }
+    },
+
+    /**
+     * Import data from JSON file (opens the merge / overwrite dialog)
      * @param {Event} event - File input change event
      */
     importData(event) {
@@ -169,45 +355,587 @@ const AppController = {
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                if (!confirm(CONFIG.MESSAGES.IMPORT_CONFIRM)) {
-                    return;
-                }
+                const { data, report } = StorageManager.importData(e.target.result);
+                data.expenses = CategoryRuleModule.categorizeImported(data.expenses);
+                ImportDialogModule.open(this._getCurrentData(), data, report);
+            } catch (error) {
+                console.error('Error importing data:', error);
+                alert(error.message || CONFIG.MESSAGES.IMPORT_ERROR);
+            }
+        };
+        reader.readAsText(file);
+
+        // Allow picking the same file again
+        event.target.value = '';
+    },
+
+    /**
+     * Apply the pending import
+     * @param {string} mode - 'merge' keeps existing data, 'overwrite' replaces it
+     */
+    applyImport(mode) {
+        try {
+            const incoming = ImportDialogModule.getIncoming();
+            if (!incoming) return;
+
+            if (mode === 'overwrite') {
+                ImportDialogModule.close();
+                this._applyData(StorageManager.assignMissingIds(incoming), CONFIG.HISTORY_LABELS.IMPORT);
+                HistoryModule.showToast(CONFIG.MESSAGES.IMPORT_SUCCESS);
+            } else {
+                const { data, summary } = StorageManager.mergeData(
+                    this._getCurrentData(),
+                    incoming,
+                    ImportDialogModule.getMergeOptions()
+                );
+
+                ImportDialogModule.close();
+                this._applyData(data, CONFIG.HISTORY_LABELS.IMPORT);
+                HistoryModule.showToast(CONFIG.MESSAGES.IMPORT_MERGE_SUCCESS
+                    .replace('{added}', summary.added)
+                    .replace('{skipped}', summary.skipped)
+                    .replace('{conflicting}', summary.conflicting));
+            }
+
+            console.log('Data imported successfully');
+        } catch (error) {
+            console.error('Error importing data:', error);
+            alert(error.message || CONFIG.MESSAGES.IMPORT_ERROR);
+        }
+    },
+
+    /**
+     * Add a recurring expense template from the form
+     */
+    addRecurring() {
+        try {
+            const templateData = this._getRecurringFormData();
+            this._checkExchangeRate(templateData.currency, templateData.startDate);
+            RecurringModule.addTemplate(templateData);
+
+            // Post occurrences that are already due (e.g. a start date in the past)
+            this._postDueRecurringExpenses();
+
+            this._clearRecurringForm();
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.RECURRING);
+
+            console.log('Recurring expense added successfully');
+        } catch (error) {
+            console.error('Error adding recurring expense:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Delete a recurring expense template
+     * @param {number} id - Template ID
+     */
+    deleteRecurring(id) {
+        try {
+            if (!confirm(CONFIG.MESSAGES.RECURRING_DELETE_CONFIRM)) {
+                return;
+            }
 
-                const data = StorageManager.importData(e.target.result);
+            RecurringModule.removeTemplate(id);
 
-                // Reinitialize with imported data
-                ExpenseManager.init(data);
-                StatisticsModule.updateSettings(data.settings);
-                CalendarModule.updateExpenses(ExpenseManager.getExpenses());
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.RECURRING);
+            HistoryModule.showToast(CONFIG.MESSAGES.RECURRING_DELETED);
 
-                // Update UI
-                this._populateFormFields(data.settings);
-                this._updateDisplay();
-                this._saveData();
+            console.log('Recurring expense deleted successfully');
+        } catch (error) {
+            console.error('Error deleting recurring expense:', error);
+        }
+    },
+
+    /**
+     * Open the CSV import dialog for a selected file
+     * @param {Event} event - File input change event
+     */
+    importCsv(event) {
+        const file = event.target.files[0];
+        if (!file) return;
 
-                alert(CONFIG.MESSAGES.IMPORT_SUCCESS);
-                console.log('Data imported successfully');
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                CsvImportModule.open(e.target.result, file.name);
             } catch (error) {
-                console.error('Error importing data:', error);
+                console.error('Error reading CSV:', error);
                 alert(error.message || CONFIG.MESSAGES.IMPORT_ERROR);
             }
         };
         reader.readAsText(file);
+
+        // Allow picking the same file again
+        event.target.value = '';
+    },
+
+    /**
+     * Append expenses mapped from a CSV file (existing data is kept)
+     * @param {Array} expenses - Expense data objects
+     */
+    importCsvExpenses(expenses) {
+        try {
+            expenses.forEach(expenseData => ExpenseManager.addExpense(expenseData));
+
+            CsvImportModule.close();
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.IMPORT);
+
+            HistoryModule.showToast(CONFIG.MESSAGES.CSV_IMPORT_SUCCESS.replace('{count}', expenses.length));
+            console.log('CSV imported successfully');
+        } catch (error) {
+            console.error('Error importing CSV:', error);
+            alert(error.message || CONFIG.MESSAGES.IMPORT_ERROR);
+        }
     },
 
     /**
      * Update budget settings
+     * @param {boolean} isEditing - True while the field is still being typed in (saved without an undo step)
      */
-    updateBudgetSettings() {
+    updateBudgetSettings(isEditing = false) {
         try {
-            const settings = this._getBudgetFormData();
-            StatisticsModule.updateSettings(settings);
-            this._saveData();
+            PeriodModule.updateActivePeriod(this._getBudgetFormData());
+            StatisticsModule.updateSettings(PeriodModule.getBudgetSettings());
+            this._saveData(CONFIG.HISTORY_LABELS.SETTINGS, isEditing);
         } catch (error) {
             console.error('Error updating budget settings:', error);
+            this._populateFormFields(PeriodModule.getActivePeriod());
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Switch to another budget period
+     * @param {number} id - Period ID
+     */
+    switchPeriod(id) {
+        try {
+            if (!PeriodModule.setActivePeriod(id)) return;
+
+            this._applyActivePeriod();
+            this._saveData(CONFIG.HISTORY_LABELS.SETTINGS);
+        } catch (error) {
+            console.error('Error switching period:', error);
+        }
+    },
+
+    /**
+     * Create a new budget period from the form
+     */
+    createPeriod() {
+        try {
+            PeriodModule.createPeriod({
+                name: $('#newPeriodName').val(),
+                startDate: $('#newPeriodStart').val(),
+                endDate: $('#newPeriodEnd').val(),
+                totalBudget: $('#newPeriodBudget').val(),
+                rollover: $('#newPeriodRollover').is(':checked')
+            });
+
+            $('#newPeriodForm').addClass('hidden');
+            this._applyActivePeriod();
+            this._saveData(CONFIG.HISTORY_LABELS.SETTINGS);
+
+            console.log('Budget period created successfully');
+        } catch (error) {
+            console.error('Error creating period:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Change how the end-of-period forecast is calculated
+     * @param {string} method - One of CONFIG.FORECAST_METHODS
+     */
+    setForecastMethod(method) {
+        StatisticsModule.setForecastMethod(method);
+        this._saveData(CONFIG.HISTORY_LABELS.SETTINGS);
+    },
+
+    /**
+     * Change the alert thresholds from the alert center form
+     */
+    updateAlertThresholds() {
+        try {
+            StatisticsModule.setAlertThresholds({
+                lowDailyAllowance: $('#thresholdLowDaily').val(),
+                warningDays: $('#thresholdWarningDays').val(),
+                categoryWarningPercent: $('#thresholdCategoryPercent').val()
+            });
+
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.SETTINGS);
+
+            console.log('Alert thresholds updated successfully');
+        } catch (error) {
+            console.error('Error updating alert thresholds:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Set a category limit from the form
+     */
+    setCategoryLimit() {
+        const category = $('#categoryLimitCategory').val();
+        const limit = parseFloat($('#categoryLimitAmount').val());
+
+        if (!category || !(limit > 0)) {
+            alert(CONFIG.MESSAGES.CATEGORY_LIMIT_ERROR);
+            return;
+        }
+
+        StatisticsModule.setCategoryLimit(category, limit);
+        $('#categoryLimitAmount').val('');
+        this._saveData(CONFIG.HISTORY_LABELS.SETTINGS);
+    },
+
+    /**
+     * Remove a category limit
+     * @param {string} category - Category name
+     */
+    removeCategoryLimit(category) {
+        StatisticsModule.setCategoryLimit(category, 0);
+        this._saveData(CONFIG.HISTORY_LABELS.SETTINGS);
+    },
+
+    /**
+     * Rename a category and all its expenses (an existing name merges the two)
+     * @param {string} oldName - Current category name
+     * @param {string} newName - New category name
+     */
+    renameCategory(oldName, newName) {
+        try {
+            const target = (newName || '').trim();
+            ExpenseManager.renameCategory(oldName, target);
+            this._moveCategoryReferences(oldName, target);
+            this._refreshCategories();
+
+            console.log('Category renamed successfully');
+        } catch (error) {
+            console.error('Error renaming category:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Merge one category into another
+     * @param {string} source - Category to merge (removed afterwards)
+     * @param {string} target - Category that receives the expenses
+     */
+    mergeCategories(source, target) {
+        try {
+            const count = ExpenseManager.getExpensesByCategory(source).length;
+            const message = CONFIG.MESSAGES.CATEGORY_MERGE_CONFIRM
+                .replace('{source}', source)
+                .replace('{target}', target)
+                .replace('{count}', count);
+
+            if (source !== target && !confirm(message)) {
+                return;
+            }
+
+            ExpenseManager.mergeCategories(source, target);
+            this._moveCategoryReferences(source, target);
+            this._refreshCategories();
+            HistoryModule.showToast(CONFIG.MESSAGES.CATEGORY_MERGED);
+
+            console.log('Categories merged successfully');
+        } catch (error) {
+            console.error('Error merging categories:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Delete a category and move its expenses to another category
+     * @param {string} category - Category to delete
+     * @param {string} reassignTo - Category that receives the expenses
+     */
+    deleteCategory(category, reassignTo) {
+        try {
+            const count = ExpenseManager.getExpensesByCategory(category).length;
+            const message = CONFIG.MESSAGES.CATEGORY_DELETE_CONFIRM
+                .replace('{category}', category)
+                .replace('{count}', count)
+                .replace('{target}', reassignTo);
+
+            // Skip the question when deleting would fail anyway (nowhere to move expenses)
+            const canDelete = count === 0 || category !== reassignTo;
+            if (canDelete && !confirm(message)) {
+                return;
+            }
+
+            ExpenseManager.deleteCategory(category, reassignTo);
+            RecurringModule.renameCategory(category, reassignTo);
+            CategoryRuleModule.renameCategory(category, reassignTo);
+            StatisticsModule.setCategoryLimit(category, 0);
+            this._refreshCategories();
+            HistoryModule.showToast(CONFIG.MESSAGES.CATEGORY_DELETED);
+
+            console.log('Category deleted successfully');
+        } catch (error) {
+            console.error('Error deleting category:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Move a category up or down in the list
+     * @param {string} category - Category name
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveCategory(category, offset) {
+        ExpenseManager.moveCategory(category, offset);
+        this._refreshCategories();
+    },
+
+    /**
+     * Set the color and/or icon of a category
+     * @param {string} category - Category name
+     * @param {object} style - Style fields { color, icon }
+     */
+    setCategoryStyle(category, style) {
+        ExpenseManager.setCategoryStyle(category, style);
+        this._refreshCategories();
+    },
+
+    /**
+     * Change the base currency all totals are converted to
+     * @param {string} currency - Currency code
+     */
+    setBaseCurrency(currency) {
+        try {
+            if (currency === CurrencyModule.getBaseCurrency()) return;
+
+            if (!confirm(CONFIG.MESSAGES.CURRENCY_BASE_CONFIRM.replace('{currency}', currency))) {
+                CurrencyModule.render();
+                return;
+            }
+
+            // Budgets and limits are amounts in the base currency, so they move with it at today's rate
+            const rate = CurrencyModule.getRate(currency, Utils.getTodayString());
+            const decimals = CONFIG.CURRENCIES[currency].decimals;
+            const convert = amount => Number((amount / rate).toFixed(decimals));
+
+            CurrencyModule.setBaseCurrency(currency);
+            PeriodModule.convertBudgets(convert);
+            StatisticsModule.convertAmounts(convert);
+            this._populateFormFields(PeriodModule.getActivePeriod());
+            this._refreshCurrency();
+
+            console.log('Base currency changed successfully');
+        } catch (error) {
+            console.error('Error changing base currency:', error);
+            CurrencyModule.render();
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Add an exchange rate from the form
+     */
+    addExchangeRate() {
+        try {
+            CurrencyModule.addRate({
+                currency: $('#rateCurrency').val(),
+                date: $('#rateDate').val(),
+                rate: $('#rateValue').val()
+            });
+            $('#rateValue').val('');
+            this._refreshCurrency();
+
+            console.log('Exchange rate added successfully');
+        } catch (error) {
+            console.error('Error adding exchange rate:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Change the value of an exchange rate
+     * @param {number} id - Rate ID
+     * @param {number} rate - New rate
+     */
+    updateExchangeRate(id, rate) {
+        try {
+            CurrencyModule.updateRate(id, rate);
+            this._refreshCurrency();
+
+            console.log('Exchange rate updated successfully');
+        } catch (error) {
+            console.error('Error updating exchange rate:', error);
+            CurrencyModule.render();
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Delete an exchange rate
+     * @param {number} id - Rate ID
+     */
+    deleteExchangeRate(id) {
+        CurrencyModule.removeRate(id);
+        this._refreshCurrency();
+    },
+
+    /**
+     * Record that one person paid back what they owed
+     * @param {object} transfer - { from, to, amount } in the base currency
+     */
+    settleUp(transfer) {
+        try {
+            const message = template => template
+                .replace('{from}', transfer.from)
+                .replace('{to}', transfer.to)
+                .replace('{amount}', CurrencyModule.formatBase(transfer.amount));
+
+            if (!confirm(message(CONFIG.MESSAGES.SETTLEMENT_CONFIRM))) return;
+
+            SplitModule.addSettlement(transfer);
+
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.SETTLEMENT);
+            HistoryModule.showToast(message(CONFIG.MESSAGES.SETTLEMENT_DONE));
+
+            console.log('Settlement added successfully');
+        } catch (error) {
+            console.error('Error adding settlement:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Delete a settle-up entry
+     * @param {number} id - Settlement ID
+     */
+    deleteSettlement(id) {
+        SplitModule.removeSettlement(id);
+        this._updateDisplay();
+        this._saveData(CONFIG.HISTORY_LABELS.SETTLEMENT);
+    },
+
+    /**
+     * Add a savings goal from the form
+     */
+    addGoal() {
+        try {
+            GoalModule.addGoal({
+                name: $('#goalName').val(),
+                target: $('#goalTarget').val(),
+                deadline: $('#goalDeadline').val()
+            });
+            $('#goalName, #goalTarget, #goalDeadline').val('');
+
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.GOALS);
+
+            console.log('Savings goal added successfully');
+        } catch (error) {
+            console.error('Error adding savings goal:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Set money aside for a goal from what is left of the active period
+     * @param {number} id - Goal ID
+     * @param {number} amount - Amount to set aside
+     */
+    allocateToGoal(id, amount) {
+        try {
+            const goal = GoalModule.getGoals().find(g => g.id === id);
+            const allocation = GoalModule.allocate({
+                goalId: id,
+                periodId: PeriodModule.getActivePeriod().id,
+                amount
+            }, StatisticsModule.getCurrentStats().remaining);
+
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.GOALS);
+            HistoryModule.showToast(CONFIG.MESSAGES.GOAL_ALLOCATED
+                .replace('{amount}', CurrencyModule.formatBase(allocation.amount))
+                .replace('{goal}', goal.name));
+
+            console.log('Money allocated to goal successfully');
+        } catch (error) {
+            console.error('Error allocating to goal:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Delete a savings goal (its allocations go back to the budget)
+     * @param {number} id - Goal ID
+     */
+    deleteGoal(id) {
+        GoalModule.removeGoal(id);
+        this._updateDisplay();
+        this._saveData(CONFIG.HISTORY_LABELS.GOALS);
+        HistoryModule.showToast(CONFIG.MESSAGES.GOAL_DELETED);
+    },
+
+    /**
+     * Add an auto-categorization rule
+     * @param {object} ruleData - { keyword, category } (defaults to the rule form)
+     */
+    addCategoryRule(ruleData = null) {
+        try {
+            CategoryRuleModule.addRule(ruleData || {
+                keyword: $('#ruleKeyword').val(),
+                category: $('#ruleCategory').val()
+            });
+            if (!ruleData) {
+                $('#ruleKeyword, #ruleCategory').val('');
+            }
+
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.CATEGORY_RULES);
+
+            console.log('Category rule added successfully');
+        } catch (error) {
+            console.error('Error adding category rule:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+        }
+    },
+
+    /**
+     * Change the keyword or category of an auto-categorization rule
+     * @param {number} id - Rule ID
+     * @param {object} changes - { keyword } or { category }
+     */
+    updateCategoryRule(id, changes) {
+        try {
+            CategoryRuleModule.updateRule(id, changes);
+
+            this._updateDisplay();
+            this._saveData(CONFIG.HISTORY_LABELS.CATEGORY_RULES);
+
+            console.log('Category rule updated successfully');
+        } catch (error) {
+            console.error('Error updating category rule:', error);
+            alert(error.message || CONFIG.MESSAGES.APP_ERROR);
+
+            // Put the saved values back into the edited row
+            CategoryRuleModule.render();
         }
     },
 
+    /**
+     * Delete an auto-categorization rule
+     * @param {number} id - Rule ID
+     */
+    deleteCategoryRule(id) {
+        CategoryRuleModule.removeRule(id);
+        this._updateDisplay();
+        this._saveData(CONFIG.HISTORY_LABELS.CATEGORY_RULES);
+        HistoryModule.showToast(CONFIG.MESSAGES.CATEGORY_RULE_DELETED);
+    },
+
     /**
      * Bind all event listeners
      * @private
@@ -220,23 +948,35 @@ const AppController = {
         $('#exportBtn').click(() => this.exportData());
         $('#importBtn').click(() => $('#fileInput').click());
         $('#fileInput').change((e) => this.importData(e));
+        $('#csvImportBtn').click(() => $('#csvFileInput').click());
+        $('#exportCsvBtn').click(() => this.exportExpensesCsv());
+        $('#exportSummaryBtn').click(() => this.exportSummaryCsv());
+        $('#csvFileInput').change((e) => this.importCsv(e));
+
+        // Category limits
+        $('#setCategoryLimitBtn').click(() => this.setCategoryLimit());
+
+        // Save error banner
+        $('#saveErrorRetryBtn').click(() => this._saveData(null));
+        $('#saveErrorExportBtn').click(() => this.exportData());
 
         // Calendar navigation
         $('#prevMonth').click(() => this.previousMonth());
         $('#nextMonth').click(() => this.nextMonth());
+        $('#calendarTodayBtn').click(() => this.goToToday());
 
-        // Budget settings auto-update
-        $('#totalBudget, #startDate, #endDate').on('input change',
-            Utils.debounce(() => this.updateBudgetSettings(), 300)
-        );
+        // Budget settings auto-update while typing; the undo step is recorded once the field is left
+        $('#periodName, #totalBudget, #startDate, #endDate')
+            .on('input', Utils.debounce(() => this.updateBudgetSettings(true), 300))
+            .on('change', () => this.updateBudgetSettings());
 
         // Enter key support for expense form
-        $('#expenseAmount, #expenseDescription, #expenseCategory').keypress((e) => {
+        $('#expenseAmount, #expenseDescription, #expenseCategory, #expenseDate').keypress((e) => {
             if (e.which === 13) this.addExpense();
         });
 
         // Set today's date by default
-        $('#startDate').val(Utils.getTodayString());
+        $('#expenseDate, #rateDate').val(Utils.getTodayString());
     },
 
     /**
@@ -245,14 +985,67 @@ const AppController = {
      * @private
      */
     _getExpenseFormData() {
+        const type = $('#expenseType').val() || CONFIG.ENTRY_TYPES.EXPENSE;
+        const defaultCategory = type === CONFIG.ENTRY_TYPES.INCOME ? CONFIG.INCOME_CATEGORY : 'Khác';
+
         return {
+            type,
             description: $('#expenseDescription').val().trim(),
             amount: parseFloat($('#expenseAmount').val()),
-            category: $('#expenseCategory').val().trim() || 'Khác',
-            date: Utils.getTodayString()
+            currency: $('#expenseCurrency').val() || CurrencyModule.getBaseCurrency(),
+            category: $('#expenseCategory').val().trim() || defaultCategory,
+            date: $('#expenseDate').val() || Utils.getTodayString(),
+            split: SplitModule.getFormSplit()
+        };
+    },
+
+    /**
+     * Get recurring template form data
+     * @returns {object} Recurring template data object
+     * @private
+     */
+    _getRecurringFormData() {
+        const ruleType = $('#recurringRule').val();
+        const param = $('#recurringParam').val();
+
+        return {
+            description: $('#recurringDescription').val().trim(),
+            amount: parseFloat($('#recurringAmount').val()),
+            currency: $('#recurringCurrency').val() || CurrencyModule.getBaseCurrency(),
+            category: $('#recurringCategory').val().trim() || 'Khác',
+            startDate: $('#recurringStart').val() || Utils.getTodayString(),
+            rule: {
+                type: ruleType,
+                dayOfMonth: param,
+                interval: param
+            }
         };
     },
 
+    /**
+     * Clear recurring template form
+     * @private
+     */
+    _clearRecurringForm() {
+        $('#recurringDescription, #recurringAmount, #recurringCategory, #recurringParam').val('');
+    },
+
+    /**
+     * Add expenses for recurring occurrences that are due
+     * @returns {number} Number of expenses posted
+     * @private
+     */
+    _postDueRecurringExpenses() {
+        const dueExpenses = RecurringModule.collectDueExpenses();
+        dueExpenses.forEach(expenseData => ExpenseManager.addExpense(expenseData));
+
+        if (dueExpenses.length > 0) {
+            console.log(`Posted ${dueExpenses.length} recurring expenses`);
+        }
+
+        return dueExpenses.length;
+    },
+
     /**
      * Get budget form data
      * @returns {object} Budget settings object
@@ -260,6 +1053,7 @@ const AppController = {
      */
     _getBudgetFormData() {
         return {
+            name: $('#periodName').val(),
             totalBudget: $('#totalBudget').val(),
             startDate: $('#startDate').val(),
             endDate: $('#endDate').val()
@@ -267,22 +1061,134 @@ const AppController = {
     },
 
     /**
-     * Clear expense form
+     * Clear expense form (the date is kept for entering several expenses on one day)
      * @private
      */
     _clearExpenseForm() {
         $('#expenseDescription, #expenseAmount, #expenseCategory').val('');
+        CategoryRuleModule.clearForm();
     },
 
     /**
      * Populate form fields with saved data
-     * @param {object} settings - Settings object
+     * @param {object} period - Budget period object
+     * @private
+     */
+    _populateFormFields(period) {
+        $('#periodName').val(period.name || '');
+        $('#totalBudget').val(period.totalBudget || '');
+        $('#startDate').val(period.startDate || Utils.getTodayString());
+        $('#endDate').val(period.endDate || '');
+    },
+
+    /**
+     * Reinitialize all modules with a full data set and save it
+     * @param {object} data - Normalized application data
+     * @param {string|null} label - History label (null to save without recording a step)
      * @private
      */
-    _populateFormFields(settings) {
-        $('#totalBudget').val(settings.totalBudget || '');
-        $('#startDate').val(settings.startDate || Utils.getTodayString());
-        $('#endDate').val(settings.endDate || '2025-10-06');
+    _applyData(data, label) {
+        ExpenseManager.init(data);
+        RecurringModule.setTemplates(data.recurring);
+        CurrencyModule.setData(data);
+        SplitModule.setSettlements(data.settlements);
+        GoalModule.setData(data);
+        CategoryRuleModule.setRules(data.categoryRules);
+        this._postDueRecurringExpenses();
+        PeriodModule.setPeriods(data.periods, data.activePeriodId);
+        StatisticsModule.updateSettings({ ...data.settings, ...PeriodModule.getBudgetSettings() });
+        CalendarModule.updateExpenses(ExpenseManager.getExpenses());
+
+        // Update UI
+        this._populateFormFields(PeriodModule.getActivePeriod());
+        this._updateDisplay();
+        this._saveData(label);
+    },
+
+    /**
+     * Apply data restored by undo/redo and refresh open dialogs
+     * @param {object} data - Restored application data
+     * @private
+     */
+    _applyHistoryStep(data) {
+        this._applyData(data, null);
+        CategoryModule.render();
+
+        // Leave edit mode and re-render the open day
+        if (ModalModule.getCurrentState().isVisible) {
+            ModalModule.cancelEdit();
+        }
+    },
+
+    /**
+     * Show the active period in the form, statistics and calendar
+     * @private
+     */
+    _applyActivePeriod() {
+        const period = PeriodModule.getActivePeriod();
+
+        this._populateFormFields(period);
+        StatisticsModule.updateSettings(PeriodModule.getBudgetSettings());
+        CalendarModule.setCurrentDate(Utils.parseDateString(period.startDate));
+        this._updateDisplay();
+    },
+
+    /**
+     * Point recurring templates, category limits and rules at a renamed category
+     * @param {string} from - Old category name
+     * @param {string} to - New category name
+     * @private
+     */
+    _moveCategoryReferences(from, to) {
+        RecurringModule.renameCategory(from, to);
+        StatisticsModule.renameCategoryLimit(from, to);
+        CategoryRuleModule.renameCategory(from, to);
+    },
+
+    /**
+     * Re-render everything that shows categories and save
+     * @private
+     */
+    _refreshCategories() {
+        this._updateDisplay();
+        CategoryModule.render();
+        this._saveData(CONFIG.HISTORY_LABELS.CATEGORIES);
+
+        // Refresh modal if it's open
+        if (ModalModule.getCurrentState().isVisible) {
+            ModalModule.show(ModalModule.getCurrentState().date, CONFIG.MESSAGES.ALL_CATEGORIES);
+        }
+    },
+
+    /**
+     * Re-render everything that shows converted amounts and save
+     * @private
+     */
+    _refreshCurrency() {
+        this._updateDisplay();
+        RecurringModule.renderList();
+        PeriodModule.render();
+        this._saveData(CONFIG.HISTORY_LABELS.CURRENCY);
+
+        // Refresh modal if it's open
+        if (ModalModule.getCurrentState().isVisible) {
+            ModalModule.refresh();
+        }
+    },
+
+    /**
+     * Make sure an amount in a currency can be converted to the base currency
+     * @param {string} currency - Currency code
+     * @param {string} dateStr - Date of the amount
+     * @throws {Error} If the currency has no exchange rate
+     * @private
+     */
+    _checkExchangeRate(currency, dateStr) {
+        if (CurrencyModule.getRate(currency, dateStr) === null) {
+            throw new Error(CONFIG.MESSAGES.CURRENCY_NO_RATE
+                .replace('{currency}', currency)
+                .replace('{date}', dateStr));
+        }
     },
 
     /**
@@ -291,8 +1197,20 @@ const AppController = {
      */
     _updateCategoryDatalist() {
         const categories = ExpenseManager.getCategories();
-        const options = categories.map(cat => `<option value="${cat}">`).join('');
+        const options = categories.map(cat => `<option value="${Utils.escapeAttr(cat)}">`).join('');
         $('#categoryList').html(options);
+
+        // Keep the selected category of the limit form across re-renders
+        const $limitSelect = $('#categoryLimitCategory');
+        const selected = $limitSelect.val();
+        $limitSelect.html(categories.map(cat => `<option value="${Utils.escapeAttr(cat)}">${Utils.sanitizeHtml(cat)}</option>`).join(''));
+        if (selected) $limitSelect.val(selected);
+
+        const $exportSelect = $('#exportCategory');
+        const exportSelected = $exportSelect.val();
+        $exportSelect.html(`<option value="">${CONFIG.MESSAGES.ALL_CATEGORIES}</option>` +
+            categories.map(cat => `<option value="${Utils.escapeAttr(cat)}">${Utils.sanitizeHtml(cat)}</option>`).join(''));
+        $exportSelect.val(exportSelected || '');
     },
 
     /**
@@ -300,20 +1218,44 @@ const AppController = {
      * @private
      */
     _updateDisplay() {
-        StatisticsModule.updateDisplay();
+        // The carry-over depends on the previous period's expenses, so the budget is read again
+        StatisticsModule.updateSettings(PeriodModule.getBudgetSettings());
+        PeriodModule.render();
+        GoalModule.render(StatisticsModule.getCurrentStats());
+        AlertModule.sync(StatisticsModule.getAlerts(), PeriodModule.getActivePeriod().id);
         CalendarModule.updateExpenses(ExpenseManager.getExpenses());
         CalendarModule.render();
+        ChartModule.render();
+        ReportModule.render();
+        SearchModule.render();
+        CurrencyModule.render();
+        SplitModule.renderForm();
+        if (SplitModule.isOpen()) SplitModule.render();
+        if (CategoryRuleModule.isOpen()) CategoryRuleModule.render();
         this._updateCategoryDatalist();
     },
 
     /**
-     * Save current data to storage
+     * Save current data to storage and record the change in the undo history
+     * @param {string|null} label - History label (null to save without recording a step)
+     * @param {boolean} isEditing - Save an unfinished edit: no step yet, and the next step
+     *                              still compares with the data from before the edit
      * @private
      */
-    _saveData() {
+    _saveData(label = CONFIG.HISTORY_LABELS.CHANGE, isEditing = false) {
         try {
             const data = this._getCurrentData();
-            StorageManager.saveData(data);
+            StorageManager.saveData(data)
+                .then(() => this._hideSaveError())
+                .catch(error => this._showSaveError(error));
+
+            if (isEditing) return;
+
+            if (label !== null && this._savedData && HistoryModule.record(label, this._savedData, data) &&
+                !HistoryModule.isLastStepSaved()) {
+                alert(CONFIG.MESSAGES.HISTORY_NOT_SAVED);
+            }
+            this._savedData = Utils.deepClone(data);
         } catch (error) {
             console.error('Error saving data:', error);
         }
@@ -325,12 +1267,43 @@ const AppController = {
      * @private
      */
     _getCurrentData() {
+        // Settings mirror the active period so older versions can still read backups
+        const period = PeriodModule.getActivePeriod();
+
         return {
             ...ExpenseManager.getData(),
-            settings: this._getBudgetFormData()
+            ...RecurringModule.getData(),
+            ...CurrencyModule.getData(),
+            ...SplitModule.getData(),
+            ...GoalModule.getData(),
+            ...CategoryRuleModule.getData(),
+            ...PeriodModule.getData(),
+            settings: {
+                totalBudget: period.totalBudget,
+                startDate: period.startDate,
+                endDate: period.endDate,
+                categoryLimits: StatisticsModule.getCategoryLimits(),
+                forecastMethod: StatisticsModule.getForecastMethod(),
+                alertThresholds: StatisticsModule.getAlertThresholds()
+            }
         };
     },
 
+    /**
+     * Trigger a browser download for a blob
+     * @param {Blob} blob - File content
+     * @param {string} fileName - Download file name
+     * @private
+     */
+    _downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    },
+
     /**
      * Show error message to user
      * @param {string} message - Error message
@@ -340,6 +1313,26 @@ const AppController = {
         alert(message);
     },
 
+    /**
+     * Show the banner telling the user their data was not saved
+     * @param {Error} error - Save error
+     * @private
+     */
+    _showSaveError(error) {
+        console.error('Error saving data:', error);
+        $('#saveErrorMessage').text(CONFIG.MESSAGES.SAVE_ERROR);
+        $('#saveErrorDetail').text(error && error.message ? error.message : '');
+        $('#saveError').removeClass('hidden');
+    },
+
+    /**
+     * Hide the save error banner after a successful save
+     * @private
+     */
+    _hideSaveError() {
+        $('#saveError').addClass('hidden');
+    },
+
     /**
      * Get current application state
      * @returns {object} Application state
@@ -2,10 +2,22 @@
 const CONFIG = {
     // Application settings
     APP_NAME: 'Quản lý chi tiêu',
-    VERSION: '1.0.0',
+    VERSION: '1.1.0', // also names the offline cache, so bump it on every release
+
+    // Offline support (service worker and its cache)
+    SERVICE_WORKER_URL: 'sw.js',
+    CACHE_PREFIX: 'expenseTracker-shell',
 
     // Storage keys
     STORAGE_KEY: 'expenseTracker',
+    HISTORY_STORAGE_KEY: 'expenseTracker_history',
+    IDB_NAME: 'expenseTracker',
+    IDB_VERSION: 1,
+    REJECTED_STORAGE_KEY: 'expenseTracker_rejected',
+    ALERTS_STORAGE_KEY: 'expenseTracker_alerts',
+
+    // Version of the saved data layout (bump it together with a new migration in SchemaManager)
+    SCHEMA_VERSION: 8,
 
     // Default categories in Vietnamese
     DEFAULT_CATEGORIES: [
@@ -18,30 +30,191 @@ const CONFIG = {
         'Khác'
     ],
 
+    // Icons shown next to default categories until the user picks their own
+    DEFAULT_CATEGORY_ICONS: {
+        'Ăn Uống': '🍜',
+        'Di Chuyển': '🛵',
+        'Mua Sắm': '🛍️',
+        'Giải Trí': '🎮',
+        'Hóa Đơn': '🧾',
+        'Sức Khỏe': '💊',
+        'Khác': '📦',
+        'Thu Nhập': '💰'
+    },
+
+    // Entry types (income is stored alongside expenses)
+    ENTRY_TYPES: {
+        EXPENSE: 'expense',
+        INCOME: 'income'
+    },
+
+    INCOME_CATEGORY: 'Thu Nhập',
+
+    // Words in a description that point to a category (matched as whole words, diacritics optional);
+    // user rules and categories learned from past expenses win over these
+    CATEGORY_KEYWORDS: {
+        'Ăn Uống': ['phở', 'bún', 'cơm', 'bánh mì', 'cà phê', 'cafe', 'coffee', 'trà sữa', 'trà đá', 'nhậu', 'bia', 'lẩu', 'cháo', 'hủ tiếu', 'ăn sáng', 'ăn trưa', 'ăn tối'],
+        'Di Chuyển': ['grab', 'gojek', 'xanh sm', 'taxi', 'xe ôm', 'xăng', 'gửi xe', 'xe buýt', 'bus', 'vé xe', 'vé tàu', 'vé máy bay'],
+        'Mua Sắm': ['shopee', 'lazada', 'tiki', 'siêu thị', 'quần', 'áo', 'giày', 'túi'],
+        'Giải Trí': ['phim', 'cgv', 'netflix', 'spotify', 'game', 'karaoke', 'du lịch'],
+        'Hóa Đơn': ['tiền điện', 'tiền nước', 'internet', 'wifi', 'tiền nhà', 'thuê nhà', 'cước', '4g'],
+        'Sức Khỏe': ['thuốc', 'bệnh viện', 'khám', 'nha khoa', 'gym', 'bảo hiểm']
+    },
+
+    // Shared expenses: how the amount is split and the name that stands for the user
+    SPLIT_SELF: 'Tôi',
+    SPLIT_METHODS: {
+        EQUAL: 'equal',
+        PERCENT: 'percent',
+        EXACT: 'exact'
+    },
+
+    SPLIT_METHOD_LABELS: {
+        equal: 'Chia đều',
+        percent: 'Theo %',
+        exact: 'Số tiền cụ thể'
+    },
+
+    // Currencies an expense can be entered in (decimals used when formatting amounts)
+    DEFAULT_BASE_CURRENCY: 'VND',
+    CURRENCIES: {
+        VND: { name: 'Đồng Việt Nam', decimals: 0 },
+        USD: { name: 'Đô la Mỹ', decimals: 2 },
+        EUR: { name: 'Euro', decimals: 2 },
+        THB: { name: 'Baht Thái', decimals: 2 },
+        JPY: { name: 'Yên Nhật', decimals: 0 }
+    },
+
+    // Recurring expense rules
+    RECURRENCE_TYPES: {
+        DAILY: 'daily',
+        WEEKLY: 'weekly',
+        MONTHLY: 'monthly',
+        INTERVAL: 'interval'
+    },
+
+    RECURRENCE_LABELS: {
+        daily: 'Hằng ngày',
+        weekly: 'Hằng tuần',
+        monthly: 'Hằng tháng',
+        interval: 'Mỗi N ngày'
+    },
+
+    // Undo history step labels
+    HISTORY_LABELS: {
+        ADD_EXPENSE: 'Thêm khoản',
+        DELETE_EXPENSE: 'Xóa khoản',
+        UPDATE_EXPENSE: 'Sửa khoản',
+        IMPORT: 'Nhập dữ liệu',
+        SETTINGS: 'Đổi thiết lập ngân sách',
+        CATEGORY_RULES: 'Đổi quy tắc phân loại',
+        RECURRING: 'Đổi khoản định kỳ',
+        CATEGORIES: 'Đổi danh mục',
+        CURRENCY: 'Đổi tiền tệ / tỷ giá',
+        SETTLEMENT: 'Thanh toán nợ',
+        GOALS: 'Đổi mục tiêu tiết kiệm',
+        CHANGE: 'Thay đổi'
+    },
+
     // Date and locale settings
     LOCALE: 'vi-VN',
 
-    // Budget thresholds
-    LOW_BUDGET_THRESHOLD: 50000,
-    WARNING_DAYS_THRESHOLD: 7,
+    // Budget alert thresholds (defaults; the user can change them in the alert center)
+    DEFAULT_ALERT_THRESHOLDS: {
+        lowDailyAllowance: 50000, // Daily allowance (base currency) below which the budget is low
+        warningDays: 7, // Days before the end of the period to warn
+        categoryWarningPercent: 80 // Share of a category limit that triggers a warning
+    },
+
+    // Budget alert states
+    ALERT_TYPES: {
+        PERIOD_ENDED: 'period-ended',
+        PERIOD_ENDING: 'period-ending',
+        OVER_BUDGET: 'over-budget',
+        RUN_OUT: 'run-out',
+        LOW_ALLOWANCE: 'low-allowance',
+        CATEGORY_OVER: 'category-over',
+        CATEGORY_NEAR: 'category-near'
+    },
+    ALERT_HISTORY_MAX: 100,
+    ALERT_REOPEN_MINUTES: 10, // a state that comes back this soon reopens its old entry
+
+    // End-of-period forecast
+    FORECAST_METHODS: {
+        AVERAGE: 'average',
+        RECENT: 'recent',
+        WEEKDAY: 'weekday'
+    },
+    FORECAST_RECENT_HALF_LIFE: 7,
+
+    // Budget periods
+    DEFAULT_PERIOD_DAYS: 30,
+
+    // Savings goals (average month length used for the required monthly contribution)
+    DAYS_PER_MONTH: 30.44,
 
     // UI settings
     CALENDAR_MIN_HEIGHT: 80,
     ANIMATION_DURATION: 200,
 
+    // Chart palette (cycled through for categories)
+    CHART_COLORS: ['#667eea', '#f5576c', '#11998e', '#f6ad55', '#764ba2', '#38b2ac', '#ed64a6', '#a0aec0'],
+
     // File export settings
     EXPORT_FILE_PREFIX: 'expenses-',
 
+    // CSV import settings
+    CSV_PREVIEW_ROWS: 20,
+    CSV_FIELD_LABELS: {
+        date: 'Ngày',
+        description: 'Mô tả',
+        amount: 'Số tiền',
+        category: 'Danh mục'
+    },
+
+    // Auto-categorization: a word is learned once it was used this often, mostly for one category
+    AUTO_CATEGORY_MIN_COUNT: 2,
+    AUTO_CATEGORY_MIN_SHARE: 0.7,
+    AUTO_CATEGORY_MAX_SUGGESTIONS: 10,
+
+    // Calendar views and the number of heatmap shades below the daily budget
+    CALENDAR_VIEWS: {
+        MONTH: 'month',
+        WEEK: 'week',
+        YEAR: 'year'
+    },
+    HEATMAP_LEVELS: 4,
+
+    // Period comparison presets and how many categories are highlighted as drivers of the change
+    REPORT_PRESETS: {
+        MONTH_OVER_MONTH: 'month-over-month',
+        YEAR_OVER_YEAR: 'year-over-year',
+        CUSTOM: 'custom'
+    },
+    REPORT_MAX_DRIVERS: 3,
+
+    // Search settings
+    SEARCH_MAX_RESULTS: 200,
+
+    // Undo/redo settings
+    HISTORY_MAX_STEPS: 30,
+    TOAST_DURATION: 6000,
+
+    // Validation report settings
+    SCHEMA_REPORT_MAX_ROWS: 50,
+
     // Messages in Vietnamese with survival humor
     MESSAGES: {
-        DELETE_CONFIRM: 'Xóa luôn hả? Nghĩ kỹ kẻo tiếc nha! 🤔',
-        IMPORT_CONFIRM: 'Dữ liệu cũ sẽ bay màu hết. Chơi tiếp không? 😎',
         VALIDATION_ERROR: 'Thiếu thông tin rồi! Điền đủ mô tả với số tiền đi bạn êi~ 😅',
         IMPORT_SUCCESS: 'Khôi phục dữ liệu ngon lành! 🎉',
+        IMPORT_MERGE_SUCCESS: 'Gộp xong! Thêm {added}, bỏ qua {skipped} trùng, {conflicting} xung đột 🎉',
+        IMPORT_NO_CONFLICTS: 'Không có xung đột nào, gộp thoải mái 👌',
         IMPORT_ERROR: 'File này lỗi rồi, thử lại đi bạn êi~ 😥',
         NO_EXPENSES_DAY: 'Hôm nay chưa ghi đồng nào, ví vẫn an toàn 😏',
         NO_EXPENSES_CATEGORY: 'Mục này trống trơn, chưa tốn xu nào',
-        BUDGET_EXCEEDED: '⚠️ Hết sạch ngân sách! Chuẩn bị sống bằng mì gói thôi 🍜😂',
+        BUDGET_EXCEEDED: '⚠️ Hết sạch ngân sách, lố {amount} rồi! Chuẩn bị sống bằng mì gói thôi 🍜😂',
+        PERIOD_ENDED: '📅 Kỳ ngân sách đã kết thúc, tạo kỳ mới để tiếp tục nha~',
+        LOW_ALLOWANCE_WARNING: '🥲 Mỗi ngày chỉ còn {amount}, dưới ngưỡng {threshold} rồi — thắt lưng buộc bụng thôi!',
         BUDGET_WARNING: '⏰ Còn cầm cự được {days} ngày nữa, ráng sống sót nha chiến hữu! 💪',
         ALL_CATEGORIES: 'Tất cả',
         EXPENSE_ADDED: 'Ghi nhận tổn thất thành công! 😭',
@@ -50,7 +223,123 @@ const CONFIG = {
         EXPORT_ERROR: 'Lỗi khi sao lưu dữ liệu 😵',
         APP_ERROR: 'Ứng dụng gặp lỗi, thử tải lại trang 🔄',
         NO_EXPENSE_FOUND: 'Không tìm thấy tổn thất để xóa',
-        MODAL_ERROR: 'Lỗi khi hiển thị chi tiêu trong ngày'
+        NO_EXPENSE_TO_EDIT: 'Không tìm thấy tổn thất để sửa',
+        MODAL_ERROR: 'Lỗi khi hiển thị chi tiêu trong ngày',
+        RECURRING_VALIDATION_ERROR: 'Khoản định kỳ thiếu mô tả, số tiền hoặc lịch lặp rồi bạn ơi~ 😅',
+        RECURRING_DELETE_CONFIRM: 'Ngừng khoản định kỳ này? Các khoản đã ghi vẫn giữ nguyên nha 🤔',
+        NO_RECURRING: 'Chưa có khoản định kỳ nào',
+        UPCOMING_LABEL: 'Sắp tới (định kỳ)',
+        CALENDAR_NO_EXPENSES: 'Không tiêu gì, ví thở phào 😌',
+        CALENDAR_HEAT_TITLE: 'Tiêu {percent}% ngân sách ngày ({budget})',
+        CALENDAR_YEAR_TITLE: 'Năm {year}',
+        REPORT_CURRENT: 'Kỳ này',
+        REPORT_PREVIOUS: 'Kỳ so sánh',
+        REPORT_MORE: '📈 Tiêu nhiều hơn {amount} ({percent}) so với kỳ so sánh, ví đang khóc thầm 😭',
+        REPORT_LESS: '📉 Tiêu ít hơn {amount} ({percent}) so với kỳ so sánh, tiết kiệm đỉnh của chóp! 🎉',
+        REPORT_SAME: 'Tiêu y chang kỳ so sánh, ổn định như đồng hồ Thụy Sĩ ⏱️',
+        REPORT_DRIVERS: ' — thủ phạm chính: {categories}',
+        REPORT_NEW: 'mới',
+        REPORT_PARTIAL: 'chưa hết kỳ, tính tới hôm nay',
+        REPORT_NO_DATA: 'Cả hai kỳ đều chưa tiêu đồng nào để so 🤷',
+        REPORT_RANGE_ERROR: 'Chọn đủ ngày bắt đầu và kết thúc (bắt đầu trước kết thúc) cho cả hai kỳ nha~ 😅',
+        NO_CATEGORY_LIMITS: 'Chưa đặt giới hạn cho danh mục nào',
+        CATEGORY_LIMIT_ERROR: 'Chọn danh mục và nhập giới hạn hợp lệ nha~ 😅',
+        CATEGORY_NEAR_LIMIT: '⏰ "{category}" chỉ còn {amount}, bớt bớt lại nha! 🫣',
+        CATEGORY_OVER_LIMIT: '⚠️ "{category}" vượt giới hạn {amount} rồi! 💸',
+        PERIOD_VALIDATION_ERROR: 'Ngày bắt đầu với kết thúc của kỳ mới chưa hợp lệ nha~ 😅',
+        PERIOD_DATES_ERROR: 'Ngày bắt đầu phải trước ngày kết thúc chứ nha~ 😅',
+        PERIOD_OVERLAP_ERROR: 'Trùng ngày với kỳ "{name}" rồi, mỗi ngày chỉ thuộc một kỳ thôi nha~ 😅',
+        PERIOD_CARRY_OVER: '➕ {amount} chuyển từ kỳ trước sang',
+        CHART_NO_DATA: 'Chưa có chi tiêu nào để vẽ biểu đồ 📊',
+        CHART_NO_BUDGET: 'Đặt ngân sách cho kỳ này để xem đường lý tưởng 📉',
+        CSV_EMPTY: 'File CSV trống trơn, không có gì để nhập 🤷',
+        CSV_BAD_DATE: 'Ngày không hợp lệ',
+        CSV_BAD_AMOUNT: 'Số tiền không hợp lệ',
+        CSV_NOT_MAPPED: 'không dùng',
+        CSV_DEFAULT_DESCRIPTION: 'Nhập từ CSV',
+        CSV_SUMMARY: '{valid} dòng hợp lệ, {invalid} dòng bị bỏ qua',
+        CSV_IMPORT_SUCCESS: 'Đã thêm {count} khoản từ CSV! 🎉',
+        SEARCH_SUMMARY: '{count} khoản khớp · Tổng {total}',
+        SEARCH_NO_RESULTS: 'Không tìm thấy khoản nào khớp 🔍',
+        SEARCH_TRUNCATED: 'Chỉ hiển thị {count} khoản đầu, lọc thêm cho gọn nha~',
+        CATEGORY_NAME_ERROR: 'Tên danh mục không hợp lệ nha~ 😅',
+        CATEGORY_MERGE_ERROR: 'Chọn hai danh mục khác nhau để gộp nha~ 😅',
+        CATEGORY_REASSIGN_ERROR: 'Danh mục này còn khoản chi, chọn danh mục khác để chuyển sang đã nha~ 😅',
+        CATEGORY_DELETE_CONFIRM: 'Xóa "{category}" và chuyển {count} khoản sang "{target}"? 🤔',
+        CATEGORY_MERGE_CONFIRM: 'Gộp "{source}" vào "{target}"? {count} khoản sẽ được chuyển 🤔',
+        CATEGORY_DELETED: 'Đã xóa danh mục 🗑️',
+        CATEGORY_MERGED: 'Đã gộp danh mục 🔗',
+        RECURRING_DELETED: 'Đã ngừng khoản định kỳ 🛑',
+        UNDO_LABEL: 'Hoàn tác',
+        REDO_LABEL: 'Làm lại',
+        HISTORY_NOT_SAVED: 'Thay đổi này lớn quá nên không lưu được vào lịch sử. Vẫn hoàn tác được, nhưng tải lại trang là hết hoàn tác nha 😅',
+        SAVE_ERROR: '⚠️ Không lưu được dữ liệu! Sao lưu ra file ngay kẻo mất trắng nha 😱',
+        STORAGE_UNAVAILABLE: 'Trình duyệt không cho lưu dữ liệu',
+        SCHEMA_BAD_JSON: 'File này không phải JSON hợp lệ: {error} 😥',
+        SCHEMA_BAD_FORMAT: 'File không đúng định dạng sao lưu: {error} 😥',
+        SCHEMA_TOO_NEW: 'File được lưu bằng phiên bản dữ liệu {version}, ứng dụng này mới hiểu tới {supported}. Cập nhật ứng dụng rồi thử lại nha~ 🙏',
+        SCHEMA_LOAD_REPORT: 'Dữ liệu đã lưu có {repaired} khoản được sửa và {rejected} khoản hỏng bị tách riêng 🩹',
+        SCHEMA_MIGRATED: 'Nâng cấp dữ liệu từ phiên bản {from} lên {to}',
+        SCHEMA_DEFAULT_DESCRIPTION: 'Không có mô tả',
+        SCHEMA_NOT_RECORD: 'Không phải một khoản chi',
+        SCHEMA_BAD_AMOUNT: 'Số tiền không hợp lệ ({value})',
+        SCHEMA_BAD_DATE: 'Ngày không hợp lệ ({value})',
+        SCHEMA_AMOUNT_REPAIRED: 'Số tiền dạng chữ "{value}" đã được đổi thành số',
+        SCHEMA_DATE_REPAIRED: 'Ngày "{value}" đã được đổi thành {date}',
+        SCHEMA_TYPE_REPAIRED: 'Loại không rõ, coi như khoản chi',
+        SCHEMA_DESCRIPTION_REPAIRED: 'Thiếu mô tả',
+        SCHEMA_CATEGORY_MISSING: 'Thiếu danh mục, xếp vào "{category}"',
+        SCHEMA_CATEGORY_ADDED: 'Danh mục "{category}" chưa có, đã được thêm',
+        SCHEMA_ID_MISSING: 'Thiếu mã, đã tạo mã mới',
+        SCHEMA_ID_DUPLICATE: 'Trùng mã, đã tạo mã mới',
+        SCHEMA_BAD_CURRENCY: 'Tiền tệ không hỗ trợ ({value})',
+        SCHEMA_CURRENCY_MISSING: 'Thiếu tiền tệ, coi như {currency}',
+        CURRENCY_NO_RATE: 'Chưa có tỷ giá {currency} quanh ngày {date}, thêm tỷ giá trước đã nha~ 💱',
+        CURRENCY_RATE_ERROR: 'Chọn tiền tệ, ngày và nhập tỷ giá lớn hơn 0 nha~ 😅',
+        CURRENCY_BASE_CONFIRM: 'Đổi tiền tệ gốc sang {currency}? Tỷ giá, ngân sách, giới hạn danh mục và ngưỡng cảnh báo sẽ được quy đổi theo tỷ giá hôm nay 🤔',
+        CURRENCY_MISSING_RATES: '⚠️ Thiếu tỷ giá cho: {currencies} — các khoản này đang được tính là 0',
+        NO_EXCHANGE_RATES: 'Chưa có tỷ giá nào',
+        SPLIT_PEOPLE_ERROR: 'Nhập tên những người cùng chia nha~ 👥',
+        SPLIT_PERCENT_ERROR: 'Tổng phần trăm phải đúng 100% (đang là {total}%) 🧮',
+        SPLIT_EXACT_ERROR: 'Tổng các phần ({total}) phải bằng số tiền ({amount}) 🧮',
+        SPLIT_INCOME_ERROR: 'Thu nhập thì không chia được đâu nha 😅',
+        SPLIT_MY_SHARE: 'Phần của tôi: {amount}',
+        SPLIT_PAID_BY: '{person} trả',
+        SETTLEMENT_ERROR: 'Khoản thanh toán không hợp lệ 😅',
+        SETTLEMENT_CONFIRM: 'Ghi nhận {from} đã trả {to} {amount}?',
+        SETTLEMENT_DONE: '{from} đã trả {to} {amount} 🤝',
+        BALANCE_OWES: '{from} nợ {to}',
+        NO_BALANCES: 'Sòng phẳng hết rồi, không ai nợ ai 🤝',
+        NO_SETTLEMENTS: 'Chưa có lần thanh toán nào',
+        SCHEMA_SPLIT_REMOVED: 'Thông tin chia tiền không hợp lệ, đã bỏ (tính cả khoản là của bạn)',
+        SCHEMA_BAD_GOAL: 'Mục tiêu tiết kiệm thiếu tên, số tiền cần hoặc hạn chót hợp lệ',
+        SCHEMA_BAD_ALLOCATION: 'Khoản để dành thiếu mục tiêu, số tiền hoặc ngày hợp lệ',
+        SCHEMA_BAD_RULE: 'Quy tắc phân loại thiếu từ khóa hoặc danh mục',
+        GOAL_VALIDATION_ERROR: 'Mục tiêu cần tên, số tiền lớn hơn 0 và hạn chót nha~ 🎯',
+        GOAL_ALLOCATE_ERROR: 'Nhập số tiền muốn để dành lớn hơn 0 nha~ 🐷',
+        GOAL_NOT_ENOUGH: 'Kỳ này chỉ còn dư {amount} thôi, không góp hơn được đâu 😅',
+        GOAL_ALLOCATED: 'Đã bỏ heo {amount} cho "{goal}" 🐷',
+        GOAL_DELETED: 'Đã xóa mục tiêu, tiền đã góp quay lại ngân sách 🗑️',
+        GOAL_REACHED: '🎉 Đạt mục tiêu rồi!',
+        GOAL_OVERDUE: '⏰ Quá hạn, còn thiếu {amount}',
+        GOAL_MONTHLY: 'Cần góp {amount}/tháng để kịp hạn',
+        GOAL_AVAILABLE: 'Kỳ này đã để dành {allocated}, còn dư {available} có thể bỏ heo 🐷',
+        NO_GOALS: 'Chưa có mục tiêu nào, đặt một cái cho có động lực đi 🎯',
+        FORECAST_NO_DATA: 'Kỳ này chưa bắt đầu, chưa có gì để dự báo 🔮',
+        FORECAST_PROJECTED: 'Theo đà {rate}/ngày, đến {date} sẽ tiêu tổng cộng {amount} trên {budget}',
+        FORECAST_ON_TRACK: '✅ Đúng hướng, cuối kỳ còn dư khoảng {amount}',
+        FORECAST_OFF_TRACK: '⚠️ Lệch hướng, sẽ vượt khoảng {amount} — cạn ví từ {date}',
+        BUDGET_RUN_OUT_WARNING: '📉 Theo đà này thì {date} là cạn ví, sớm hơn cuối kỳ {days} ngày! Phanh lại chút nha 🛑',
+        ALERT_THRESHOLD_ERROR: 'Ngưỡng cảnh báo phải là số không âm, phần trăm từ 1 đến 100 nha~ 😅',
+        ALERT_RESOLVED: '✔ Đã qua',
+        NO_ALERTS: 'Yên bình quá, chưa có cảnh báo nào 🌤️',
+        CATEGORY_RULE_ERROR: 'Quy tắc cần cả từ khóa lẫn danh mục nha~ 😅',
+        CATEGORY_RULE_EXISTS: 'Đã có quy tắc cho "{keyword}" rồi, sửa cái cũ đi bạn 🙃',
+        CATEGORY_RULE_DELETED: 'Đã xóa quy tắc phân loại 🗑️',
+        CATEGORY_RULE_MATCHES: 'khớp {count} khoản',
+        NO_CATEGORY_RULES: 'Chưa có quy tắc nào, thêm một cái như "grab → Di Chuyển" đi 🪄',
+        NO_LEARNED_CATEGORIES: 'Chưa học được gì, tiêu thêm vài bữa nữa nha 🤓',
+        QUICK_ADD_NO_AMOUNT: 'Chưa thấy số tiền đâu cả, thử "phở 45k" hay "grab 1tr2" xem nào 🤔'
     }
 };
 
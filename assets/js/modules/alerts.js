@@ -0,0 +1,253 @@
+// Alert Module
+// Handles the alert center: a history of budget alerts (raised, resolved, dismissed)
+// and the form for the thresholds that trigger them
+
+const AlertModule = {
+    // Private properties
+    _alerts: [], // { id, key, type, level, message, periodId, raisedAt, resolvedAt, dismissed }
+
+    /**
+     * Initialize alert module with the saved alert history
+     * @param {Array} alerts - Saved alerts
+     */
+    init(alerts) {
+        this._alerts = alerts || [];
+        this._bindEvents();
+        this.render();
+    },
+
+    /**
+     * Get the alert history, newest first
+     * @param {boolean} includeDismissed - Whether to include dismissed alerts
+     * @returns {Array} Array of alert entries
+     */
+    getAlerts(includeDismissed = false) {
+        return this._alerts
+            .filter(alert => includeDismissed || !alert.dismissed)
+            .map(alert => ({ ...alert }))
+            .sort((a, b) => b.raisedAt.localeCompare(a.raisedAt));
+    },
+
+    /**
+     * Count alerts that are still active and not dismissed
+     * @returns {number} Number of alerts
+     */
+    getActiveCount() {
+        return this._alerts.filter(alert => !alert.dismissed && !alert.resolvedAt).length;
+    },
+
+    /**
+     * Bring the history in line with the alert states that are active now:
+     * new states are added, states that cleared are marked resolved, and a state that
+     * comes back shortly after it cleared (e.g. while a budget is being typed) reopens its entry
+     * @param {Array} current - Active alerts from StatisticsModule.getAlerts()
+     * @param {number} periodId - Active period ID (each period has its own alerts)
+     * @returns {number} Number of new alerts
+     */
+    sync(current, periodId) {
+        const now = new Date().toISOString();
+        const reopenAfter = new Date(Date.now() - CONFIG.ALERT_REOPEN_MINUTES * 60 * 1000).toISOString();
+        const keyOf = alert => `${periodId}:${alert.type}:${alert.category || ''}`;
+        const currentKeys = new Set(current.map(keyOf));
+        let added = 0;
+        let changed = false;
+
+        // Alerts of other periods clear too, so switching back raises them again
+        this._alerts.forEach(entry => {
+            if (!entry.resolvedAt && !currentKeys.has(entry.key)) {
+                entry.resolvedAt = now;
+                changed = true;
+            }
+        });
+
+        current.forEach(alert => {
+            const key = keyOf(alert);
+            const open = this._alerts.find(entry => entry.key === key && !entry.resolvedAt);
+
+            if (open) {
+                // Amounts in the message follow the latest numbers
+                if (open.message !== alert.message) {
+                    open.message = alert.message;
+                    changed = true;
+                }
+                return;
+            }
+
+            const recent = this._alerts
+                .filter(entry => entry.key === key && entry.resolvedAt >= reopenAfter)
+                .sort((a, b) => b.resolvedAt.localeCompare(a.resolvedAt))[0];
+            if (recent) {
+                recent.resolvedAt = null;
+                recent.message = alert.message;
+                changed = true;
+                return;
+            }
+
+            this._alerts.push({
+                id: Utils.generateId(),
+                key,
+                type: alert.type,
+                level: alert.level,
+                message: alert.message,
+                periodId,
+                raisedAt: now,
+                resolvedAt: null,
+                dismissed: false
+            });
+            added++;
+            changed = true;
+        });
+
+        if (changed) {
+            this._trim();
+            this._persist();
+            this.render();
+        }
+        return added;
+    },
+
+    /**
+     * Dismiss an alert from the center
+     * @param {number} id - Alert ID
+     */
+    dismiss(id) {
+        const alert = this._alerts.find(entry => entry.id === id);
+        if (!alert) return;
+
+        alert.dismissed = true;
+        this._persist();
+        this.render();
+    },
+
+    /**
+     * Dismiss every alert in the center
+     */
+    dismissAll() {
+        this._alerts.forEach(alert => {
+            alert.dismissed = true;
+        });
+        this._persist();
+        this.render();
+    },
+
+    /**
+     * Open the alert center
+     */
+    open() {
+        this._renderThresholds();
+        this.render();
+        $('#alertModal').removeClass('hidden');
+    },
+
+    /**
+     * Close the alert center
+     */
+    close() {
+        $('#alertModal').addClass('hidden');
+    },
+
+    /**
+     * Render the badge on the alert button and the alert list
+     */
+    render() {
+        const count = this.getActiveCount();
+        $('#alertBadge').text(count).toggleClass('hidden', count === 0);
+
+        const alerts = this.getAlerts();
+        if (alerts.length === 0) {
+            $('#alertList').html(`<p class="text-gray-500 text-sm text-center py-4">${CONFIG.MESSAGES.NO_ALERTS}</p>`);
+            return;
+        }
+
+        $('#alertList').html(alerts.map(alert => this._renderAlert(alert)).join(''));
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#alertCenterBtn').click(() => this.open());
+        $('#closeAlertModal').click(() => this.close());
+        $('#dismissAllAlertsBtn').click(() => this.dismissAll());
+        $('#saveThresholdsBtn').click(() => AppController.updateAlertThresholds());
+
+        // Rows are re-rendered on every change, so events are delegated
+        $('#alertList').on('click', '.alert-dismiss', event => {
+            this.dismiss(Number($(event.currentTarget).closest('[data-id]').data('id')));
+        });
+    },
+
+    /**
+     * Fill the threshold form with the current thresholds
+     * @private
+     */
+    _renderThresholds() {
+        const thresholds = StatisticsModule.getAlertThresholds();
+        $('#thresholdLowDaily').val(thresholds.lowDailyAllowance);
+        $('#thresholdWarningDays').val(thresholds.warningDays);
+        $('#thresholdCategoryPercent').val(thresholds.categoryWarningPercent);
+    },
+
+    /**
+     * Render a single alert entry
+     * @param {object} alert - Alert entry
+     * @returns {string} HTML string for alert row
+     * @private
+     */
+    _renderAlert(alert) {
+        const colors = {
+            danger: 'border-red-500 bg-red-50',
+            warning: 'border-orange-400 bg-orange-50',
+            info: 'border-blue-400 bg-blue-50'
+        };
+        const time = new Date(alert.raisedAt).toLocaleString(CONFIG.LOCALE, {
+            day: '2-digit',
+            month: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const resolved = alert.resolvedAt
+            ? `<span class="text-green-600 ml-2">${CONFIG.MESSAGES.ALERT_RESOLVED}</span>`
+            : '';
+
+        // Messages are built from sanitized parts by StatisticsModule
+        return `
+            <div class="border-l-4 ${colors[alert.level] || colors.info} p-3 rounded-lg flex justify-between items-start gap-2 ${alert.resolvedAt ? 'opacity-60' : ''}"
+                 data-id="${alert.id}">
+                <div class="flex-1 text-sm text-gray-800">
+                    <div>${alert.message}</div>
+                    <div class="text-xs text-gray-500 mt-1">${time}${resolved}</div>
+                </div>
+                <button class="alert-dismiss text-gray-400 hover:text-gray-700 text-lg leading-none" title="Ẩn">×</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Keep only the newest alerts
+     * @private
+     */
+    _trim() {
+        if (this._alerts.length > CONFIG.ALERT_HISTORY_MAX) {
+            this._alerts = this._alerts
+                .sort((a, b) => a.raisedAt.localeCompare(b.raisedAt))
+                .slice(-CONFIG.ALERT_HISTORY_MAX);
+        }
+    },
+
+    /**
+     * Save the alert history
+     * @private
+     */
+    _persist() {
+        StorageManager.saveAlerts(this._alerts);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlertModule;
+} else if (typeof window !== 'undefined') {
+    window.AlertModule = AlertModule;
+}
@@ -1,10 +1,22 @@
 // Calendar Module
-// Handles calendar rendering and navigation
+// Handles calendar rendering (month, week and year views with heatmap coloring),
+// navigation and keyboard movement between days
 
 const CalendarModule = {
     // Private properties
     _currentDate: new Date(),
     _expenses: [],
+    _view: CONFIG.CALENDAR_VIEWS.MONTH,
+    _focusedDate: null, // Day that keyboard navigation starts from (YYYY-MM-DD)
+    _dailyBudgets: new Map(), // Daily budget by period ID, worked out once per render
+    _carryOvers: new Map(), // Carry over by period ID, shared by the periods of one render
+
+    // Grid layout of each view
+    _gridClasses: {
+        month: 'grid grid-cols-7 gap-2',
+        week: 'space-y-2',
+        year: 'grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4'
+    },
 
     /**
      * Initialize calendar module
@@ -12,6 +24,7 @@ const CalendarModule = {
      */
     init(expenses = []) {
         this._expenses = expenses;
+        this._bindEvents();
         this.render();
     },
 
@@ -24,11 +37,69 @@ const CalendarModule = {
     },
 
     /**
-     * Render the calendar
+     * Render the calendar in the current view
      */
     render() {
+        this._dailyBudgets = new Map();
+        this._carryOvers = new Map();
+
+        const [startDate, endDate] = this._getVisibleRange();
+        if (!this._focusedDate || this._focusedDate < startDate || this._focusedDate > endDate) {
+            const today = Utils.getTodayString();
+            this._focusedDate = today >= startDate && today <= endDate ? today : startDate;
+        }
+
         this._updateMonthDisplay();
-        this._renderCalendarGrid();
+        $('.calendar-view-btn').each((index, button) => {
+            $(button).toggleClass('active', $(button).data('view') === this._view);
+        });
+        $('#calendarWeekdays').toggleClass('hidden', this._view !== CONFIG.CALENDAR_VIEWS.MONTH);
+        $('#calendarGrid').attr('class', this._gridClasses[this._view]);
+
+        if (this._view === CONFIG.CALENDAR_VIEWS.WEEK) {
+            this._renderWeek();
+        } else if (this._view === CONFIG.CALENDAR_VIEWS.YEAR) {
+            this._renderYear();
+        } else {
+            this._renderCalendarGrid();
+        }
+    },
+
+    /**
+     * Switch between the month, week and year views
+     * @param {string} view - One of CONFIG.CALENDAR_VIEWS
+     */
+    setView(view) {
+        if (!Object.values(CONFIG.CALENDAR_VIEWS).includes(view)) return;
+
+        // Keep the focused day in sight when zooming in or out
+        if (this._focusedDate) {
+            this._currentDate = Utils.parseDateString(this._focusedDate);
+        }
+        this._view = view;
+        this.render();
+    },
+
+    /**
+     * Get the current view
+     * @returns {string} One of CONFIG.CALENDAR_VIEWS
+     */
+    getView() {
+        return this._view;
+    },
+
+    /**
+     * Navigate back one month, week or year depending on the view
+     */
+    previous() {
+        this._shift(-1);
+    },
+
+    /**
+     * Navigate forward one month, week or year depending on the view
+     */
+    next() {
+        this._shift(1);
     },
 
     /**
@@ -48,11 +119,13 @@ const CalendarModule = {
     },
 
     /**
-     * Go to today's month
+     * Go to today (in the current view) and focus it
      */
     goToToday() {
         this._currentDate = new Date();
+        this._focusedDate = Utils.getTodayString();
         this.render();
+        this._focusDay(this._focusedDate);
     },
 
     /**
@@ -69,19 +142,160 @@ const CalendarModule = {
      */
     setCurrentDate(date) {
         this._currentDate = new Date(date);
+        this._focusedDate = Utils.toDateString(this._currentDate);
+        this.render();
+    },
+
+    /**
+     * Move the keyboard focus by a number of days, following it into another month, week or year
+     * @param {number} days - Days to move (may be negative)
+     */
+    moveFocus(days) {
+        const [startDate, endDate] = this._getVisibleRange();
+        const target = Utils.addDays(this._focusedDate || Utils.getTodayString(), days);
+
+        this._focusedDate = target;
+        if (target < startDate || target > endDate) {
+            this._currentDate = Utils.parseDateString(target);
+            this.render();
+        } else {
+            $('#calendarGrid [data-date]').attr('tabindex', -1);
+        }
+        this._focusDay(target);
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('.calendar-view-btn').click(event => this.setView($(event.currentTarget).data('view')));
+
+        // Days are re-rendered on every change, so events are delegated
+        const $grid = $('#calendarGrid');
+        $grid.on('click', '[data-date]', event => {
+            this._focusedDate = $(event.currentTarget).data('date');
+            AppController.showDailyExpenses(this._focusedDate);
+        });
+        $grid.on('click', '.calendar-mini-title', event => {
+            this._currentDate = Utils.parseDateString($(event.currentTarget).data('month'));
+            this.setView(CONFIG.CALENDAR_VIEWS.MONTH);
+        });
+        $grid.on('keydown', '[data-date]', event => this._handleKeydown(event));
+    },
+
+    /**
+     * Keyboard navigation: arrows move between days, Page Up / Page Down between months
+     * (weeks, years), Home / End to the start or end of the week, Enter opens the day, T jumps to today
+     * @param {Event} event - Keydown event on a day
+     * @private
+     */
+    _handleKeydown(event) {
+        const moves = {
+            ArrowLeft: -1,
+            ArrowRight: 1,
+            ArrowUp: this._view === CONFIG.CALENDAR_VIEWS.WEEK ? -1 : -7,
+            ArrowDown: this._view === CONFIG.CALENDAR_VIEWS.WEEK ? 1 : 7
+        };
+        const key = event.key || '';
+        const weekday = (Utils.parseDateString(this._focusedDate).getDay() + 6) % 7; // Monday = 0
+
+        if (moves[key] !== undefined) {
+            this.moveFocus(moves[key]);
+        } else if (key === 'Home') {
+            this.moveFocus(-weekday);
+        } else if (key === 'End') {
+            this.moveFocus(6 - weekday);
+        } else if (key === 'PageUp' || key === 'PageDown') {
+            this._shift(key === 'PageUp' ? -1 : 1);
+            this._focusDay(this._focusedDate);
+        } else if (key === 'Enter' || key === ' ') {
+            AppController.showDailyExpenses(this._focusedDate);
+        } else if (key.toLowerCase() === 't') {
+            this.goToToday();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    },
+
+    /**
+     * Move the shown month, week or year and the focused day along with it
+     * @param {number} direction - -1 for back, 1 for forward
+     * @private
+     */
+    _shift(direction) {
+        const focused = this._focusedDate || Utils.toDateString(this._currentDate);
+        const date = Utils.parseDateString(focused);
+
+        if (this._view === CONFIG.CALENDAR_VIEWS.WEEK) {
+            date.setDate(date.getDate() + direction * 7);
+        } else {
+            // Clamp the day so 31 January moves to the end of February, not into March
+            const months = this._view === CONFIG.CALENDAR_VIEWS.YEAR ? direction * 12 : direction;
+            const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+            target.setDate(Math.min(date.getDate(), Utils.getDaysInMonth(target)));
+            date.setTime(target.getTime());
+        }
+
+        this._currentDate = date;
+        this._focusedDate = Utils.toDateString(date);
         this.render();
     },
 
+    /**
+     * Give a rendered day the keyboard focus
+     * @param {string} dateStr - Date string
+     * @private
+     */
+    _focusDay(dateStr) {
+        const $day = $(`#calendarGrid [data-date="${dateStr}"]`);
+        $day.attr('tabindex', 0);
+        if ($day[0] && $day[0].focus) $day[0].focus();
+    },
+
+    /**
+     * Get the first and last date shown in the current view
+     * @returns {Array} [startDate, endDate] date strings
+     * @private
+     */
+    _getVisibleRange() {
+        const year = this._currentDate.getFullYear();
+        const month = this._currentDate.getMonth();
+
+        if (this._view === CONFIG.CALENDAR_VIEWS.WEEK) {
+            const monday = Utils.addDays(Utils.toDateString(this._currentDate), -((this._currentDate.getDay() + 6) % 7));
+            return [monday, Utils.addDays(monday, 6)];
+        }
+        if (this._view === CONFIG.CALENDAR_VIEWS.YEAR) {
+            return [this._formatDateString(year, 0, 1), this._formatDateString(year, 11, 31)];
+        }
+        return [
+            this._formatDateString(year, month, 1),
+            this._formatDateString(year, month, Utils.getDaysInMonth(this._currentDate))
+        ];
+    },
+
     /**
      * Update month display header
      * @private
      */
     _updateMonthDisplay() {
-        const monthText = Utils.formatDate(this._currentDate, {
-            month: 'long',
-            year: 'numeric'
-        });
-        $('#currentMonth').text(monthText);
+        let title;
+
+        if (this._view === CONFIG.CALENDAR_VIEWS.WEEK) {
+            const [startDate, endDate] = this._getVisibleRange().map(date => Utils.parseDateString(date));
+            const options = { day: '2-digit', month: '2-digit', year: 'numeric' };
+            title = `${Utils.formatDate(startDate, options)} – ${Utils.formatDate(endDate, options)}`;
+        } else if (this._view === CONFIG.CALENDAR_VIEWS.YEAR) {
+            title = CONFIG.MESSAGES.CALENDAR_YEAR_TITLE.replace('{year}', this._currentDate.getFullYear());
+        } else {
+            title = Utils.formatDate(this._currentDate, {
+                month: 'long',
+                year: 'numeric'
+            });
+        }
+        $('#currentMonth').text(title);
     },
 
     /**
@@ -96,6 +310,13 @@ const CalendarModule = {
         const firstDayOfWeek = Utils.getFirstDayOfMonth(this._currentDate);
         const daysInMonth = Utils.getDaysInMonth(this._currentDate);
 
+        // Recurring occurrences that are not posted yet
+        const upcoming = RecurringModule.getUpcomingOccurrences(
+            this._formatDateString(year, month, 1),
+            this._formatDateString(year, month, daysInMonth)
+        );
+        const byDate = this._groupByDate();
+
         let calendarHTML = '';
 
         // Empty cells for days before month starts
@@ -106,7 +327,7 @@ const CalendarModule = {
         // Calendar days
         for (let day = 1; day <= daysInMonth; day++) {
             const dateStr = this._formatDateString(year, month, day);
-            const dayData = this._getDayData(dateStr);
+            const dayData = this._getDayData(dateStr, upcoming, byDate);
 
             calendarHTML += this._renderDayCell(day, dateStr, dayData);
         }
@@ -126,21 +347,200 @@ const CalendarModule = {
         return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
     },
 
+    /**
+     * Render the week view: one row per day with its expenses listed inline
+     * @private
+     */
+    _renderWeek() {
+        const [startDate, endDate] = this._getVisibleRange();
+        const upcoming = RecurringModule.getUpcomingOccurrences(startDate, endDate);
+        const byDate = this._groupByDate();
+
+        let weekHTML = '';
+        for (let offset = 0; offset < 7; offset++) {
+            const dateStr = Utils.addDays(startDate, offset);
+            weekHTML += this._renderWeekDay(dateStr, this._getDayData(dateStr, upcoming, byDate));
+        }
+
+        $('#calendarGrid').html(weekHTML);
+    },
+
+    /**
+     * Render one day of the week view
+     * @param {string} dateStr - Date string
+     * @param {object} dayData - Day data object
+     * @returns {string} HTML string for day row
+     * @private
+     */
+    _renderWeekDay(dateStr, dayData) {
+        const heat = this._getHeat(dayData.totalAmount, dayData.dailyBudget);
+        const label = Utils.formatDate(Utils.parseDateString(dateStr), { weekday: 'long', day: '2-digit', month: '2-digit' });
+        const items = [
+            ...dayData.expenses.map(expense => this._renderWeekItem(expense)),
+            ...dayData.upcoming.map(occurrence => `
+                <div class="upcoming-info flex justify-between gap-2 text-xs" title="${CONFIG.MESSAGES.UPCOMING_LABEL}">
+                    <span class="truncate">🔁 ${Utils.sanitizeHtml(occurrence.description)}</span>
+                    <span>${CurrencyModule.formatBaseNumber(ExpenseManager.getBaseAmount(occurrence))}</span>
+                </div>
+            `)
+        ];
+
+        return `
+            <div class="calendar-week-day rounded-lg border p-3 cursor-pointer ${heat.className} ${Utils.isToday(dateStr) ? 'ring-2 ring-yellow-400' : ''}"
+                 data-date="${dateStr}" tabindex="${dateStr === this._focusedDate ? 0 : -1}" title="${heat.title}">
+                <div class="flex justify-between items-center text-sm font-semibold mb-1">
+                    <span class="capitalize">${label}</span>
+                    <span>${dayData.totalAmount > 0 ? `-${CurrencyModule.formatBaseNumber(dayData.totalAmount)}` : ''}
+                          ${dayData.incomeAmount > 0 ? `<span class="income-info">+${CurrencyModule.formatBaseNumber(dayData.incomeAmount)}</span>` : ''}</span>
+                </div>
+                ${items.length > 0
+                    ? `<div class="space-y-1">${items.join('')}</div>`
+                    : `<div class="text-xs opacity-60">${CONFIG.MESSAGES.CALENDAR_NO_EXPENSES}</div>`}
+            </div>
+        `;
+    },
+
+    /**
+     * Render one expense line of the week view
+     * @param {object} expense - Expense object
+     * @returns {string} HTML string for expense line
+     * @private
+     */
+    _renderWeekItem(expense) {
+        const { icon } = ExpenseManager.getCategoryStyle(expense.category);
+        const isIncome = ExpenseManager.isIncome(expense);
+        const amount = isIncome ? ExpenseManager.getBaseAmount(expense) : ExpenseManager.getOwnAmount(expense);
+
+        return `
+            <div class="flex justify-between gap-2 text-xs">
+                <span class="truncate">${icon ? Utils.sanitizeHtml(icon) : CategoryModule.renderDot(expense.category)} ${Utils.sanitizeHtml(expense.description)}</span>
+                <span class="${isIncome ? 'income-info' : ''} whitespace-nowrap">${isIncome ? '+' : '-'}${CurrencyModule.formatBaseNumber(amount)}</span>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the year overview: 12 mini months colored like the heatmap
+     * @private
+     */
+    _renderYear() {
+        const year = this._currentDate.getFullYear();
+        const byDate = this._groupByDate();
+        let yearHTML = '';
+
+        for (let month = 0; month < 12; month++) {
+            const firstDay = new Date(year, month, 1);
+            const daysInMonth = Utils.getDaysInMonth(firstDay);
+            let cells = '<div></div>'.repeat(Utils.getFirstDayOfMonth(firstDay));
+
+            for (let day = 1; day <= daysInMonth; day++) {
+                const dateStr = this._formatDateString(year, month, day);
+                const dayData = this._getDayData(dateStr, [], byDate);
+                const heat = this._getHeat(dayData.totalAmount, dayData.dailyBudget);
+                const title = `${day}/${month + 1}${dayData.totalAmount > 0 ? `: ${CurrencyModule.formatBase(dayData.totalAmount)}` : ''}`;
+
+                cells += `
+                    <div class="calendar-mini-day rounded-sm cursor-pointer ${heat.className || 'bg-gray-100'} ${Utils.isToday(dateStr) ? 'ring-1 ring-yellow-400' : ''}"
+                         data-date="${dateStr}" tabindex="${dateStr === this._focusedDate ? 0 : -1}" title="${title}"></div>
+                `;
+            }
+
+            const monthStart = this._formatDateString(year, month, 1);
+            yearHTML += `
+                <div>
+                    <button class="calendar-mini-title text-sm font-semibold text-gray-700 mb-1 capitalize hover:text-primary" data-month="${monthStart}">
+                        ${Utils.formatDate(firstDay, { month: 'long' })}
+                    </button>
+                    <div class="grid grid-cols-7 gap-0.5">${cells}</div>
+                </div>
+            `;
+        }
+
+        $('#calendarGrid').html(yearHTML);
+    },
+
+    /**
+     * Group expenses by date so each day does not scan every expense
+     * @returns {Map} Date string to array of expenses
+     * @private
+     */
+    _groupByDate() {
+        const byDate = new Map();
+        this._expenses.forEach(expense => {
+            if (!byDate.has(expense.date)) byDate.set(expense.date, []);
+            byDate.get(expense.date).push(expense);
+        });
+        return byDate;
+    },
+
+    /**
+     * Get the planned spending per day of the budget period a date belongs to
+     * (the active period when the date is outside every period), worked out once per period and render
+     * @param {string} dateStr - Date string
+     * @returns {number} Daily budget, or 0 if the period has no budget
+     * @private
+     */
+    _getDailyBudget(dateStr) {
+        const period = PeriodModule.getPeriodForDate(dateStr) || PeriodModule.getActivePeriod();
+        if (this._dailyBudgets.has(period.id)) return this._dailyBudgets.get(period.id);
+
+        const budget = (parseFloat(period.totalBudget) || 0) + PeriodModule.getCarryOver(period.id, this._carryOvers);
+        const days = Utils.daysBetween(Utils.parseDateString(period.startDate), Utils.parseDateString(period.endDate));
+        const dailyBudget = days > 0 ? budget / days : 0;
+
+        this._dailyBudgets.set(period.id, dailyBudget);
+        return dailyBudget;
+    },
+
+    /**
+     * Get heatmap class and tooltip for a day's spending compared to its daily budget
+     * @param {number} amount - Spent on the day
+     * @param {number} dailyBudget - Daily budget of the day (0 if none)
+     * @returns {object} { className, title } (className is empty when nothing was spent)
+     * @private
+     */
+    _getHeat(amount, dailyBudget) {
+        if (!(amount > 0)) return { className: '', title: '' };
+        if (!(dailyBudget > 0)) return { className: 'has-expenses', title: '' };
+
+        const ratio = amount / dailyBudget;
+        const title = CONFIG.MESSAGES.CALENDAR_HEAT_TITLE
+            .replace('{percent}', Math.round(ratio * 100))
+            .replace('{budget}', CurrencyModule.formatBase(dailyBudget));
+
+        if (ratio > 1) {
+            return { className: 'has-expenses heat-over', title };
+        }
+        const level = Math.max(1, Math.ceil(ratio * CONFIG.HEATMAP_LEVELS));
+        return { className: `has-expenses heat-${level}`, title };
+    },
+
     /**
      * Get day data (expenses and total)
      * @param {string} dateStr - Date string
+     * @param {Array} upcoming - Upcoming recurring occurrences for the month
+     * @param {Map} byDate - Expenses grouped by date (see _groupByDate)
      * @returns {object} Day data object
      * @private
      */
-    _getDayData(dateStr) {
-        const dayExpenses = this._expenses.filter(expense => expense.date === dateStr);
-        const totalAmount = dayExpenses.reduce((sum, expense) => sum + expense.amount, 0);
+    _getDayData(dateStr, upcoming = [], byDate = null) {
+        const dayExpenses = byDate
+            ? byDate.get(dateStr) || []
+            : this._expenses.filter(expense => expense.date === dateStr);
+        const totalAmount = ExpenseManager.getTotalSpent(dayExpenses);
+        const incomeAmount = ExpenseManager.getTotalIncome(dayExpenses);
+        const dayUpcoming = upcoming.filter(occurrence => occurrence.date === dateStr);
 
         return {
             expenses: dayExpenses,
             totalAmount,
+            incomeAmount,
             hasExpenses: dayExpenses.length > 0,
-            expenseCount: dayExpenses.length
+            expenseCount: dayExpenses.length,
+            upcoming: dayUpcoming,
+            upcomingAmount: dayUpcoming.reduce((sum, occurrence) => sum + ExpenseManager.getBaseAmount(occurrence), 0),
+            hasUpcoming: dayUpcoming.length > 0,
+            dailyBudget: this._getDailyBudget(dateStr)
         };
     },
 
@@ -154,12 +554,14 @@ const CalendarModule = {
      */
     _renderDayCell(day, dateStr, dayData) {
         const isToday = Utils.isToday(dateStr);
-        const classes = this._getDayCellClasses(dayData.hasExpenses, isToday);
+        const heat = this._getHeat(dayData.totalAmount, dayData.dailyBudget);
+        const classes = this._getDayCellClasses(dayData.hasExpenses, isToday, dayData.hasUpcoming, heat.className);
 
         return `
-            <div class="${classes}" onclick="showDailyExpenses('${dateStr}')">
+            <div class="${classes}" data-date="${dateStr}" tabindex="${dateStr === this._focusedDate ? 0 : -1}" title="${heat.title}">
                 <div class="font-bold text-base mb-1">${day}</div>
                 ${dayData.hasExpenses ? this._renderDayExpenseInfo(dayData) : ''}
+                ${dayData.hasUpcoming ? this._renderDayUpcomingInfo(dayData) : ''}
             </div>
         `;
     },
@@ -168,14 +570,21 @@ const CalendarModule = {
      * Get CSS classes for day cell
      * @param {boolean} hasExpenses - Whether day has expenses
      * @param {boolean} isToday - Whether day is today
+     * @param {boolean} hasUpcoming - Whether day has upcoming recurring expenses
+     * @param {string} heatClass - Heatmap classes of the day's spending
      * @returns {string} CSS class string
      * @private
      */
-    _getDayCellClasses(hasExpenses, isToday) {
+    _getDayCellClasses(hasExpenses, isToday, hasUpcoming = false, heatClass = '') {
         let classes = 'calendar-day rounded-lg cursor-pointer text-sm border ';
 
-        if (hasExpenses) {
-            classes += 'has-expenses ';
+        if (heatClass) {
+            classes += `${heatClass} `;
+        } else if (hasExpenses) {
+            // Only income on this day
+            classes += 'has-income ';
+        } else if (hasUpcoming) {
+            classes += 'has-upcoming ';
         } else {
             classes += 'bg-gray-50 hover:bg-gray-100 border-gray-200 ';
         }
@@ -194,11 +603,58 @@ const CalendarModule = {
      * @private
      */
     _renderDayExpenseInfo(dayData) {
+        const outflow = dayData.totalAmount > 0
+            ? `<div class="text-xs font-medium truncate w-full text-center">-${CurrencyModule.formatBaseNumber(dayData.totalAmount)}</div>`
+            : '';
+        const inflow = dayData.incomeAmount > 0
+            ? `<div class="income-info text-xs font-medium truncate w-full text-center">+${CurrencyModule.formatBaseNumber(dayData.incomeAmount)}</div>`
+            : '';
+
         return `
-            <div class="text-xs font-medium truncate w-full text-center">
-                ${Utils.formatNumber(dayData.totalAmount)}
-            </div>
+            ${outflow}
+            ${inflow}
             <div class="text-xs opacity-75">${dayData.expenseCount}</div>
+            ${this._renderDayCategories(dayData.expenses)}
+        `;
+    },
+
+    /**
+     * Render icons (or color dots) of the categories spent on a day, largest first
+     * @param {Array} dayExpenses - Expenses of the day
+     * @returns {string} HTML string for category icons
+     * @private
+     */
+    _renderDayCategories(dayExpenses) {
+        const totals = {};
+        dayExpenses
+            .filter(expense => !ExpenseManager.isIncome(expense))
+            .forEach(expense => {
+                totals[expense.category] = (totals[expense.category] || 0) + ExpenseManager.getOwnAmount(expense);
+            });
+
+        const icons = Object.keys(totals)
+            .sort((a, b) => totals[b] - totals[a])
+            .slice(0, 3)
+            .map(category => {
+                const { icon } = ExpenseManager.getCategoryStyle(category);
+                return `<span title="${Utils.sanitizeHtml(category)}">${icon ? Utils.sanitizeHtml(icon) : CategoryModule.renderDot(category)}</span>`;
+            })
+            .join('');
+
+        return icons ? `<div class="day-categories">${icons}</div>` : '';
+    },
+
+    /**
+     * Render upcoming recurring expense information for a day
+     * @param {object} dayData - Day data object
+     * @returns {string} HTML string for upcoming info
+     * @private
+     */
+    _renderDayUpcomingInfo(dayData) {
+        return `
+            <div class="upcoming-info text-xs truncate w-full text-center" title="${CONFIG.MESSAGES.UPCOMING_LABEL}">
+                🔁 ${CurrencyModule.formatBaseNumber(dayData.upcomingAmount)}
+            </div>
         `;
     },
 
@@ -226,9 +682,7 @@ const CalendarModule = {
      * @returns {number} Total amount for the date
      */
     getTotalForDate(dateStr) {
-        return this._expenses
-            .filter(expense => expense.date === dateStr)
-            .reduce((sum, expense) => sum + expense.amount, 0);
+        return ExpenseManager.getTotalSpent(this.getExpensesForDate(dateStr));
     }
 };
 
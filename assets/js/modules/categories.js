@@ -0,0 +1,169 @@
+// Category Module
+// Handles the category manager (rename, merge, delete, reorder, colors and icons)
+// and renders category badges used across the app
+
+const CategoryModule = {
+    /**
+     * Initialize category module
+     */
+    init() {
+        this._bindEvents();
+    },
+
+    /**
+     * Open the category manager
+     */
+    open() {
+        this.render();
+        $('#categoryModal').removeClass('hidden');
+    },
+
+    /**
+     * Close the category manager
+     */
+    close() {
+        $('#categoryModal').addClass('hidden');
+    },
+
+    /**
+     * Render the category list and the merge / delete forms
+     */
+    render() {
+        const categories = ExpenseManager.getCategories();
+
+        $('#categoryManagerList').html(categories.map((category, index) =>
+            this._renderCategoryRow(category, index, categories.length)
+        ).join(''));
+
+        this._renderSelect('#mergeSource', categories);
+        this._renderSelect('#mergeTarget', categories);
+        this._renderSelect('#deleteCategorySelect', categories);
+        this._renderSelect('#deleteReassignSelect', categories);
+    },
+
+    /**
+     * Get the display label of a category (icon + name, sanitized)
+     * @param {string} category - Category name
+     * @returns {string} HTML-safe label
+     */
+    getLabel(category) {
+        const { icon } = ExpenseManager.getCategoryStyle(category);
+        const name = Utils.sanitizeHtml(category);
+        return icon ? `${Utils.sanitizeHtml(icon)} ${name}` : name;
+    },
+
+    /**
+     * Render a category badge tinted with the category color
+     * @param {string} category - Category name
+     * @returns {string} HTML string for badge
+     */
+    renderBadge(category) {
+        const { color } = ExpenseManager.getCategoryStyle(category);
+        return `<span class="category-badge" style="background: ${color}26; border-left: 3px solid ${color}">${this.getLabel(category)}</span>`;
+    },
+
+    /**
+     * Render a small dot in the category color
+     * @param {string} category - Category name
+     * @returns {string} HTML string for dot
+     */
+    renderDot(category) {
+        const { color } = ExpenseManager.getCategoryStyle(category);
+        return `<span class="category-dot" style="background: ${color}"></span>`;
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#manageCategoriesBtn').click(() => this.open());
+        $('#closeCategoryModal').click(() => this.close());
+
+        // Rows are re-rendered on every change, so events are delegated
+        const $list = $('#categoryManagerList');
+        const categoryAt = element => ExpenseManager.getCategories()[$(element).closest('[data-index]').data('index')];
+
+        $list.on('click', '.category-move', event => {
+            AppController.moveCategory(categoryAt(event.currentTarget), Number($(event.currentTarget).data('offset')));
+        });
+        $list.on('change', '.category-color', event => {
+            AppController.setCategoryStyle(categoryAt(event.currentTarget), { color: event.currentTarget.value });
+        });
+        $list.on('change', '.category-icon', event => {
+            AppController.setCategoryStyle(categoryAt(event.currentTarget), { icon: event.currentTarget.value.trim() });
+        });
+        $list.on('click', '.category-rename', event => {
+            const $row = $(event.currentTarget).closest('[data-index]');
+            AppController.renameCategory(categoryAt(event.currentTarget), $row.find('.category-name').val());
+        });
+        $list.on('keypress', '.category-name', event => {
+            if (event.which === 13) $(event.currentTarget).closest('[data-index]').find('.category-rename').click();
+        });
+
+        $('#mergeCategoriesBtn').click(() => {
+            AppController.mergeCategories($('#mergeSource').val(), $('#mergeTarget').val());
+        });
+        $('#deleteCategoryBtn').click(() => {
+            AppController.deleteCategory($('#deleteCategorySelect').val(), $('#deleteReassignSelect').val());
+        });
+    },
+
+    /**
+     * Render one editable category row
+     * @param {string} category - Category name
+     * @param {number} index - Position in the category list
+     * @param {number} count - Number of categories
+     * @returns {string} HTML string for row
+     * @private
+     */
+    _renderCategoryRow(category, index, count) {
+        const { color, icon } = ExpenseManager.getCategoryStyle(category);
+        const expenseCount = ExpenseManager.getExpensesByCategory(category).length;
+        const inputClasses = 'p-2 border-2 border-gray-200 rounded-lg focus:border-primary focus:outline-none transition-colors';
+
+        return `
+            <div class="flex items-center gap-2" data-index="${index}">
+                <div class="flex flex-col">
+                    <button class="category-move text-gray-500 hover:text-gray-800 leading-none disabled:opacity-30" data-offset="-1"
+                            ${index === 0 ? 'disabled' : ''}>▲</button>
+                    <button class="category-move text-gray-500 hover:text-gray-800 leading-none disabled:opacity-30" data-offset="1"
+                            ${index === count - 1 ? 'disabled' : ''}>▼</button>
+                </div>
+                <input type="color" class="category-color h-10 w-10 rounded cursor-pointer" value="${color}" title="Màu">
+                <input type="text" class="category-icon w-12 text-center ${inputClasses}" value="${Utils.escapeAttr(icon)}"
+                       maxlength="4" placeholder="🙂" title="Biểu tượng">
+                <input type="text" class="category-name flex-1 min-w-0 ${inputClasses}" value="${Utils.escapeAttr(category)}">
+                <span class="text-xs text-gray-500 whitespace-nowrap">${expenseCount} khoản</span>
+                <button class="category-rename bg-gray-600 text-white px-3 py-2 rounded-lg text-sm hover:bg-gray-700 transition-colors">
+                    Đổi tên
+                </button>
+            </div>
+        `;
+    },
+
+    /**
+     * Fill a category select, keeping its current selection when possible
+     * @param {string} selector - Select element selector
+     * @param {Array} categories - Category names
+     * @private
+     */
+    _renderSelect(selector, categories) {
+        const $select = $(selector);
+        const selected = $select.val();
+        $select.html(categories.map(category =>
+            `<option value="${Utils.escapeAttr(category)}">${this.getLabel(category)}</option>`
+        ).join(''));
+
+        if (selected && categories.includes(selected)) {
+            $select.val(selected);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryModule;
+} else if (typeof window !== 'undefined') {
+    window.CategoryModule = CategoryModule;
+}
@@ -0,0 +1,430 @@
+// Category Rule Module
+// Handles automatic categorization: user rules ("description contains X → category"),
+// suggestions learned from past expenses, and the screen to review and edit the rules
+
+const CategoryRuleModule = {
+    // Private properties
+    _rules: [], // { id, keyword, category }
+    _isPrefilled: false, // Whether the form category was filled in by a suggestion
+
+    /**
+     * Initialize category rule module
+     * @param {Array} rules - Saved rules
+     */
+    init(rules) {
+        this.setRules(rules);
+        this._bindEvents();
+    },
+
+    /**
+     * Replace all rules (e.g. after import or undo)
+     * @param {Array} rules - Rules array
+     */
+    setRules(rules) {
+        this._rules = (rules || []).map(rule => ({ ...rule }));
+    },
+
+    /**
+     * Get all rules, sorted by keyword
+     * @returns {Array} Array of rule objects
+     */
+    getRules() {
+        return this._rules
+            .map(rule => ({ ...rule }))
+            .sort((a, b) => a.keyword.localeCompare(b.keyword, CONFIG.LOCALE));
+    },
+
+    /**
+     * Add a rule
+     * @param {object} ruleData - { keyword, category }
+     * @returns {object} Created rule
+     */
+    addRule(ruleData) {
+        const rule = { id: Utils.generateId(), ...this._validateRule(ruleData) };
+        this._rules.push(rule);
+        return { ...rule };
+    },
+
+    /**
+     * Change the keyword or category of a rule
+     * @param {number} id - Rule ID
+     * @param {object} changes - { keyword, category }
+     * @returns {object|null} Updated rule or null if not found
+     */
+    updateRule(id, changes) {
+        const index = this._rules.findIndex(rule => rule.id === id);
+        if (index === -1) return null;
+
+        const rule = { id, ...this._validateRule({ ...this._rules[index], ...changes }, id) };
+        this._rules[index] = rule;
+        return { ...rule };
+    },
+
+    /**
+     * Remove a rule
+     * @param {number} id - Rule ID
+     * @returns {boolean} True if removed
+     */
+    removeRule(id) {
+        const initialLength = this._rules.length;
+        this._rules = this._rules.filter(rule => rule.id !== id);
+        return this._rules.length < initialLength;
+    },
+
+    /**
+     * Point rules at a renamed, merged or deleted category
+     * @param {string} from - Old category name
+     * @param {string} to - New category name
+     */
+    renameCategory(from, to) {
+        this._rules = this._rules.map(rule => (rule.category === from ? { ...rule, category: to } : rule));
+    },
+
+    /**
+     * Suggest a category for a description
+     * @param {string} description - Expense description
+     * @returns {string|null} Suggested category or null
+     */
+    suggest(description) {
+        return this.getSuggester()(description);
+    },
+
+    /**
+     * Build a suggestion function from the rules and the expense history as they are now
+     * (reads the history once, so use it for many descriptions such as import rows).
+     * Rules win over learned categories, learned categories over the built-in keywords
+     * @returns {Function} description => category or null
+     */
+    getSuggester() {
+        const history = this._learn();
+
+        return description => {
+            const text = Utils.normalizeText(description).trim();
+            if (!text) return null;
+
+            return this._matchRule(text)
+                || this._matchHistory(text, history)
+                || this._matchKeywords(text);
+        };
+    },
+
+    /**
+     * Fill in categories of imported expenses that have none yet ("Khác" or empty);
+     * expenses that already exist here are left alone
+     * @param {Array} expenses - Imported expenses
+     * @returns {Array} Expenses with suggested categories
+     */
+    categorizeImported(expenses) {
+        const suggest = this.getSuggester();
+
+        return expenses.map(expense => {
+            const isUncategorized = !expense.category || expense.category === 'Khác';
+            if (!isUncategorized || expense.type === CONFIG.ENTRY_TYPES.INCOME || ExpenseManager.getExpenseById(expense.id)) {
+                return expense;
+            }
+
+            const category = suggest(expense.description);
+            return category ? { ...expense, category } : expense;
+        });
+    },
+
+    /**
+     * Get words that are usually spent on one category but have no rule yet
+     * @returns {Array} Array of { keyword, category, count, share }, most frequent first
+     */
+    getLearnedSuggestions() {
+        const { words } = this._learn();
+        const ruled = this._rules.map(rule => Utils.normalizeText(rule.keyword));
+
+        return [...words.entries()]
+            .map(([word, counts]) => ({ keyword: word, ...this._pickCategory(counts) }))
+            .filter(suggestion => suggestion.category && !ruled.some(keyword => suggestion.keyword.includes(keyword)))
+            .sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword))
+            .slice(0, CONFIG.AUTO_CATEGORY_MAX_SUGGESTIONS);
+    },
+
+    /**
+     * Count the expenses a rule matches
+     * @param {object} rule - Rule object
+     * @returns {number} Number of expenses
+     */
+    countMatches(rule) {
+        const keyword = Utils.normalizeText(rule.keyword);
+        return ExpenseManager.getExpenses()
+            .filter(expense => Utils.normalizeText(expense.description).includes(keyword))
+            .length;
+    },
+
+    /**
+     * Forget that the form category was suggested (after the form is cleared)
+     */
+    clearForm() {
+        this._isPrefilled = false;
+        $('#categorySuggestionHint').addClass('hidden');
+    },
+
+    /**
+     * Check whether the rules screen is open
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !$('#categoryRulesModal').hasClass('hidden');
+    },
+
+    /**
+     * Open the rules screen
+     */
+    open() {
+        this.render();
+        $('#categoryRulesModal').removeClass('hidden');
+    },
+
+    /**
+     * Close the rules screen
+     */
+    close() {
+        $('#categoryRulesModal').addClass('hidden');
+    },
+
+    /**
+     * Render the rules and the learned suggestions
+     */
+    render() {
+        const rules = this.getRules();
+        $('#categoryRuleList').html(rules.length > 0
+            ? rules.map(rule => this._renderRule(rule)).join('')
+            : `<p class="text-gray-500 text-sm text-center py-2">${CONFIG.MESSAGES.NO_CATEGORY_RULES}</p>`);
+
+        const suggestions = this.getLearnedSuggestions();
+        $('#learnedCategoryList').html(suggestions.length > 0
+            ? suggestions.map(suggestion => this._renderSuggestion(suggestion)).join('')
+            : `<p class="text-gray-500 text-sm text-center py-2">${CONFIG.MESSAGES.NO_LEARNED_CATEGORIES}</p>`);
+    },
+
+    /**
+     * Get data for storage
+     * @returns {object} { categoryRules }
+     */
+    getData() {
+        return {
+            categoryRules: this.getRules()
+        };
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#openCategoryRulesBtn').click(() => this.open());
+        $('#closeCategoryRulesModal').click(() => this.close());
+        $('#addCategoryRuleBtn').click(() => AppController.addCategoryRule());
+        $('#ruleKeyword, #ruleCategory').keypress(event => {
+            if (event.which === 13) AppController.addCategoryRule();
+        });
+
+        // Pre-fill the category while the description is typed, unless the user picked one
+        $('#expenseDescription').on('input', Utils.debounce(() => this._prefillCategory(), 200));
+        $('#expenseCategory').on('input', () => this.clearForm());
+
+        // Rows are re-rendered on every change, so events are delegated
+        const ruleId = element => Number($(element).closest('[data-id]').data('id'));
+        const $rules = $('#categoryRuleList');
+
+        $rules.on('change', '.rule-keyword', event => {
+            AppController.updateCategoryRule(ruleId(event.currentTarget), { keyword: event.currentTarget.value });
+        });
+        $rules.on('change', '.rule-category', event => {
+            AppController.updateCategoryRule(ruleId(event.currentTarget), { category: event.currentTarget.value });
+        });
+        $rules.on('click', '.rule-delete', event => {
+            AppController.deleteCategoryRule(ruleId(event.currentTarget));
+        });
+
+        $('#learnedCategoryList').on('click', '.learned-add', event => {
+            const $row = $(event.currentTarget).closest('[data-keyword]');
+            AppController.addCategoryRule({ keyword: $row.attr('data-keyword'), category: $row.attr('data-category') });
+        });
+    },
+
+    /**
+     * Fill in the suggested category for the description in the expense form
+     * @private
+     */
+    _prefillCategory() {
+        const $category = $('#expenseCategory');
+        if ($('#expenseType').val() === CONFIG.ENTRY_TYPES.INCOME) return;
+        if ($category.val().trim() && !this._isPrefilled) return;
+
+        const category = this.suggest($('#expenseDescription').val());
+        $category.val(category || '');
+        this._isPrefilled = Boolean(category);
+        $('#categorySuggestionHint').toggleClass('hidden', !category);
+    },
+
+    /**
+     * Validate rule data
+     * @param {object} ruleData - { keyword, category }
+     * @param {number} id - ID of the rule being changed (skipped in the duplicate check)
+     * @returns {object} { keyword, category }
+     * @private
+     */
+    _validateRule(ruleData, id = null) {
+        const keyword = String(ruleData.keyword || '').trim();
+        const category = String(ruleData.category || '').trim();
+        if (!keyword || !category) {
+            throw new Error(CONFIG.MESSAGES.CATEGORY_RULE_ERROR);
+        }
+
+        const normalized = Utils.normalizeText(keyword);
+        if (this._rules.some(rule => rule.id !== id && Utils.normalizeText(rule.keyword) === normalized)) {
+            throw new Error(CONFIG.MESSAGES.CATEGORY_RULE_EXISTS.replace('{keyword}', keyword));
+        }
+
+        return { keyword, category };
+    },
+
+    /**
+     * Find the rule whose keyword the text contains (the longest keyword wins)
+     * @param {string} text - Description without diacritics
+     * @returns {string|null} Category or null
+     * @private
+     */
+    _matchRule(text) {
+        const match = this._rules
+            .filter(rule => text.includes(Utils.normalizeText(rule.keyword)))
+            .sort((a, b) => b.keyword.length - a.keyword.length)[0];
+        return match ? match.category : null;
+    },
+
+    /**
+     * Suggest a category from past expenses: the same description first, then the most telling word
+     * @param {string} text - Description without diacritics
+     * @param {object} history - Learned counts from _learn()
+     * @returns {string|null} Category or null
+     * @private
+     */
+    _matchHistory(text, history) {
+        const exact = history.descriptions.get(text);
+        if (exact) {
+            return this._pickCategory(exact, 1).category;
+        }
+
+        const best = this._getWords(text)
+            .map(word => (history.words.has(word) ? this._pickCategory(history.words.get(word)) : {}))
+            .filter(pick => pick.category)
+            .sort((a, b) => b.share - a.share || b.count - a.count)[0];
+        return best ? best.category : null;
+    },
+
+    /**
+     * Suggest a category from the built-in keywords (whole words only)
+     * @param {string} text - Description without diacritics
+     * @returns {string|null} Category or null
+     * @private
+     */
+    _matchKeywords(text) {
+        const padded = ` ${text} `;
+        const match = Object.entries(CONFIG.CATEGORY_KEYWORDS).find(([, keywords]) =>
+            keywords.some(keyword => padded.includes(` ${Utils.normalizeText(keyword)} `)));
+        return match ? match[0] : null;
+    },
+
+    /**
+     * Count categories per description and per word of past expenses ("Khác" teaches nothing)
+     * @returns {object} { descriptions, words } - Maps of text to Map of category to count
+     * @private
+     */
+    _learn() {
+        const descriptions = new Map();
+        const words = new Map();
+        const count = (map, key, category) => {
+            if (!map.has(key)) map.set(key, new Map());
+            map.get(key).set(category, (map.get(key).get(category) || 0) + 1);
+        };
+
+        ExpenseManager.getExpenses()
+            .filter(expense => expense.type !== CONFIG.ENTRY_TYPES.INCOME && expense.category !== 'Khác')
+            .forEach(expense => {
+                const text = Utils.normalizeText(expense.description).trim();
+                count(descriptions, text, expense.category);
+                new Set(this._getWords(text)).forEach(word => count(words, word, expense.category));
+            });
+
+        return { descriptions, words };
+    },
+
+    /**
+     * Pick the dominant category from counts, if it is used often and consistently enough
+     * @param {Map} counts - Category to count
+     * @param {number} minCount - Least number of expenses needed
+     * @returns {object} { category, count, share } (category is null when nothing dominates)
+     * @private
+     */
+    _pickCategory(counts, minCount = CONFIG.AUTO_CATEGORY_MIN_COUNT) {
+        const total = [...counts.values()].reduce((sum, value) => sum + value, 0);
+        const [category, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+        const share = count / total;
+
+        return count >= minCount && share >= CONFIG.AUTO_CATEGORY_MIN_SHARE
+            ? { category, count, share }
+            : { category: null, count, share };
+    },
+
+    /**
+     * Split a description into words worth learning from (no numbers or single letters)
+     * @param {string} text - Description without diacritics
+     * @returns {Array} Words
+     * @private
+     */
+    _getWords(text) {
+        return text.split(/[^a-z0-9]+/).filter(word => word.length > 1 && !/^\d+$/.test(word));
+    },
+
+    /**
+     * Render one editable rule row
+     * @param {object} rule - Rule object
+     * @returns {string} HTML string for row
+     * @private
+     */
+    _renderRule(rule) {
+        const inputClasses = 'p-2 border-2 border-gray-200 rounded-lg focus:border-primary focus:outline-none transition-colors';
+
+        return `
+            <div class="flex items-center gap-2" data-id="${rule.id}">
+                <input type="text" class="rule-keyword flex-1 min-w-0 ${inputClasses}" value="${Utils.escapeAttr(rule.keyword)}">
+                <span class="text-gray-500">→</span>
+                <input type="text" class="rule-category flex-1 min-w-0 ${inputClasses}" value="${Utils.escapeAttr(rule.category)}"
+                       list="categoryList">
+                <span class="text-xs text-gray-500 whitespace-nowrap">${CONFIG.MESSAGES.CATEGORY_RULE_MATCHES.replace('{count}', this.countMatches(rule))}</span>
+                <button class="rule-delete text-gray-400 hover:text-red-500 text-lg">×</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Render one learned suggestion with a button that turns it into a rule
+     * @param {object} suggestion - { keyword, category, count, share }
+     * @returns {string} HTML string for row
+     * @private
+     */
+    _renderSuggestion(suggestion) {
+        return `
+            <div class="flex items-center justify-between gap-2 bg-gray-50 p-2 rounded-lg text-sm"
+                 data-keyword="${Utils.escapeAttr(suggestion.keyword)}" data-category="${Utils.escapeAttr(suggestion.category)}">
+                <span>"${Utils.sanitizeHtml(suggestion.keyword)}" → ${CategoryModule.renderBadge(suggestion.category)}</span>
+                <span class="text-xs text-gray-500 whitespace-nowrap">
+                    ${suggestion.count} khoản · ${Math.round(suggestion.share * 100)}%
+                    <button class="learned-add ml-2 bg-indigo-500 text-white px-2 py-1 rounded-lg hover:bg-indigo-600 transition-colors">＋ Quy tắc</button>
+                </span>
+            </div>
+        `;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryRuleModule;
+} else if (typeof window !== 'undefined') {
+    window.CategoryRuleModule = CategoryRuleModule;
+}
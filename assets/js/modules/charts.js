@@ -0,0 +1,319 @@
+// Chart Module
+// Renders the spending dashboard as inline SVG (no chart library, works offline)
+
+const ChartModule = {
+    // Chart dimensions (SVG viewBox units)
+    _width: 600,
+    _height: 220,
+    _padding: { top: 16, right: 12, bottom: 28, left: 56 },
+
+    /**
+     * Initialize chart module
+     */
+    init() {
+        this.render();
+    },
+
+    /**
+     * Render all charts for the active budget period
+     */
+    render() {
+        const period = PeriodModule.getActivePeriod();
+        const dailyTotals = this._getDailyTotals(period);
+
+        this._renderCategoryChart(StatisticsModule.getCategoryBreakdown());
+        this._renderDailyChart(dailyTotals);
+        this._renderBurndownChart(dailyTotals, PeriodModule.getBudgetSettings().totalBudget);
+    },
+
+    /**
+     * Get spending per day for every day of a period
+     * @param {object} period - Period with startDate and endDate
+     * @returns {Array} Array of { date, total } objects
+     * @private
+     */
+    _getDailyTotals(period) {
+        if (!period.startDate || !period.endDate || period.startDate > period.endDate) return [];
+
+        const totalsByDate = {};
+        ExpenseManager.getExpensesForPeriod(period)
+            .filter(expense => !ExpenseManager.isIncome(expense))
+            .forEach(expense => {
+                totalsByDate[expense.date] = (totalsByDate[expense.date] || 0) + ExpenseManager.getOwnAmount(expense);
+            });
+
+        const days = [];
+        for (let date = period.startDate; date <= period.endDate; date = Utils.addDays(date, 1)) {
+            days.push({ date, total: totalsByDate[date] || 0 });
+        }
+        return days;
+    },
+
+    /**
+     * Render category breakdown donut chart with legend
+     * @param {object} categoryStats - Category statistics from getCategoryBreakdown()
+     * @private
+     */
+    _renderCategoryChart(categoryStats) {
+        const entries = Object.keys(categoryStats)
+            .map(category => ({ category, total: categoryStats[category].total }))
+            .filter(entry => entry.total > 0)
+            .sort((a, b) => b.total - a.total);
+
+        if (entries.length === 0) {
+            $('#categoryChart').html(this._renderEmptyState());
+            return;
+        }
+
+        const grandTotal = entries.reduce((sum, entry) => sum + entry.total, 0);
+        const radius = 80;
+        const innerRadius = 48;
+        const center = 100;
+        let startAngle = -Math.PI / 2;
+
+        const slices = entries.map(entry => {
+            const color = ExpenseManager.getCategoryStyle(entry.category).color;
+            const fraction = entry.total / grandTotal;
+            const title = `<title>${Utils.sanitizeHtml(entry.category)}: ${CurrencyModule.formatBase(entry.total)}</title>`;
+
+            // A full circle cannot be drawn as a single arc
+            if (fraction >= 0.9999) {
+                return `<circle cx="${center}" cy="${center}" r="${(radius + innerRadius) / 2}" fill="none"
+                            stroke="${color}" stroke-width="${radius - innerRadius}">${title}</circle>`;
+            }
+
+            const endAngle = startAngle + fraction * Math.PI * 2;
+            const path = this._donutSlicePath(center, radius, innerRadius, startAngle, endAngle);
+            startAngle = endAngle;
+            return `<path d="${path}" fill="${color}">${title}</path>`;
+        }).join('');
+
+        const legend = entries.map(entry => `
+            <div class="flex items-center justify-between text-sm">
+                <span class="flex items-center gap-2">
+                    <span class="chart-legend-dot" style="background: ${ExpenseManager.getCategoryStyle(entry.category).color}"></span>
+                    ${CategoryModule.getLabel(entry.category)}
+                </span>
+                <span class="text-gray-600">${CurrencyModule.formatBaseNumber(entry.total)} (${Math.round((entry.total / grandTotal) * 100)}%)</span>
+            </div>
+        `).join('');
+
+        $('#categoryChart').html(`
+            <div class="flex flex-col sm:flex-row items-center gap-4">
+                <svg viewBox="0 0 200 200" class="w-48 h-48 flex-shrink-0">
+                    ${slices}
+                    <text x="${center}" y="${center}" text-anchor="middle" dominant-baseline="middle" class="chart-center-label">
+                        ${CurrencyModule.formatBaseNumber(grandTotal)}
+                    </text>
+                </svg>
+                <div class="flex-1 w-full space-y-1">${legend}</div>
+            </div>
+        `);
+    },
+
+    /**
+     * Render daily spending bar chart
+     * @param {Array} dailyTotals - Array of { date, total }
+     * @private
+     */
+    _renderDailyChart(dailyTotals) {
+        if (dailyTotals.length === 0 || dailyTotals.every(day => day.total === 0)) {
+            $('#dailyChart').html(this._renderEmptyState());
+            return;
+        }
+
+        const { top, left } = this._padding;
+        const plotWidth = this._getPlotWidth();
+        const plotHeight = this._getPlotHeight();
+        const maxValue = Math.max(...dailyTotals.map(day => day.total));
+        const slot = plotWidth / dailyTotals.length;
+        const barWidth = Math.max(1, slot * 0.7);
+
+        const bars = dailyTotals.map((day, index) => {
+            const barHeight = (day.total / maxValue) * plotHeight;
+            const x = left + index * slot + (slot - barWidth) / 2;
+            const y = top + plotHeight - barHeight;
+            const todayClass = Utils.isToday(day.date) ? 'chart-bar-today' : 'chart-bar';
+
+            return `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="1" class="${todayClass}">
+                        <title>${day.date}: ${CurrencyModule.formatBase(day.total)}</title>
+                    </rect>`;
+        }).join('');
+
+        $('#dailyChart').html(this._renderSvg(
+            this._renderYAxis(maxValue) + bars + this._renderXAxisLabels(dailyTotals)
+        ));
+    },
+
+    /**
+     * Render cumulative spend burn-down against the ideal budget line
+     * @param {Array} dailyTotals - Array of { date, total }
+     * @param {number} totalBudget - Budget for the period
+     * @private
+     */
+    _renderBurndownChart(dailyTotals, totalBudget) {
+        if (dailyTotals.length === 0 || !totalBudget) {
+            $('#burndownChart').html(this._renderEmptyState(CONFIG.MESSAGES.CHART_NO_BUDGET));
+            return;
+        }
+
+        const { top, left } = this._padding;
+        const plotWidth = this._getPlotWidth();
+        const plotHeight = this._getPlotHeight();
+        const today = Utils.getTodayString();
+
+        // Cumulative spending up to today only; future days are unknown
+        let cumulative = 0;
+        const actual = [];
+        dailyTotals.forEach((day, index) => {
+            cumulative += day.total;
+            if (day.date <= today) actual.push({ index, value: cumulative });
+        });
+
+        const maxValue = Math.max(totalBudget, cumulative);
+        const lastIndex = Math.max(1, dailyTotals.length - 1);
+        const toX = index => left + (index / lastIndex) * plotWidth;
+        const toY = value => top + plotHeight - (value / maxValue) * plotHeight;
+
+        const idealLine = `<line x1="${toX(0)}" y1="${toY(0)}" x2="${toX(lastIndex)}" y2="${toY(totalBudget)}" class="chart-ideal-line" />`;
+        const budgetLine = `<line x1="${left}" y1="${toY(totalBudget)}" x2="${left + plotWidth}" y2="${toY(totalBudget)}" class="chart-budget-line" />`;
+        const actualLine = actual.length > 0
+            ? `<polyline points="${actual.map(point => `${toX(point.index)},${toY(point.value)}`).join(' ')}" class="chart-actual-line" />`
+            : '';
+
+        const legend = `
+            <div class="flex gap-4 justify-center text-xs text-gray-600 mt-2">
+                <span class="flex items-center gap-1"><span class="chart-legend-line chart-legend-actual"></span>Đã chi tích lũy</span>
+                <span class="flex items-center gap-1"><span class="chart-legend-line chart-legend-ideal"></span>Mức lý tưởng</span>
+            </div>
+        `;
+
+        $('#burndownChart').html(this._renderSvg(
+            this._renderYAxis(maxValue) + budgetLine + idealLine + actualLine + this._renderXAxisLabels(dailyTotals)
+        ) + legend);
+    },
+
+    /**
+     * Build SVG path for a donut slice
+     * @param {number} center - Center coordinate
+     * @param {number} outer - Outer radius
+     * @param {number} inner - Inner radius
+     * @param {number} start - Start angle (radians)
+     * @param {number} end - End angle (radians)
+     * @returns {string} SVG path data
+     * @private
+     */
+    _donutSlicePath(center, outer, inner, start, end) {
+        const largeArc = end - start > Math.PI ? 1 : 0;
+        const point = (radius, angle) => `${center + radius * Math.cos(angle)} ${center + radius * Math.sin(angle)}`;
+
+        return [
+            `M ${point(outer, start)}`,
+            `A ${outer} ${outer} 0 ${largeArc} 1 ${point(outer, end)}`,
+            `L ${point(inner, end)}`,
+            `A ${inner} ${inner} 0 ${largeArc} 0 ${point(inner, start)}`,
+            'Z'
+        ].join(' ');
+    },
+
+    /**
+     * Render Y axis gridlines and labels
+     * @param {number} maxValue - Maximum value on the axis
+     * @returns {string} SVG markup
+     * @private
+     */
+    _renderYAxis(maxValue) {
+        const { top, left } = this._padding;
+        const plotWidth = this._getPlotWidth();
+        const plotHeight = this._getPlotHeight();
+        const steps = 4;
+        let markup = '';
+
+        for (let i = 0; i <= steps; i++) {
+            const value = (maxValue / steps) * i;
+            const y = top + plotHeight - (i / steps) * plotHeight;
+            markup += `<line x1="${left}" y1="${y}" x2="${left + plotWidth}" y2="${y}" class="chart-grid" />`;
+            markup += `<text x="${left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle" class="chart-axis-label">${this._formatShort(value)}</text>`;
+        }
+
+        return markup;
+    },
+
+    /**
+     * Render a few X axis date labels
+     * @param {Array} dailyTotals - Array of { date, total }
+     * @returns {string} SVG markup
+     * @private
+     */
+    _renderXAxisLabels(dailyTotals) {
+        const { top, left } = this._padding;
+        const plotWidth = this._getPlotWidth();
+        const y = top + this._getPlotHeight() + 16;
+        const slot = plotWidth / dailyTotals.length;
+        const every = Math.max(1, Math.ceil(dailyTotals.length / 6));
+
+        return dailyTotals.map((day, index) => {
+            if (index % every !== 0) return '';
+            const x = left + index * slot + slot / 2;
+            const label = Utils.formatDate(Utils.parseDateString(day.date), { day: '2-digit', month: '2-digit' });
+            return `<text x="${x}" y="${y}" text-anchor="middle" class="chart-axis-label">${label}</text>`;
+        }).join('');
+    },
+
+    /**
+     * Wrap chart content in an SVG element
+     * @param {string} content - SVG content
+     * @returns {string} SVG markup
+     * @private
+     */
+    _renderSvg(content) {
+        return `<svg viewBox="0 0 ${this._width} ${this._height}" class="w-full h-auto">${content}</svg>`;
+    },
+
+    /**
+     * Render empty chart placeholder
+     * @param {string} message - Message to show
+     * @returns {string} HTML string
+     * @private
+     */
+    _renderEmptyState(message = CONFIG.MESSAGES.CHART_NO_DATA) {
+        return `<p class="text-gray-500 text-center text-sm py-6">${message}</p>`;
+    },
+
+    /**
+     * Format axis values compactly (e.g. 1.5tr, 200k)
+     * @param {number} value - Value to format
+     * @returns {string} Short label
+     * @private
+     */
+    _formatShort(value) {
+        if (value >= 1000000) return `${Math.round(value / 100000) / 10}tr`;
+        if (value >= 1000) return `${Math.round(value / 1000)}k`;
+        return String(Math.round(value));
+    },
+
+    /**
+     * Get width of the plot area
+     * @returns {number} Plot area width
+     * @private
+     */
+    _getPlotWidth() {
+        return this._width - this._padding.left - this._padding.right;
+    },
+
+    /**
+     * Get height of the plot area
+     * @returns {number} Plot area height
+     * @private
+     */
+    _getPlotHeight() {
+        return this._height - this._padding.top - this._padding.bottom;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartModule;
+} else if (typeof window !== 'undefined') {
+    window.ChartModule = ChartModule;
+}
@@ -0,0 +1,105 @@
+// CSV Export Module
+// Builds spreadsheet-friendly CSV exports of expenses and period summaries
+
+const CsvExportModule = {
+    /**
+     * Build expense list rows filtered by date range and category
+     * @param {object} filters - Filters
+     * @param {string} filters.from - Start date (YYYY-MM-DD, optional)
+     * @param {string} filters.to - End date (YYYY-MM-DD, optional)
+     * @param {string} filters.category - Category name (optional, all when empty)
+     * @returns {Array} Rows including the header row
+     */
+    buildExpenseRows(filters = {}) {
+        const expenses = ExpenseManager.getExpenses()
+            .filter(expense => !filters.from || expense.date >= filters.from)
+            .filter(expense => !filters.to || expense.date <= filters.to)
+            .filter(expense => !filters.category || expense.category === filters.category)
+            .sort((a, b) => a.date.localeCompare(b.date) || (a.timestamp || '').localeCompare(b.timestamp || ''));
+
+        const baseCurrency = CurrencyModule.getBaseCurrency();
+        const rows = expenses.map(expense => [
+            expense.date,
+            expense.timestamp ? new Date(expense.timestamp).toLocaleTimeString(CONFIG.LOCALE) : '',
+            ExpenseManager.isIncome(expense) ? 'Thu' : 'Chi',
+            Utils.unescapeHtml(expense.category),
+            Utils.unescapeHtml(expense.description),
+            expense.amount,
+            expense.currency || baseCurrency,
+            ExpenseManager.getBaseAmount(expense),
+            ExpenseManager.getOwnAmount(expense)
+        ]);
+
+        return [['Ngày', 'Giờ', 'Loại', 'Danh mục', 'Mô tả', 'Số tiền', 'Tiền tệ', `Quy đổi (${baseCurrency})`,
+            `Phần của tôi (${baseCurrency})`], ...rows];
+    },
+
+    /**
+     * Build per-day and per-category summary tables for a budget period
+     * @param {object} period - Budget period
+     * @returns {Array} Rows for both tables, separated by a blank row
+     */
+    buildSummaryRows(period) {
+        const entries = ExpenseManager.getExpensesForPeriod(period);
+        const expenses = entries.filter(entry => !ExpenseManager.isIncome(entry));
+        const totalSpent = ExpenseManager.getTotalSpent(expenses);
+        const limits = StatisticsModule.getCategoryLimits();
+        const baseCurrency = CurrencyModule.getBaseCurrency();
+
+        // Per-day table covers every day of the period, including days without spending
+        const dayRows = [];
+        for (let date = period.startDate; date <= period.endDate; date = Utils.addDays(date, 1)) {
+            const dayEntries = entries.filter(entry => entry.date === date);
+            dayRows.push([
+                date,
+                dayEntries.filter(entry => !ExpenseManager.isIncome(entry)).length,
+                ExpenseManager.getTotalSpent(dayEntries),
+                ExpenseManager.getTotalIncome(dayEntries)
+            ]);
+        }
+
+        const categoryStats = ExpenseManager.getStatistics(
+            new Date(period.startDate),
+            new Date(period.endDate)
+        ).categoryStats;
+        const categoryRows = Object.keys(categoryStats)
+            .sort((a, b) => categoryStats[b].total - categoryStats[a].total)
+            .map(category => [
+                Utils.unescapeHtml(category),
+                categoryStats[category].count,
+                categoryStats[category].total,
+                totalSpent > 0 ? Math.round((categoryStats[category].total / totalSpent) * 1000) / 10 : 0,
+                limits[category] || ''
+            ]);
+
+        return [
+            ['Kỳ ngân sách', Utils.unescapeHtml(period.name), period.startDate, period.endDate],
+            [],
+            ['Ngày', 'Số khoản chi', `Chi (${baseCurrency})`, `Thu (${baseCurrency})`],
+            ...dayRows,
+            ['Tổng', expenses.length, totalSpent, ExpenseManager.getTotalIncome(entries)],
+            [],
+            ['Danh mục', 'Số khoản', `Tổng chi (${baseCurrency})`, '% tổng chi', `Giới hạn (${baseCurrency})`],
+            ...categoryRows
+        ];
+    },
+
+    /**
+     * Read the export filter form
+     * @returns {object} Filters for buildExpenseRows
+     */
+    getFilters() {
+        return {
+            from: $('#exportFrom').val(),
+            to: $('#exportTo').val(),
+            category: $('#exportCategory').val()
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvExportModule;
+} else if (typeof window !== 'undefined') {
+    window.CsvExportModule = CsvExportModule;
+}
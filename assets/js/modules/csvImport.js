@@ -0,0 +1,242 @@
+// CSV Import Module
+// Handles CSV import (bank / e-wallet statements): column mapping, preview and commit
+
+const CsvImportModule = {
+    // Private properties
+    _rows: [],
+    _fileName: '',
+
+    // Fields that can be mapped to a CSV column
+    _fields: ['date', 'description', 'amount', 'category'],
+
+    // Header keywords used to guess the column mapping
+    _headerHints: {
+        date: /ngày|ngay|date|thời gian|thoi gian|time/i,
+        description: /mô tả|mo ta|nội dung|noi dung|diễn giải|dien giai|description|details|memo|ghi chú/i,
+        amount: /số tiền|so tien|amount|ghi nợ|debit|tiền|value/i,
+        category: /danh mục|danh muc|category|phân loại|loại/i
+    },
+
+    /**
+     * Initialize CSV import module
+     */
+    init() {
+        this._bindEvents();
+    },
+
+    /**
+     * Open the import dialog for CSV text
+     * @param {string} text - CSV file content
+     * @param {string} fileName - Name of the imported file
+     */
+    open(text, fileName = '') {
+        this._rows = CsvUtils.parse(text);
+        this._fileName = fileName;
+
+        if (this._rows.length === 0) {
+            throw new Error(CONFIG.MESSAGES.CSV_EMPTY);
+        }
+
+        $('#csvFileName').text(fileName);
+        $('#csvHasHeader').prop('checked', this._looksLikeHeader(this._rows[0]));
+        this._renderMappingSelects();
+        this._guessMapping();
+        this.renderPreview();
+        $('#csvImportModal').removeClass('hidden');
+    },
+
+    /**
+     * Close the import dialog
+     */
+    close() {
+        $('#csvImportModal').addClass('hidden');
+        this._rows = [];
+    },
+
+    /**
+     * Convert CSV rows to expense data using the current mapping
+     * @returns {Array} Array of { row, expense, error } objects
+     */
+    getMappedRows() {
+        const mapping = this._getMapping();
+        const signMode = $('#csvSignMode').val();
+        const dataRows = $('#csvHasHeader').is(':checked') ? this._rows.slice(1) : this._rows;
+
+        // Rows without a category column get one from the auto-categorization rules
+        const suggest = CategoryRuleModule.getSuggester();
+
+        return dataRows.map(row => {
+            const cell = field => (mapping[field] === '' ? '' : CsvUtils.unescapeFormula((row[mapping[field]] || '').trim()));
+            const description = cell('description') || CONFIG.MESSAGES.CSV_DEFAULT_DESCRIPTION;
+            const date = CsvUtils.parseDate(cell('date'));
+            const rawAmount = CsvUtils.parseAmount(cell('amount'));
+
+            if (!date) return { row, error: CONFIG.MESSAGES.CSV_BAD_DATE };
+            if (isNaN(rawAmount) || rawAmount === 0) return { row, error: CONFIG.MESSAGES.CSV_BAD_AMOUNT };
+
+            // Bank statements use negative amounts for money going out
+            const isIncome = signMode === 'signed' && rawAmount > 0;
+
+            return {
+                row,
+                expense: {
+                    type: isIncome ? CONFIG.ENTRY_TYPES.INCOME : CONFIG.ENTRY_TYPES.EXPENSE,
+                    date,
+                    description,
+                    amount: Math.abs(rawAmount),
+                    category: cell('category') || (isIncome ? CONFIG.INCOME_CATEGORY : suggest(description) || 'Khác')
+                }
+            };
+        });
+    },
+
+    /**
+     * Render preview table of mapped rows
+     */
+    renderPreview() {
+        const mappedRows = this.getMappedRows();
+        const validCount = mappedRows.filter(item => item.expense).length;
+
+        const rowsHtml = mappedRows.slice(0, CONFIG.CSV_PREVIEW_ROWS).map(item => {
+            if (item.error) {
+                return `
+                    <tr class="bg-red-50 text-red-700">
+                        <td class="p-2" colspan="4">${Utils.sanitizeHtml(item.row.join(' | '))}</td>
+                        <td class="p-2 whitespace-nowrap">${item.error}</td>
+                    </tr>
+                `;
+            }
+
+            const { expense } = item;
+            const isIncome = expense.type === CONFIG.ENTRY_TYPES.INCOME;
+            return `
+                <tr class="border-b border-gray-100">
+                    <td class="p-2 whitespace-nowrap">${expense.date}</td>
+                    <td class="p-2">${Utils.sanitizeHtml(expense.description)}</td>
+                    <td class="p-2 text-right whitespace-nowrap ${isIncome ? 'text-green-600' : 'text-red-600'}">
+                        ${isIncome ? '+' : ''}${Utils.formatNumber(expense.amount)}
+                    </td>
+                    <td class="p-2">${Utils.sanitizeHtml(expense.category)}</td>
+                    <td class="p-2 text-green-600">✓</td>
+                </tr>
+            `;
+        }).join('');
+
+        $('#csvPreview').html(`
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-gray-600 border-b border-gray-200">
+                        <th class="p-2">Ngày</th><th class="p-2">Mô tả</th><th class="p-2 text-right">Số tiền</th>
+                        <th class="p-2">Danh mục</th><th class="p-2"></th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        `);
+
+        $('#csvSummary').text(CONFIG.MESSAGES.CSV_SUMMARY
+            .replace('{valid}', validCount)
+            .replace('{invalid}', mappedRows.length - validCount));
+        $('#csvCommitBtn').prop('disabled', validCount === 0).text(`Nhập ${validCount} dòng`);
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#closeCsvModal, #csvCancelBtn').click(() => this.close());
+        $('#csvCommitBtn').click(() => {
+            const expenses = this.getMappedRows().filter(item => item.expense).map(item => item.expense);
+            AppController.importCsvExpenses(expenses);
+        });
+        $('#csvHasHeader, #csvSignMode').change(() => {
+            this._renderMappingSelects();
+            this.renderPreview();
+        });
+        $('#csvMapping').on('change', 'select', () => this.renderPreview());
+    },
+
+    /**
+     * Render a column select for each mappable field
+     * @private
+     */
+    _renderMappingSelects() {
+        const previous = this._getMapping();
+        const hasHeader = $('#csvHasHeader').is(':checked');
+        const columnCount = Math.max(...this._rows.map(row => row.length));
+        const labels = CONFIG.CSV_FIELD_LABELS;
+
+        const columnOptions = Array.from({ length: columnCount }, (_, index) => {
+            const header = hasHeader && this._rows[0][index] ? this._rows[0][index] : `Cột ${index + 1}`;
+            return `<option value="${index}">${Utils.sanitizeHtml(header)}</option>`;
+        }).join('');
+
+        const html = this._fields.map(field => `
+            <label class="block text-sm">
+                <span class="font-semibold text-gray-700">${labels[field]}</span>
+                <select data-field="${field}"
+                    class="w-full mt-1 p-2 border-2 border-gray-200 rounded-lg focus:border-primary focus:outline-none">
+                    <option value="">(${CONFIG.MESSAGES.CSV_NOT_MAPPED})</option>
+                    ${columnOptions}
+                </select>
+            </label>
+        `).join('');
+
+        $('#csvMapping').html(html);
+
+        // Keep the user's choices when the header option changes
+        this._fields.forEach(field => {
+            if (previous[field] !== undefined) {
+                $(`#csvMapping select[data-field="${field}"]`).val(previous[field]);
+            }
+        });
+    },
+
+    /**
+     * Guess the mapping from header names, falling back to column order
+     * @private
+     */
+    _guessMapping() {
+        const header = this._rows[0];
+        const hasHeader = $('#csvHasHeader').is(':checked');
+
+        this._fields.forEach((field, fieldIndex) => {
+            let column = hasHeader ? header.findIndex(name => this._headerHints[field].test(name)) : -1;
+            if (column === -1 && field !== 'category' && fieldIndex < header.length) {
+                column = fieldIndex;
+            }
+            $(`#csvMapping select[data-field="${field}"]`).val(column === -1 ? '' : String(column));
+        });
+    },
+
+    /**
+     * Get the current field → column mapping
+     * @returns {object} Map of field to column index ('' when not mapped)
+     * @private
+     */
+    _getMapping() {
+        const mapping = {};
+        $('#csvMapping select').each((_, select) => {
+            mapping[$(select).data('field')] = select.value;
+        });
+        return mapping;
+    },
+
+    /**
+     * Check whether the first row is a header (no cell parses as a date)
+     * @param {Array} row - First CSV row
+     * @returns {boolean} True if the row looks like a header
+     * @private
+     */
+    _looksLikeHeader(row) {
+        return !row.some(value => CsvUtils.parseDate(value));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvImportModule;
+} else if (typeof window !== 'undefined') {
+    window.CsvImportModule = CsvImportModule;
+}
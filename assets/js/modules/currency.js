@@ -0,0 +1,327 @@
+// Currency Module
+// Handles the base currency, the table of exchange rates (tied to dates)
+// and converting amounts entered in other currencies to the base currency
+
+const CurrencyModule = {
+    // Private properties
+    _baseCurrency: CONFIG.DEFAULT_BASE_CURRENCY,
+    _rates: [], // { id, currency, date, rate } - 1 unit of currency = rate base currency, from date on
+
+    /**
+     * Initialize currency module
+     * @param {object} data - Data with baseCurrency and exchangeRates
+     */
+    init(data) {
+        this.setData(data);
+        this._bindEvents();
+    },
+
+    /**
+     * Replace base currency and rates (e.g. after import or undo)
+     * @param {object} data - Data with baseCurrency and exchangeRates
+     */
+    setData(data) {
+        this._baseCurrency = CONFIG.CURRENCIES[data.baseCurrency] ? data.baseCurrency : CONFIG.DEFAULT_BASE_CURRENCY;
+        this._rates = (data.exchangeRates || []).map(rate => ({ ...rate }));
+        this.render();
+    },
+
+    /**
+     * Get the base currency every total is converted to
+     * @returns {string} Currency code
+     */
+    getBaseCurrency() {
+        return this._baseCurrency;
+    },
+
+    /**
+     * Get all exchange rates, grouped by currency and newest first
+     * @returns {Array} Array of rate objects
+     */
+    getRates() {
+        return this._rates
+            .map(rate => ({ ...rate }))
+            .sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+    },
+
+    /**
+     * Get the rate of a currency on a date: the latest rate set on or before the date,
+     * or the earliest one when the date comes before every rate
+     * @param {string} currency - Currency code
+     * @param {string} dateStr - Date string in YYYY-MM-DD format
+     * @returns {number|null} Base currency per unit, null if the currency has no rate
+     */
+    getRate(currency, dateStr) {
+        if (!currency || currency === this._baseCurrency) return 1;
+
+        const rates = this._rates
+            .filter(rate => rate.currency === currency)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        if (rates.length === 0) return null;
+
+        const applicable = rates.filter(rate => rate.date <= dateStr);
+        return applicable.length > 0 ? applicable[applicable.length - 1].rate : rates[0].rate;
+    },
+
+    /**
+     * Convert an amount to the base currency
+     * @param {number} amount - Amount in its own currency
+     * @param {string} currency - Currency code (missing means the base currency)
+     * @param {string} dateStr - Date the rate applies to
+     * @returns {number} Amount in the base currency (0 when the currency has no rate)
+     */
+    toBase(amount, currency, dateStr) {
+        const rate = this.getRate(currency, dateStr);
+        return rate === null ? 0 : amount * rate;
+    },
+
+    /**
+     * Format an amount in the base currency with its code
+     * @param {number} amount - Amount in the base currency
+     * @returns {string} Formatted amount, e.g. "50.000 VND"
+     */
+    formatBase(amount) {
+        return Utils.formatMoney(amount, this._baseCurrency);
+    },
+
+    /**
+     * Format an amount in the base currency without its code
+     * @param {number} amount - Amount in the base currency
+     * @returns {string} Formatted number
+     */
+    formatBaseNumber(amount) {
+        return Utils.formatNumber(amount, CONFIG.CURRENCIES[this._baseCurrency].decimals);
+    },
+
+    /**
+     * Format an exchange rate (small rates such as JPY → USD keep their digits)
+     * @param {number} rate - Exchange rate
+     * @returns {string} Formatted rate
+     */
+    formatRate(rate) {
+        return rate.toLocaleString(CONFIG.LOCALE, { maximumFractionDigits: 6 });
+    },
+
+    /**
+     * Get currencies used by entries that have no exchange rate at all
+     * @param {Array} entries - Expenses or recurring templates
+     * @returns {Array} Currency codes
+     */
+    getMissingCurrencies(entries) {
+        const missing = new Set();
+        entries.forEach(entry => {
+            if (this.getRate(entry.currency, entry.date || entry.startDate) === null) {
+                missing.add(entry.currency);
+            }
+        });
+        return [...missing];
+    },
+
+    /**
+     * Add an exchange rate (a rate for the same currency and date is replaced)
+     * @param {object} rateData - { currency, date, rate }
+     * @returns {object} Saved rate
+     */
+    addRate(rateData) {
+        const rate = parseFloat(rateData.rate);
+        if (!CONFIG.CURRENCIES[rateData.currency] || rateData.currency === this._baseCurrency ||
+            !rateData.date || !(rate > 0)) {
+            throw new Error(CONFIG.MESSAGES.CURRENCY_RATE_ERROR);
+        }
+
+        const existing = this._rates.find(r => r.currency === rateData.currency && r.date === rateData.date);
+        if (existing) {
+            existing.rate = rate;
+            this.render();
+            return { ...existing };
+        }
+
+        const saved = { id: Utils.generateId(), currency: rateData.currency, date: rateData.date, rate };
+        this._rates.push(saved);
+        this.render();
+        return { ...saved };
+    },
+
+    /**
+     * Change the value of an exchange rate
+     * @param {number} id - Rate ID
+     * @param {number} value - New rate
+     */
+    updateRate(id, value) {
+        const rate = parseFloat(value);
+        const existing = this._rates.find(r => r.id === id);
+        if (!existing || !(rate > 0)) {
+            throw new Error(CONFIG.MESSAGES.CURRENCY_RATE_ERROR);
+        }
+
+        existing.rate = rate;
+        this.render();
+    },
+
+    /**
+     * Remove an exchange rate
+     * @param {number} id - Rate ID
+     * @returns {boolean} True if removed
+     */
+    removeRate(id) {
+        const initialLength = this._rates.length;
+        this._rates = this._rates.filter(rate => rate.id !== id);
+        this.render();
+        return this._rates.length < initialLength;
+    },
+
+    /**
+     * Change the base currency and restate every rate against it
+     * @param {string} currency - New base currency (needs a rate in the current base)
+     */
+    setBaseCurrency(currency) {
+        if (!CONFIG.CURRENCIES[currency] || currency === this._baseCurrency) return;
+        if (this.getRate(currency, Utils.getTodayString()) === null) {
+            throw new Error(CONFIG.MESSAGES.CURRENCY_NO_RATE
+                .replace('{currency}', currency)
+                .replace('{date}', Utils.getTodayString()));
+        }
+
+        const oldBase = this._baseCurrency;
+        this._rates = this._rates.map(rate => {
+            if (rate.currency === currency) {
+                // The new base's own rates become rates of the old base
+                return { ...rate, currency: oldBase, rate: 1 / rate.rate };
+            }
+            return { ...rate, rate: rate.rate / this.getRate(currency, rate.date) };
+        });
+        this._baseCurrency = currency;
+        this.render();
+    },
+
+    /**
+     * Render the base currency, currency pickers, the rate table and missing rate warnings
+     */
+    render() {
+        $('.base-currency').text(this._baseCurrency);
+        $('#baseCurrency').html(this.renderOptions()).val(this._baseCurrency);
+
+        ['#expenseCurrency', '#recurringCurrency'].forEach(selector => {
+            const $select = $(selector);
+            const selected = $select.val();
+            $select.html(this.renderOptions()).val(CONFIG.CURRENCIES[selected] ? selected : this._baseCurrency);
+        });
+
+        const $rateCurrency = $('#rateCurrency');
+        const selectedRateCurrency = $rateCurrency.val();
+        $rateCurrency.html(this.renderOptions(this._baseCurrency));
+        if (selectedRateCurrency && selectedRateCurrency !== this._baseCurrency) {
+            $rateCurrency.val(selectedRateCurrency);
+        }
+
+        this._renderRates();
+        this._renderMissingRates();
+        this._updateAmountSteps();
+    },
+
+    /**
+     * Render <option> elements for the supported currencies
+     * @param {string} except - Currency to leave out (optional)
+     * @returns {string} HTML string
+     */
+    renderOptions(except = null) {
+        return Object.keys(CONFIG.CURRENCIES)
+            .filter(code => code !== except)
+            .map(code => `<option value="${code}">${code} · ${CONFIG.CURRENCIES[code].name}</option>`)
+            .join('');
+    },
+
+    /**
+     * Get data for storage
+     * @returns {object} { baseCurrency, exchangeRates }
+     */
+    getData() {
+        return {
+            baseCurrency: this._baseCurrency,
+            exchangeRates: this.getRates()
+        };
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#baseCurrency').change(event => AppController.setBaseCurrency(event.currentTarget.value));
+        $('#addRateBtn').click(() => AppController.addExchangeRate());
+        $('#expenseCurrency, #recurringCurrency').change(() => this._updateAmountSteps());
+
+        // Rows are re-rendered on every change, so events are delegated
+        const $list = $('#rateList');
+        const rateId = element => Number($(element).closest('[data-id]').data('id'));
+
+        $list.on('change', '.rate-value', event => {
+            AppController.updateExchangeRate(rateId(event.currentTarget), event.currentTarget.value);
+        });
+        $list.on('click', '.rate-delete', event => {
+            AppController.deleteExchangeRate(rateId(event.currentTarget));
+        });
+    },
+
+    /**
+     * Render the editable rate table
+     * @private
+     */
+    _renderRates() {
+        const rates = this.getRates();
+
+        if (rates.length === 0) {
+            $('#rateList').html(`<p class="text-gray-500 text-sm text-center py-2">${CONFIG.MESSAGES.NO_EXCHANGE_RATES}</p>`);
+            return;
+        }
+
+        const rows = rates.map(rate => `
+            <tr class="border-b border-gray-100" data-id="${rate.id}">
+                <td class="p-2">${Utils.formatDate(Utils.parseDateString(rate.date), { day: '2-digit', month: '2-digit', year: 'numeric' })}</td>
+                <td class="p-2 font-semibold">1 ${rate.currency}</td>
+                <td class="p-2">
+                    <input type="number" class="rate-value w-28 p-1 border-2 border-gray-200 rounded focus:border-primary focus:outline-none"
+                           value="${rate.rate}" step="any" min="0"> ${this._baseCurrency}
+                </td>
+                <td class="p-2 text-right">
+                    <button class="rate-delete text-gray-400 hover:text-red-500">×</button>
+                </td>
+            </tr>
+        `).join('');
+
+        $('#rateList').html(`<table class="w-full text-sm"><tbody>${rows}</tbody></table>`);
+    },
+
+    /**
+     * Warn about currencies that are used but have no rate
+     * @private
+     */
+    _renderMissingRates() {
+        const missing = this.getMissingCurrencies([
+            ...ExpenseManager.getExpenses(),
+            ...RecurringModule.getTemplates()
+        ]);
+
+        $('#rateWarnings')
+            .text(missing.length > 0 ? CONFIG.MESSAGES.CURRENCY_MISSING_RATES.replace('{currencies}', missing.join(', ')) : '')
+            .toggleClass('hidden', missing.length === 0);
+    },
+
+    /**
+     * Let amount inputs accept cents for currencies that have them
+     * @private
+     */
+    _updateAmountSteps() {
+        [['#expenseCurrency', '#expenseAmount'], ['#recurringCurrency', '#recurringAmount']].forEach(([select, input]) => {
+            const currency = CONFIG.CURRENCIES[$(select).val()];
+            $(input).attr('step', currency && currency.decimals > 0 ? 'any' : '1000');
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyModule;
+} else if (typeof window !== 'undefined') {
+    window.CurrencyModule = CurrencyModule;
+}
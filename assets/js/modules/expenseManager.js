@@ -5,14 +5,19 @@ const ExpenseManager = {
     // Private data
     _expenses: [],
     _categories: [...CONFIG.DEFAULT_CATEGORIES],
+    _categoryStyles: {},
 
     /**
      * Initialize expense manager with data
      * @param {object} data - Initial data
      */
     init(data) {
-        this._expenses = data.expenses || [];
+        // Every expense needs an id to be edited, deleted and stored
+        this._expenses = (data.expenses || []).map(expense =>
+            (expense.id ? expense : { ...expense, id: Utils.generateId() })
+        );
         this._categories = data.categories || [...CONFIG.DEFAULT_CATEGORIES];
+        this._categoryStyles = { ...(data.categoryStyles || {}) };
     },
 
     /**
@@ -38,6 +43,19 @@ const ExpenseManager = {
         });
     },
 
+    /**
+     * Get expenses that belong to a budget period (assigned by date)
+     * @param {object} period - Period with startDate and endDate (YYYY-MM-DD)
+     * @returns {Array} Expenses in the period
+     */
+    getExpensesForPeriod(period) {
+        if (!period || !period.startDate || !period.endDate) return [];
+
+        return this._expenses.filter(expense =>
+            expense.date >= period.startDate && expense.date <= period.endDate
+        );
+    },
+
     /**
      * Get expenses for a specific date
      * @param {string} dateStr - Date string in YYYY-MM-DD format
@@ -66,15 +84,29 @@ const ExpenseManager = {
             throw new Error(CONFIG.MESSAGES.VALIDATION_ERROR);
         }
 
+        const isIncome = expenseData.type === CONFIG.ENTRY_TYPES.INCOME;
         const expense = {
             id: Utils.generateId(),
+            type: isIncome ? CONFIG.ENTRY_TYPES.INCOME : CONFIG.ENTRY_TYPES.EXPENSE,
             description: Utils.sanitizeHtml(expenseData.description.trim()),
             amount: parseFloat(expenseData.amount),
-            category: expenseData.category || 'Khác',
+            currency: expenseData.currency || CurrencyModule.getBaseCurrency(),
+            category: expenseData.category || (isIncome ? CONFIG.INCOME_CATEGORY : 'Khác'),
             date: expenseData.date || Utils.getTodayString(),
             timestamp: new Date().toISOString()
         };
 
+        // Shared expenses keep who paid and how the amount is split
+        if (expenseData.split) {
+            if (isIncome) throw new Error(CONFIG.MESSAGES.SPLIT_INCOME_ERROR);
+            expense.split = SplitModule.normalizeSplit(expenseData.split, expense.amount);
+        }
+
+        // Keep a link to the recurring template that generated this expense
+        if (expenseData.recurringId) {
+            expense.recurringId = expenseData.recurringId;
+        }
+
         // Add to beginning of array (most recent first)
         this._expenses.unshift(expense);
 
@@ -117,7 +149,27 @@ const ExpenseManager = {
             throw new Error(CONFIG.MESSAGES.VALIDATION_ERROR);
         }
 
+        // Normalize edited fields the same way addExpense does
+        if (updateData.description !== undefined) {
+            updatedExpense.description = Utils.sanitizeHtml(updatedExpense.description.trim());
+        }
+        updatedExpense.amount = parseFloat(updatedExpense.amount);
+        updatedExpense.category = (updatedExpense.category || '').trim() || 'Khác';
+
+        // Shares are checked again against the edited amount (exact shares keep their proportions)
+        if (updatedExpense.split) {
+            if (this.isIncome(updatedExpense)) throw new Error(CONFIG.MESSAGES.SPLIT_INCOME_ERROR);
+            const split = updateData.split === undefined
+                ? SplitModule.rescaleSplit(updatedExpense.split, expense.amount, updatedExpense.amount, updatedExpense.currency)
+                : updatedExpense.split;
+            updatedExpense.split = SplitModule.normalizeSplit(split, updatedExpense.amount);
+        }
+
         this._expenses[index] = updatedExpense;
+
+        // Add category if it doesn't exist
+        this.addCategory(updatedExpense.category);
+
         return updatedExpense;
     },
 
@@ -131,13 +183,54 @@ const ExpenseManager = {
     },
 
     /**
-     * Get total amount spent
+     * Check whether an entry is income (entries without a type are expenses)
+     * @param {object} entry - Expense or income entry
+     * @returns {boolean} True if income
+     */
+    isIncome(entry) {
+        return entry.type === CONFIG.ENTRY_TYPES.INCOME;
+    },
+
+    /**
+     * Get the amount of an entry converted to the base currency
+     * @param {object} entry - Expense or income entry
+     * @returns {number} Amount in the base currency
+     */
+    getBaseAmount(entry) {
+        return CurrencyModule.toBase(entry.amount, entry.currency, entry.date);
+    },
+
+    /**
+     * Get the user's own part of an entry in the base currency (only their share of a shared expense)
+     * @param {object} entry - Expense or income entry
+     * @returns {number} Own amount in the base currency
+     */
+    getOwnAmount(entry) {
+        return CurrencyModule.toBase(SplitModule.getOwnShare(entry), entry.currency, entry.date);
+    },
+
+    /**
+     * Get total amount spent in the base currency (income entries are ignored, shared expenses count the own share)
      * @param {Array} expenses - Optional expenses array, uses all if not provided
      * @returns {number} Total amount
      */
     getTotalSpent(expenses = null) {
         const expensesToSum = expenses || this._expenses;
-        return expensesToSum.reduce((total, expense) => total + expense.amount, 0);
+        return expensesToSum
+            .filter(expense => !this.isIncome(expense))
+            .reduce((total, expense) => total + this.getOwnAmount(expense), 0);
+    },
+
+    /**
+     * Get total income in the base currency
+     * @param {Array} entries - Optional entries array, uses all if not provided
+     * @returns {number} Total income
+     */
+    getTotalIncome(entries = null) {
+        const entriesToSum = entries || this._expenses;
+        return entriesToSum
+            .filter(entry => this.isIncome(entry))
+            .reduce((total, entry) => total + this.getBaseAmount(entry), 0);
     },
 
     /**
@@ -170,6 +263,142 @@ const ExpenseManager = {
         }
     },
 
+    /**
+     * Rename a category and move all its expenses to the new name
+     * (renaming to an existing category merges the two)
+     * @param {string} oldName - Current category name
+     * @param {string} newName - New category name
+     * @returns {number} Number of expenses moved
+     */
+    renameCategory(oldName, newName) {
+        const target = (newName || '').trim();
+        if (!target || !this._categories.includes(oldName)) {
+            throw new Error(CONFIG.MESSAGES.CATEGORY_NAME_ERROR);
+        }
+        if (target === oldName) return 0;
+
+        const moved = this._reassignExpenses(oldName, target);
+        const index = this._categories.indexOf(oldName);
+
+        if (this._categories.includes(target)) {
+            // Merge: the target keeps its place and style
+            this._categories.splice(index, 1);
+            if (!this._categoryStyles[target] && this._categoryStyles[oldName]) {
+                this._categoryStyles[target] = this._categoryStyles[oldName];
+            }
+        } else {
+            // Keep the color and icon the category had, including defaults
+            this._categoryStyles[target] = this.getCategoryStyle(oldName);
+            this._categories[index] = target;
+        }
+        delete this._categoryStyles[oldName];
+
+        return moved;
+    },
+
+    /**
+     * Merge a category into another one
+     * @param {string} source - Category to merge (removed afterwards)
+     * @param {string} target - Category that receives the expenses
+     * @returns {number} Number of expenses moved
+     */
+    mergeCategories(source, target) {
+        if (!this._categories.includes(target) || source === target) {
+            throw new Error(CONFIG.MESSAGES.CATEGORY_MERGE_ERROR);
+        }
+        return this.renameCategory(source, target);
+    },
+
+    /**
+     * Delete a category, moving its expenses to another category
+     * @param {string} category - Category to delete
+     * @param {string} reassignTo - Category that receives the expenses
+     * @returns {number} Number of expenses moved
+     */
+    deleteCategory(category, reassignTo) {
+        const inUse = this._expenses.some(expense => expense.category === category);
+        if (inUse && (!reassignTo || reassignTo === category)) {
+            throw new Error(CONFIG.MESSAGES.CATEGORY_REASSIGN_ERROR);
+        }
+
+        const moved = inUse ? this._reassignExpenses(category, reassignTo) : 0;
+        if (inUse) this.addCategory(reassignTo);
+        this.removeCategory(category);
+        delete this._categoryStyles[category];
+
+        return moved;
+    },
+
+    /**
+     * Move a category up or down in the list
+     * @param {string} category - Category name
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveCategory(category, offset) {
+        const index = this._categories.indexOf(category);
+        const newIndex = index + offset;
+        if (index === -1 || newIndex < 0 || newIndex >= this._categories.length) return;
+
+        this._categories.splice(index, 1);
+        this._categories.splice(newIndex, 0, category);
+    },
+
+    /**
+     * Get the color and icon of a category (a missing or invalid color falls back to the chart palette)
+     * @param {string} category - Category name
+     * @returns {object} Style object { color, icon }
+     */
+    getCategoryStyle(category) {
+        const style = this._categoryStyles[category] || {};
+        const index = this._categories.indexOf(category);
+        const fallbackColor = CONFIG.CHART_COLORS[(index === -1 ? this._categories.length : index) % CONFIG.CHART_COLORS.length];
+
+        return {
+            color: Utils.isHexColor(style.color) ? style.color : fallbackColor,
+            icon: style.icon !== undefined ? style.icon : (CONFIG.DEFAULT_CATEGORY_ICONS[category] || '')
+        };
+    },
+
+    /**
+     * Set the color and/or icon of a category
+     * @param {string} category - Category name
+     * @param {object} style - Style fields to update { color, icon }; color must be #rrggbb
+     */
+    setCategoryStyle(category, style) {
+        if (!this._categories.includes(category)) return;
+        if (style.color !== undefined && !Utils.isHexColor(style.color)) return;
+
+        this._categoryStyles[category] = {
+            ...this._categoryStyles[category],
+            ...style
+        };
+    },
+
+    /**
+     * Get all saved category styles
+     * @returns {object} Map of category name to style
+     */
+    getCategoryStyles() {
+        return Utils.deepClone(this._categoryStyles);
+    },
+
+    /**
+     * Move all expenses of a category to another category
+     * @param {string} from - Current category
+     * @param {string} to - New category
+     * @returns {number} Number of expenses moved
+     * @private
+     */
+    _reassignExpenses(from, to) {
+        let moved = 0;
+        this._expenses = this._expenses.map(expense => {
+            if (expense.category !== from) return expense;
+            moved++;
+            return { ...expense, category: to };
+        });
+        return moved;
+    },
+
     /**
      * Get unique categories from expenses for a specific date
      * @param {string} dateStr - Date string
@@ -187,11 +416,13 @@ const ExpenseManager = {
      * @returns {object} Statistics object
      */
     getStatistics(startDate = null, endDate = null) {
-        const expenses = startDate && endDate
+        const entries = startDate && endDate
             ? this.getExpensesByDateRange(startDate, endDate)
             : this._expenses;
+        const expenses = entries.filter(entry => !this.isIncome(entry));
 
         const totalSpent = this.getTotalSpent(expenses);
+        const totalIncome = this.getTotalIncome(entries);
         const expenseCount = expenses.length;
         const averageExpense = expenseCount > 0 ? totalSpent / expenseCount : 0;
 
@@ -202,11 +433,12 @@ const ExpenseManager = {
                 categoryStats[expense.category] = { count: 0, total: 0 };
             }
             categoryStats[expense.category].count++;
-            categoryStats[expense.category].total += expense.amount;
+            categoryStats[expense.category].total += this.getOwnAmount(expense);
         });
 
         return {
             totalSpent,
+            totalIncome,
             expenseCount,
             averageExpense,
             categoryStats
@@ -227,7 +459,8 @@ const ExpenseManager = {
     getData() {
         return {
             expenses: this.getExpenses(),
-            categories: this.getCategories()
+            categories: this.getCategories(),
+            categoryStyles: this.getCategoryStyles()
         };
     }
 };
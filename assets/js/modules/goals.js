@@ -0,0 +1,268 @@
+// Goal Module
+// Handles savings goals and the money set aside for them from what is left of a budget period
+
+const GoalModule = {
+    // Private properties
+    _goals: [], // { id, name, target, currency, deadline, createdAt }
+    _allocations: [], // { id, goalId, periodId, date, amount, currency } - moved out of the budget, not spending
+
+    /**
+     * Initialize goal module
+     * @param {object} data - Data with goals and goalAllocations
+     */
+    init(data) {
+        this.setData(data);
+        this._bindEvents();
+    },
+
+    /**
+     * Replace goals and allocations (e.g. after import or undo)
+     * @param {object} data - Data with goals and goalAllocations
+     */
+    setData(data) {
+        this._goals = (data.goals || []).map(goal => ({ ...goal }));
+        this._allocations = (data.goalAllocations || []).map(allocation => ({ ...allocation }));
+    },
+
+    /**
+     * Get all goals, closest deadline first
+     * @returns {Array} Array of goal objects
+     */
+    getGoals() {
+        return this._goals
+            .map(goal => ({ ...goal }))
+            .sort((a, b) => a.deadline.localeCompare(b.deadline));
+    },
+
+    /**
+     * Get all allocations, oldest first
+     * @returns {Array} Array of allocation objects
+     */
+    getAllocations() {
+        return this._allocations
+            .map(allocation => ({ ...allocation }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /**
+     * Add a savings goal
+     * @param {object} goalData - { name, target, deadline }
+     * @returns {object} Created goal
+     */
+    addGoal(goalData) {
+        const target = parseFloat(goalData.target);
+        const name = String(goalData.name || '').trim();
+        if (!name || !(target > 0) || !goalData.deadline) {
+            throw new Error(CONFIG.MESSAGES.GOAL_VALIDATION_ERROR);
+        }
+
+        const goal = {
+            id: Utils.generateId(),
+            name,
+            target,
+            currency: CurrencyModule.getBaseCurrency(),
+            deadline: goalData.deadline,
+            createdAt: Utils.getTodayString()
+        };
+        this._goals.push(goal);
+        return { ...goal };
+    },
+
+    /**
+     * Remove a goal (money set aside for it goes back to the budget)
+     * @param {number} id - Goal ID
+     * @returns {boolean} True if removed
+     */
+    removeGoal(id) {
+        const initialLength = this._goals.length;
+        this._goals = this._goals.filter(goal => goal.id !== id);
+        this._allocations = this._allocations.filter(allocation => allocation.goalId !== id);
+        return this._goals.length < initialLength;
+    },
+
+    /**
+     * Set money aside for a goal from what is left of a period
+     * @param {object} allocationData - { goalId, periodId, amount }
+     * @param {number} available - Amount still left in the period (base currency)
+     * @returns {object} Saved allocation
+     */
+    allocate(allocationData, available) {
+        const amount = parseFloat(allocationData.amount);
+        if (!this._goals.some(goal => goal.id === allocationData.goalId) || !(amount > 0)) {
+            throw new Error(CONFIG.MESSAGES.GOAL_ALLOCATE_ERROR);
+        }
+        if (amount > available) {
+            throw new Error(CONFIG.MESSAGES.GOAL_NOT_ENOUGH
+                .replace('{amount}', CurrencyModule.formatBase(Math.max(0, available))));
+        }
+
+        const allocation = {
+            id: Utils.generateId(),
+            goalId: allocationData.goalId,
+            periodId: allocationData.periodId,
+            date: Utils.getTodayString(),
+            amount,
+            currency: CurrencyModule.getBaseCurrency()
+        };
+        this._allocations.push(allocation);
+        return { ...allocation };
+    },
+
+    /**
+     * Get the total set aside from a budget period
+     * @param {number} periodId - Period ID
+     * @returns {number} Allocated amount in the base currency
+     */
+    getAllocatedForPeriod(periodId) {
+        return this._allocations
+            .filter(allocation => allocation.periodId === periodId)
+            .reduce((sum, allocation) => sum + this._toBase(allocation), 0);
+    },
+
+    /**
+     * Calculate how far a goal is and what it still needs
+     * @param {object} goal - Goal object
+     * @returns {object} { saved, target, missing, percent, monthlyNeeded, daysLeft, isReached, isOverdue }
+     */
+    getProgress(goal) {
+        const saved = this._allocations
+            .filter(allocation => allocation.goalId === goal.id)
+            .reduce((sum, allocation) => sum + this._toBase(allocation), 0);
+        const target = CurrencyModule.toBase(goal.target, goal.currency, Utils.getTodayString());
+        const missing = Math.max(0, target - saved);
+
+        const today = Utils.getTodayString();
+        const daysLeft = goal.deadline >= today
+            ? Utils.daysBetween(Utils.parseDateString(today), Utils.parseDateString(goal.deadline))
+            : 0;
+
+        // Less than a month left means the whole missing amount is due this month
+        const monthsLeft = Math.max(1, daysLeft / CONFIG.DAYS_PER_MONTH);
+
+        return {
+            saved,
+            target,
+            missing,
+            percent: target > 0 ? Math.min(100, (saved / target) * 100) : 0,
+            monthlyNeeded: daysLeft > 0 ? missing / monthsLeft : 0,
+            daysLeft,
+            isReached: missing === 0,
+            isOverdue: missing > 0 && daysLeft === 0
+        };
+    },
+
+    /**
+     * Render the goal list and the amount that can still be set aside
+     * @param {object} stats - Current statistics (allocated and remaining)
+     */
+    render(stats) {
+        $('#goalAvailable').text(CONFIG.MESSAGES.GOAL_AVAILABLE
+            .replace('{allocated}', CurrencyModule.formatBase(stats.allocated))
+            .replace('{available}', CurrencyModule.formatBase(Math.max(0, stats.remaining))));
+
+        const goals = this.getGoals();
+        if (goals.length === 0) {
+            $('#goalList').html(`<p class="text-gray-500 text-sm text-center py-2">${CONFIG.MESSAGES.NO_GOALS}</p>`);
+            return;
+        }
+
+        $('#goalList').html(goals.map(goal => this._renderGoal(goal)).join(''));
+    },
+
+    /**
+     * Get data for storage
+     * @returns {object} { goals, goalAllocations }
+     */
+    getData() {
+        return {
+            goals: this.getGoals(),
+            goalAllocations: this.getAllocations()
+        };
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#addGoalBtn').click(() => AppController.addGoal());
+
+        // Rows are re-rendered on every change, so events are delegated
+        const $list = $('#goalList');
+        const goalId = element => Number($(element).closest('[data-id]').data('id'));
+
+        $list.on('click', '.goal-allocate', event => {
+            const $row = $(event.currentTarget).closest('[data-id]');
+            AppController.allocateToGoal(goalId(event.currentTarget), $row.find('.goal-amount').val());
+        });
+        $list.on('keypress', '.goal-amount', event => {
+            if (event.which === 13) $(event.currentTarget).closest('[data-id]').find('.goal-allocate').click();
+        });
+        $list.on('click', '.goal-delete', event => {
+            AppController.deleteGoal(goalId(event.currentTarget));
+        });
+    },
+
+    /**
+     * Convert an allocation to the base currency
+     * @param {object} allocation - Allocation object
+     * @returns {number} Amount in the base currency
+     * @private
+     */
+    _toBase(allocation) {
+        return CurrencyModule.toBase(allocation.amount, allocation.currency, allocation.date);
+    },
+
+    /**
+     * Render a single goal with its progress bar and allocation form
+     * @param {object} goal - Goal object
+     * @returns {string} HTML string for goal row
+     * @private
+     */
+    _renderGoal(goal) {
+        const progress = this.getProgress(goal);
+        const deadline = Utils.formatDate(Utils.parseDateString(goal.deadline), { day: '2-digit', month: '2-digit', year: 'numeric' });
+
+        let status;
+        if (progress.isReached) {
+            status = `<span class="text-green-600">${CONFIG.MESSAGES.GOAL_REACHED}</span>`;
+        } else if (progress.isOverdue) {
+            status = `<span class="text-red-600">${CONFIG.MESSAGES.GOAL_OVERDUE.replace('{amount}', CurrencyModule.formatBase(progress.missing))}</span>`;
+        } else {
+            status = CONFIG.MESSAGES.GOAL_MONTHLY.replace('{amount}', CurrencyModule.formatBase(progress.monthlyNeeded));
+        }
+
+        return `
+            <div class="bg-gray-50 p-3 rounded-lg" data-id="${goal.id}">
+                <div class="flex justify-between items-center text-sm mb-1">
+                    <span class="font-semibold text-gray-800">🎯 ${Utils.sanitizeHtml(goal.name)}</span>
+                    <span class="text-gray-600">
+                        ${CurrencyModule.formatBaseNumber(progress.saved)} / ${CurrencyModule.formatBase(progress.target)}
+                        <button class="goal-delete ml-1 text-gray-400 hover:text-red-500">×</button>
+                    </span>
+                </div>
+                <div class="w-full bg-gray-200 rounded-full h-2">
+                    <div class="${progress.isReached ? 'bg-green-500' : 'bg-indigo-500'} h-2 rounded-full" style="width: ${progress.percent}%"></div>
+                </div>
+                <div class="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>${status}</span>
+                    <span>⏳ ${deadline}</span>
+                </div>
+                ${progress.isReached ? '' : `
+                    <div class="flex gap-2 mt-2">
+                        <input type="number" class="goal-amount flex-1 min-w-0 p-2 border-2 border-gray-200 rounded-lg focus:border-primary focus:outline-none"
+                               placeholder="${CurrencyModule.formatBaseNumber(Math.min(progress.missing, progress.monthlyNeeded || progress.missing))}" min="0" step="any">
+                        <button class="goal-allocate bg-green-500 text-white px-3 py-2 rounded-lg text-sm hover:bg-green-600 transition-colors">🐷 Góp</button>
+                    </div>
+                `}
+            </div>
+        `;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoalModule;
+} else if (typeof window !== 'undefined') {
+    window.GoalModule = GoalModule;
+}
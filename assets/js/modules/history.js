@@ -0,0 +1,279 @@
+// History Module
+// Handles undo/redo of data changes and the "Undo" toast
+// Each step stores only what changed: expenses by id, other keys as whole values
+
+const HistoryModule = {
+    // Private properties
+    _undoStack: [],
+    _redoStack: [],
+    _savedUndoCount: 0,
+    _toastTimer: null,
+
+    /**
+     * Initialize history module with saved history
+     * @param {object} history - Saved history { undo, redo }
+     */
+    init(history) {
+        this._undoStack = history.undo || [];
+        this._redoStack = history.redo || [];
+        this._savedUndoCount = this._undoStack.length;
+        this._bindEvents();
+        this.render();
+    },
+
+    /**
+     * Record a change between two data snapshots
+     * @param {string} label - Description of the change
+     * @param {object} before - Data before the change
+     * @param {object} after - Data after the change
+     * @returns {boolean} True if something changed and a step was recorded
+     */
+    record(label, before, after) {
+        const changes = this._diff(before, after);
+        if (Object.keys(changes).length === 0) return false;
+
+        this._undoStack.push({ label, timestamp: new Date().toISOString(), changes });
+        this._redoStack = [];
+        this._trim();
+        this._persist();
+        this.render();
+        return true;
+    },
+
+    /**
+     * Undo the last step
+     * @param {object} current - Current application data
+     * @returns {object|null} { data, label } to apply, or null if nothing to undo
+     */
+    undo(current) {
+        const step = this._undoStack.pop();
+        if (!step) return null;
+
+        this._redoStack.push(step);
+        this._persist();
+        this.render();
+        return { data: this._apply(current, step.changes, 'before'), label: step.label };
+    },
+
+    /**
+     * Redo the last undone step
+     * @param {object} current - Current application data
+     * @returns {object|null} { data, label } to apply, or null if nothing to redo
+     */
+    redo(current) {
+        const step = this._redoStack.pop();
+        if (!step) return null;
+
+        this._undoStack.push(step);
+        this._persist();
+        this.render();
+        return { data: this._apply(current, step.changes, 'after'), label: step.label };
+    },
+
+    /**
+     * Check whether there is a step to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this._undoStack.length > 0;
+    },
+
+    /**
+     * Check whether the last step was saved (a step too big for storage is only kept in memory)
+     * @returns {boolean} True if the last step survives a reload
+     */
+    isLastStepSaved() {
+        return this._undoStack.length === 0 || this._savedUndoCount > 0;
+    },
+
+    /**
+     * Check whether there is a step to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this._redoStack.length > 0;
+    },
+
+    /**
+     * Update undo/redo buttons
+     */
+    render() {
+        const lastUndo = this._undoStack[this._undoStack.length - 1];
+        const lastRedo = this._redoStack[this._redoStack.length - 1];
+
+        $('#undoBtn')
+            .prop('disabled', !lastUndo)
+            .attr('title', lastUndo ? `${CONFIG.MESSAGES.UNDO_LABEL}: ${lastUndo.label}` : CONFIG.MESSAGES.UNDO_LABEL);
+        $('#redoBtn')
+            .prop('disabled', !lastRedo)
+            .attr('title', lastRedo ? `${CONFIG.MESSAGES.REDO_LABEL}: ${lastRedo.label}` : CONFIG.MESSAGES.REDO_LABEL);
+    },
+
+    /**
+     * Show a toast with an "Undo" button
+     * @param {string} message - Toast message
+     */
+    showToast(message) {
+        clearTimeout(this._toastTimer);
+        $('#toastMessage').text(message);
+        $('#toast').removeClass('hidden');
+        this._toastTimer = setTimeout(() => this.hideToast(), CONFIG.TOAST_DURATION);
+    },
+
+    /**
+     * Hide the toast
+     */
+    hideToast() {
+        clearTimeout(this._toastTimer);
+        $('#toast').addClass('hidden');
+    },
+
+    /**
+     * Bind buttons and keyboard shortcuts (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y)
+     * @private
+     */
+    _bindEvents() {
+        $('#undoBtn').click(() => AppController.undo());
+        $('#redoBtn').click(() => AppController.redo());
+        $('#toastUndoBtn').click(() => AppController.undo());
+        $('#toastCloseBtn').click(() => this.hideToast());
+
+        $(document).on('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+
+            // Leave text fields their own undo
+            if ($(e.target).is('input, textarea, select')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                AppController.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                AppController.redo();
+            }
+        });
+    },
+
+    /**
+     * Describe what changed between two data snapshots
+     * @param {object} before - Data before
+     * @param {object} after - Data after
+     * @returns {object} Map of key to change
+     * @private
+     */
+    _diff(before, after) {
+        const changes = {};
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        keys.forEach(key => {
+            if (key === 'expenses') {
+                const expenseChanges = this._diffExpenses(before.expenses || [], after.expenses || []);
+                if (expenseChanges.length > 0) changes.expenses = expenseChanges;
+            } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                changes[key] = { before: before[key], after: after[key] };
+            }
+        });
+
+        return changes;
+    },
+
+    /**
+     * Describe added, removed and edited expenses with their list positions
+     * @param {Array} before - Expenses before
+     * @param {Array} after - Expenses after
+     * @returns {Array} Array of { id, before, after, beforeIndex, afterIndex }
+     * @private
+     */
+    _diffExpenses(before, after) {
+        const beforeById = new Map(before.map((expense, index) => [expense.id, { expense, index }]));
+        const afterById = new Map(after.map((expense, index) => [expense.id, { expense, index }]));
+        const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+        const changes = [];
+
+        ids.forEach(id => {
+            const old = beforeById.get(id);
+            const updated = afterById.get(id);
+            if (old && updated && JSON.stringify(old.expense) === JSON.stringify(updated.expense)) return;
+
+            changes.push({
+                id,
+                before: old ? old.expense : null,
+                after: updated ? updated.expense : null,
+                beforeIndex: old ? old.index : -1,
+                afterIndex: updated ? updated.index : -1
+            });
+        });
+
+        return changes;
+    },
+
+    /**
+     * Apply one side of a step to the current data
+     * @param {object} current - Current application data
+     * @param {object} changes - Step changes
+     * @param {string} side - 'before' to undo, 'after' to redo
+     * @returns {object} New application data
+     * @private
+     */
+    _apply(current, changes, side) {
+        const data = Utils.deepClone(current);
+
+        Object.keys(changes).forEach(key => {
+            if (key !== 'expenses') {
+                data[key] = Utils.deepClone(changes[key][side]);
+                return;
+            }
+
+            const indexKey = side === 'before' ? 'beforeIndex' : 'afterIndex';
+            const changedIds = new Set(changes.expenses.map(change => change.id));
+            const expenses = data.expenses.filter(expense => !changedIds.has(expense.id));
+
+            // Put restored expenses back where they were in the list
+            changes.expenses
+                .filter(change => change[side])
+                .sort((a, b) => a[indexKey] - b[indexKey])
+                .forEach(change => {
+                    expenses.splice(Math.min(change[indexKey], expenses.length), 0, Utils.deepClone(change[side]));
+                });
+
+            data.expenses = expenses;
+        });
+
+        return data;
+    },
+
+    /**
+     * Keep only the most recent steps
+     * @private
+     */
+    _trim() {
+        this._undoStack = this._undoStack.slice(-CONFIG.HISTORY_MAX_STEPS);
+        this._redoStack = this._redoStack.slice(-CONFIG.HISTORY_MAX_STEPS);
+    },
+
+    /**
+     * Save history, leaving the oldest steps out of the saved copy if storage is full
+     * (they can still be undone until the page is reloaded)
+     * @private
+     */
+    _persist() {
+        let undo = this._undoStack;
+        let redo = this._redoStack;
+
+        while (!StorageManager.saveHistory({ undo, redo })) {
+            if (undo.length === 0 && redo.length === 0) break;
+            undo = undo.slice(1);
+            redo = redo.slice(1);
+        }
+
+        this._savedUndoCount = undo.length;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryModule;
+} else if (typeof window !== 'undefined') {
+    window.HistoryModule = HistoryModule;
+}
@@ -0,0 +1,295 @@
+// Import Dialog Module
+// Shows a merge preview of a JSON backup, the records that were repaired or rejected,
+// and lets the user merge or overwrite
+
+const ImportDialogModule = {
+    // Private properties
+    _current: null,
+    _incoming: null,
+
+    /**
+     * Initialize import dialog module
+     */
+    init() {
+        this._bindEvents();
+    },
+
+    /**
+     * Open the dialog with a preview of merging imported data
+     * @param {object} current - Current application data
+     * @param {object} incoming - Normalized imported data
+     * @param {object} report - Migration and validation report from StorageManager.importData
+     */
+    open(current, incoming, report) {
+        this._current = current;
+        this._incoming = incoming;
+
+        const { summary, conflicts } = StorageManager.mergeData(current, incoming);
+
+        this._renderReport(report);
+        this._renderSummary(summary);
+        this._renderConflicts(conflicts);
+        $('#importModal').removeClass('hidden');
+    },
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        $('#importModal').addClass('hidden');
+        this._current = null;
+        this._incoming = null;
+    },
+
+    /**
+     * Get the data waiting to be imported
+     * @returns {object|null} Imported data
+     */
+    getIncoming() {
+        return this._incoming;
+    },
+
+    /**
+     * Get conflict resolution options chosen in the dialog
+     * @returns {object} Merge options for StorageManager.mergeData
+     */
+    getMergeOptions() {
+        return {
+            expenseConflicts: $('input[name="importExpenseConflicts"]:checked').val() || 'local',
+            settings: $('input[name="importSettings"]:checked').val() || 'local',
+            addCategories: $('#importAddCategories').is(':checked')
+        };
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#closeImportModal, #importCancelBtn').click(() => this.close());
+        $('#importMergeBtn').click(() => AppController.applyImport('merge'));
+        $('#importOverwriteBtn').click(() => AppController.applyImport('overwrite'));
+    },
+
+    /**
+     * Render the schema migration and the records that were repaired or rejected
+     * @param {object} report - Migration and validation report
+     * @private
+     */
+    _renderReport(report) {
+        let html = '';
+
+        if (report.migrations.length > 0) {
+            html += `<p class="text-sm text-gray-600">🔄 ${CONFIG.MESSAGES.SCHEMA_MIGRATED
+                .replace('{from}', report.fromVersion)
+                .replace('{to}', CONFIG.SCHEMA_VERSION)}</p>`;
+        }
+
+        if (report.rejected.length > 0) {
+            const rows = report.rejected.map(({ index, record, reasons, collection }) =>
+                this._renderReportRow(index, this._describeRecord(record), reasons, collection));
+
+            html += `
+                <div class="bg-red-50 text-red-800 p-3 rounded-lg">
+                    <div class="font-semibold mb-2">❌ ${report.rejected.length} khoản bị loại (không nhập)</div>
+                    ${this._renderReportList(rows)}
+                </div>
+            `;
+        }
+
+        if (report.repaired.length > 0) {
+            const rows = report.repaired.map(({ index, expense, issues }) =>
+                this._renderReportRow(index, this._describeExpense(expense), issues));
+
+            html += `
+                <div class="bg-yellow-50 text-yellow-800 p-3 rounded-lg">
+                    <div class="font-semibold mb-2">🩹 ${report.repaired.length} khoản đã được sửa</div>
+                    ${this._renderReportList(rows)}
+                </div>
+            `;
+        }
+
+        $('#importReport').html(html).toggleClass('hidden', html === '');
+    },
+
+    /**
+     * Render a capped list of report rows
+     * @param {Array} rows - Row HTML strings
+     * @returns {string} HTML string
+     * @private
+     */
+    _renderReportList(rows) {
+        const more = rows.length > CONFIG.SCHEMA_REPORT_MAX_ROWS
+            ? `<li class="italic">… và ${rows.length - CONFIG.SCHEMA_REPORT_MAX_ROWS} khoản khác</li>`
+            : '';
+
+        return `<ul class="text-sm space-y-1 max-h-48 overflow-y-auto">${rows.slice(0, CONFIG.SCHEMA_REPORT_MAX_ROWS).join('')}${more}</ul>`;
+    },
+
+    /**
+     * Render one report row
+     * @param {number} index - Position of the record in the file
+     * @param {string} description - HTML description of the record
+     * @param {Array} notes - Reasons or repairs
+     * @param {string} collection - List the record comes from (expenses when not given)
+     * @returns {string} HTML string
+     * @private
+     */
+    _renderReportRow(index, description, notes, collection = 'expenses') {
+        const prefix = { goals: 'Mục tiêu ', goalAllocations: 'Để dành ', categoryRules: 'Quy tắc ' }[collection] || '';
+
+        return `
+            <li>
+                <span class="font-medium">${prefix}#${index + 1}</span> ${description}
+                <div class="text-xs opacity-80">${notes.map(note => Utils.sanitizeHtml(note)).join(' · ')}</div>
+            </li>
+        `;
+    },
+
+    /**
+     * Describe a raw record that failed validation
+     * @param {*} record - Raw record
+     * @returns {string} HTML string
+     * @private
+     */
+    _describeRecord(record) {
+        return Utils.sanitizeHtml(String(JSON.stringify(record)).slice(0, 120));
+    },
+
+    /**
+     * Render counts of added, skipped and conflicting expenses
+     * @param {object} summary - Merge summary
+     * @private
+     */
+    _renderSummary(summary) {
+        $('#importSummary').html(`
+            <div class="grid grid-cols-3 gap-3 text-center">
+                <div class="bg-green-50 text-green-700 p-3 rounded-lg">
+                    <div class="text-2xl font-bold">${summary.added}</div>
+                    <div class="text-sm">Thêm mới</div>
+                </div>
+                <div class="bg-gray-50 text-gray-700 p-3 rounded-lg">
+                    <div class="text-2xl font-bold">${summary.skipped}</div>
+                    <div class="text-sm">Trùng, bỏ qua</div>
+                </div>
+                <div class="bg-yellow-50 text-yellow-800 p-3 rounded-lg">
+                    <div class="text-2xl font-bold">${summary.conflicting}</div>
+                    <div class="text-sm">Xung đột</div>
+                </div>
+            </div>
+        `);
+    },
+
+    /**
+     * Render expense, settings and category conflicts with resolution choices
+     * @param {object} conflicts - Conflicts from StorageManager.mergeData
+     * @private
+     */
+    _renderConflicts(conflicts) {
+        let html = '';
+
+        if (conflicts.expenses.length > 0) {
+            const rows = conflicts.expenses.map(({ local, incoming }) => `
+                <tr class="border-b border-gray-100">
+                    <td class="p-2">${this._describeExpense(local)}</td>
+                    <td class="p-2">${this._describeExpense(incoming)}</td>
+                </tr>
+            `).join('');
+
+            html += `
+                <div>
+                    <div class="font-semibold text-gray-800 mb-2">Chi tiêu bị sửa khác nhau</div>
+                    ${this._renderConflictTable(rows)}
+                    ${this._renderChoice('importExpenseConflicts')}
+                </div>
+            `;
+        }
+
+        if (conflicts.settings.length > 0) {
+            const rows = conflicts.settings.map(conflict => `
+                <tr class="border-b border-gray-100">
+                    <td class="p-2"><span class="font-medium">${Utils.sanitizeHtml(conflict.label)}:</span> ${Utils.sanitizeHtml(conflict.local)}</td>
+                    <td class="p-2">${Utils.sanitizeHtml(conflict.incoming)}</td>
+                </tr>
+            `).join('');
+
+            html += `
+                <div>
+                    <div class="font-semibold text-gray-800 mb-2">Thiết lập khác nhau</div>
+                    ${this._renderConflictTable(rows)}
+                    ${this._renderChoice('importSettings')}
+                </div>
+            `;
+        }
+
+        if (conflicts.categories.length > 0) {
+            const badges = conflicts.categories
+                .map(category => CategoryModule.renderBadge(category))
+                .join('');
+
+            html += `
+                <div>
+                    <div class="font-semibold text-gray-800 mb-2">Danh mục chỉ có trong file</div>
+                    <div class="mb-2">${badges}</div>
+                    <label class="flex items-center gap-2 text-sm text-gray-700">
+                        <input type="checkbox" id="importAddCategories" checked>
+                        Thêm các danh mục này
+                    </label>
+                </div>
+            `;
+        }
+
+        $('#importConflicts').html(html || `<p class="text-gray-500 text-sm">${CONFIG.MESSAGES.IMPORT_NO_CONFLICTS}</p>`);
+    },
+
+    /**
+     * Render a two-column local vs file table
+     * @param {string} rows - Table rows HTML
+     * @returns {string} HTML string
+     * @private
+     */
+    _renderConflictTable(rows) {
+        return `
+            <table class="w-full text-sm mb-2">
+                <thead>
+                    <tr class="text-left text-gray-600 border-b border-gray-200">
+                        <th class="p-2">Trên máy này</th><th class="p-2">Trong file</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Render keep local / use file radio buttons
+     * @param {string} name - Radio group name
+     * @returns {string} HTML string
+     * @private
+     */
+    _renderChoice(name) {
+        return `
+            <div class="flex gap-4 text-sm text-gray-700">
+                <label class="flex items-center gap-1"><input type="radio" name="${name}" value="local" checked> Giữ bản trên máy</label>
+                <label class="flex items-center gap-1"><input type="radio" name="${name}" value="incoming"> Dùng bản trong file</label>
+            </div>
+        `;
+    },
+
+    /**
+     * Describe an expense in one line
+     * @param {object} expense - Expense object
+     * @returns {string} HTML string
+     * @private
+     */
+    _describeExpense(expense) {
+        return `${expense.date} · ${Utils.sanitizeHtml(expense.description)} · ${Utils.formatMoney(expense.amount, expense.currency || CurrencyModule.getBaseCurrency())} · ${Utils.sanitizeHtml(expense.category)}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportDialogModule;
+} else if (typeof window !== 'undefined') {
+    window.ImportDialogModule = ImportDialogModule;
+}
@@ -6,6 +6,7 @@ const ModalModule = {
     _currentDate: '',
     _currentCategory: CONFIG.MESSAGES.ALL_CATEGORIES,
     _expenses: [],
+    _editingId: null,
 
     /**
      * Initialize modal module
@@ -20,6 +21,9 @@ const ModalModule = {
      * @param {string} selectedCategory - Selected category filter
      */
     show(dateStr, selectedCategory = CONFIG.MESSAGES.ALL_CATEGORIES) {
+        if (dateStr !== this._currentDate) {
+            this._editingId = null;
+        }
         this._currentDate = dateStr;
         this._currentCategory = selectedCategory;
         this._expenses = ExpenseManager.getExpensesByDate(dateStr);
@@ -27,6 +31,7 @@ const ModalModule = {
         this._updateModalTitle(dateStr);
         this._renderCategoryFilters();
         this._renderExpensesList();
+        this._renderUpcoming(RecurringModule.getUpcomingOccurrences(dateStr, dateStr));
         this._showModal();
     },
 
@@ -34,6 +39,7 @@ const ModalModule = {
      * Hide the modal
      */
     hide() {
+        this._editingId = null;
         $('#dailyExpensesModal').addClass('hidden');
     },
 
@@ -54,6 +60,14 @@ const ModalModule = {
         // Close modal button
         $('#closeModal').click(() => this.hide());
 
+        // Add an expense on the day being viewed
+        $('#modalAddExpense').click(() => AppController.prepareExpenseForDate(this._currentDate));
+
+        // Chips are re-rendered on every change, so events are delegated
+        $('#categoryFilters').on('click', '.filter-chip', (e) => {
+            this.filterByCategory($(e.currentTarget).attr('data-category'));
+        });
+
         // Close modal on overlay click
         $('#dailyExpensesModal').click((e) => {
             if (e.target.id === 'dailyExpensesModal') {
@@ -61,6 +75,16 @@ const ModalModule = {
             }
         });
 
+        // Enter saves and ESC cancels inline edit (without closing the modal)
+        $('#modalExpenses').on('keydown', '.expense-edit-input', (e) => {
+            if (e.key === 'Enter') {
+                this.saveEdit(this._editingId);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.cancelEdit();
+            }
+        });
+
         // ESC key to close modal
         $(document).keydown((e) => {
             if (e.key === 'Escape' && !$('#dailyExpensesModal').hasClass('hidden')) {
@@ -114,8 +138,10 @@ const ModalModule = {
      * @private
      */
     _renderFilterChip(category, activeClass) {
-        const sanitizedCategory = Utils.sanitizeHtml(category);
-        return `<span class="filter-chip ${activeClass}" onclick="ModalModule.filterByCategory('${sanitizedCategory}')">${sanitizedCategory}</span>`;
+        const label = category === CONFIG.MESSAGES.ALL_CATEGORIES
+            ? Utils.sanitizeHtml(category)
+            : CategoryModule.renderDot(category) + CategoryModule.getLabel(category);
+        return `<span class="filter-chip ${activeClass}" data-category="${Utils.escapeAttr(category)}">${label}</span>`;
     },
 
     /**
@@ -173,9 +199,101 @@ const ModalModule = {
     _renderExpenses(expenses) {
         let html = '';
         expenses.forEach(expense => {
-            html += this._renderExpenseItem(expense);
+            html += expense.id === this._editingId
+                ? this._renderExpenseEditForm(expense)
+                : this._renderExpenseItem(expense);
         });
         $('#modalExpenses').html(html);
+        this._populateEditForm();
+    },
+
+    /**
+     * Switch an expense row into edit mode
+     * @param {number} id - Expense ID
+     */
+    startEdit(id) {
+        this._editingId = id;
+        this._renderExpensesList();
+        $('#editDescription').focus();
+    },
+
+    /**
+     * Leave edit mode without saving
+     */
+    cancelEdit() {
+        this._editingId = null;
+        this.refresh();
+    },
+
+    /**
+     * Save the expense currently being edited
+     * @param {number} id - Expense ID
+     */
+    saveEdit(id) {
+        const expense = ExpenseManager.getExpenseById(id);
+        if (!expense) return;
+
+        const updateData = {
+            amount: parseFloat($('#editAmount').val()),
+            currency: $('#editCurrency').val() || expense.currency,
+            category: $('#editCategory').val().trim(),
+            date: $('#editDate').val() || expense.date
+        };
+
+        // Only send the description when it changed, so stored text isn't re-sanitized
+        const description = $('#editDescription').val().trim();
+        if (description !== expense.description) {
+            updateData.description = description;
+        }
+
+        AppController.updateExpense(id, updateData);
+    },
+
+    /**
+     * Fill edit form inputs with the current expense values
+     * @private
+     */
+    _populateEditForm() {
+        const expense = this._editingId !== null ? ExpenseManager.getExpenseById(this._editingId) : null;
+        if (!expense) return;
+
+        $('#editDescription').val(expense.description);
+        $('#editAmount').val(expense.amount);
+        $('#editCurrency').val(expense.currency || CurrencyModule.getBaseCurrency());
+        $('#editCategory').val(expense.category);
+        $('#editDate').val(expense.date);
+    },
+
+    /**
+     * Render the inline edit form for an expense
+     * @param {object} expense - Expense object
+     * @returns {string} HTML string for edit form
+     * @private
+     */
+    _renderExpenseEditForm(expense) {
+        const inputClasses = 'expense-edit-input w-full p-2 border-2 border-gray-200 rounded-lg focus:border-primary focus:outline-none text-sm';
+
+        return `
+            <div class="bg-indigo-50 p-4 rounded-lg border border-indigo-200 space-y-2">
+                <input type="text" id="editDescription" class="${inputClasses}" placeholder="Mô tả">
+                <div class="grid grid-cols-3 gap-2">
+                    <input type="number" id="editAmount" class="${inputClasses}" step="any" placeholder="Số tiền">
+                    <select id="editCurrency" class="${inputClasses}">${CurrencyModule.renderOptions()}</select>
+                    <input type="text" id="editCategory" class="${inputClasses}" list="categoryList" placeholder="Danh mục">
+                </div>
+                <input type="date" id="editDate" class="${inputClasses}">
+                <div class="flex justify-end gap-2">
+                    <button onclick="ModalModule.cancelEdit()"
+                            class="bg-gray-200 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-300 transition-colors">
+                        Hủy
+                    </button>
+                    <button onclick="ModalModule.saveEdit(${expense.id})"
+                            class="bg-indigo-500 text-white px-3 py-1 rounded text-sm hover:bg-indigo-600 transition-colors">
+                        Lưu
+                    </button>
+                </div>
+            </div>
+        `;
     },
 
     /**
@@ -186,8 +304,8 @@ const ModalModule = {
      */
     _renderExpenseItem(expense) {
         const sanitizedDescription = Utils.sanitizeHtml(expense.description);
-        const sanitizedCategory = Utils.sanitizeHtml(expense.category);
-        const formattedAmount = Utils.formatNumber(expense.amount);
+        const formattedAmount = CurrencyModule.formatBase(ExpenseManager.getBaseAmount(expense));
+        const isIncome = ExpenseManager.isIncome(expense);
         const formattedTime = new Date(expense.timestamp).toLocaleTimeString(CONFIG.LOCALE);
 
         return `
@@ -196,12 +314,18 @@ const ModalModule = {
                     <div class="flex-1">
                         <div class="font-semibold text-gray-800">${sanitizedDescription}</div>
                         <div class="mt-1">
-                            <span class="category-badge">${sanitizedCategory}</span>
+                            ${CategoryModule.renderBadge(expense.category)}
                             <span class="text-sm text-gray-600">${formattedTime}</span>
                         </div>
                     </div>
                     <div class="text-right">
-                        <div class="font-bold text-red-600">${formattedAmount} VND</div>
+                        <div class="font-bold ${isIncome ? 'text-green-600' : 'text-red-600'}">${isIncome ? '+' : ''}${formattedAmount}</div>
+                        ${this._renderOriginalAmount(expense)}
+                        ${this._renderSplit(expense)}
+                        <button onclick="ModalModule.startEdit(${expense.id})"
+                                class="mt-2 bg-indigo-500 text-white px-3 py-1 rounded text-sm hover:bg-indigo-600 transition-colors">
+                            Sửa
+                        </button>
                         <button onclick="AppController.deleteExpense(${expense.id})" 
                                 class="mt-2 bg-red-500 text-white px-3 py-1 rounded text-sm hover:bg-red-600 transition-colors">
                             Xóa
@@ -212,6 +336,78 @@ const ModalModule = {
         `;
     },
 
+    /**
+     * Render the amount in its own currency and the rate used, for entries not in the base currency
+     * @param {object} entry - Expense or recurring occurrence
+     * @returns {string} HTML string (empty for base currency entries)
+     * @private
+     */
+    _renderOriginalAmount(entry) {
+        const baseCurrency = CurrencyModule.getBaseCurrency();
+        if (!entry.currency || entry.currency === baseCurrency) return '';
+
+        const rate = CurrencyModule.getRate(entry.currency, entry.date);
+        const rateText = rate === null
+            ? CONFIG.MESSAGES.CURRENCY_NO_RATE.replace('{currency}', entry.currency).replace('{date}', entry.date)
+            : `1 ${entry.currency} = ${CurrencyModule.formatRate(rate)} ${baseCurrency}`;
+
+        return `
+            <div class="text-sm text-gray-700">${Utils.formatMoney(entry.amount, entry.currency)}</div>
+            <div class="text-xs text-gray-500">${rateText}</div>
+        `;
+    },
+
+    /**
+     * Render who paid a shared expense, how it is split and the user's share
+     * @param {object} expense - Expense object
+     * @returns {string} HTML string (empty for expenses that are not shared)
+     * @private
+     */
+    _renderSplit(expense) {
+        if (!expense.split) return '';
+
+        const people = expense.split.shares.map(share => Utils.sanitizeHtml(share.person)).join(', ');
+        const ownShare = CurrencyModule.formatBase(ExpenseManager.getOwnAmount(expense));
+
+        return `
+            <div class="text-xs text-gray-500" title="${people}">
+                👥 ${CONFIG.SPLIT_METHOD_LABELS[expense.split.method]} ·
+                ${CONFIG.MESSAGES.SPLIT_PAID_BY.replace('{person}', Utils.sanitizeHtml(expense.split.paidBy))}
+            </div>
+            <div class="text-sm font-semibold text-gray-700">${CONFIG.MESSAGES.SPLIT_MY_SHARE.replace('{amount}', ownShare)}</div>
+        `;
+    },
+
+    /**
+     * Render recurring occurrences scheduled for the day but not posted yet
+     * @param {Array} upcoming - Upcoming occurrences
+     * @private
+     */
+    _renderUpcoming(upcoming) {
+        if (upcoming.length === 0) {
+            $('#modalUpcoming').html('');
+            return;
+        }
+
+        const items = upcoming.map(occurrence => `
+            <div class="has-upcoming p-3 rounded-lg flex justify-between items-center">
+                <div>
+                    <div class="font-semibold">${Utils.sanitizeHtml(occurrence.description)}</div>
+                    ${CategoryModule.renderBadge(occurrence.category)}
+                </div>
+                <div class="text-right">
+                    <div class="font-bold">${CurrencyModule.formatBase(ExpenseManager.getBaseAmount(occurrence))}</div>
+                    ${this._renderOriginalAmount(occurrence)}
+                </div>
+            </div>
+        `).join('');
+
+        $('#modalUpcoming').html(`
+            <div class="text-sm font-medium text-gray-700 mb-2">🔁 ${CONFIG.MESSAGES.UPCOMING_LABEL}</div>
+            ${items}
+        `);
+    },
+
     /**
      * Show the modal
      * @private
@@ -228,6 +424,7 @@ const ModalModule = {
         return {
             date: this._currentDate,
             category: this._currentCategory,
+            editingId: this._editingId,
             isVisible: !$('#dailyExpensesModal').hasClass('hidden')
         };
     }
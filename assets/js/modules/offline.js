@@ -0,0 +1,99 @@
+// Offline Module
+// Handles the service worker: registers it so the app works without network
+// and shows a prompt when a new version has been downloaded
+
+const OfflineModule = {
+    // Private properties
+    _registration: null,
+    _isReloading: false,
+
+    /**
+     * Register the service worker (does nothing where service workers are not supported)
+     */
+    init() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+        this._bindEvents();
+
+        // A new worker takes over after the user accepted the update, so load the new version
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this._isReloading) return;
+            this._isReloading = true;
+            window.location.reload();
+        });
+
+        // Always check the worker script itself, not a copy from the HTTP cache
+        navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL, { updateViaCache: 'none' })
+            .then(registration => {
+                this._registration = registration;
+
+                // An update downloaded during an earlier visit is already waiting
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt();
+                }
+
+                registration.addEventListener('updatefound', () => this._watchInstall(registration.installing));
+            })
+            .catch(error => {
+                // The app still works online without the worker (e.g. when opened from file://)
+                console.warn('Service worker registration failed:', error);
+            });
+    },
+
+    /**
+     * Show the prompt that a new version is ready
+     */
+    showUpdatePrompt() {
+        $('#updatePrompt').removeClass('hidden');
+    },
+
+    /**
+     * Hide the update prompt (the new version is used on the next visit)
+     */
+    hideUpdatePrompt() {
+        $('#updatePrompt').addClass('hidden');
+    },
+
+    /**
+     * Switch to the waiting version; the page reloads once it has taken over
+     */
+    applyUpdate() {
+        const waiting = this._registration && this._registration.waiting;
+        this.hideUpdatePrompt();
+        if (waiting) {
+            waiting.postMessage({ type: 'SKIP_WAITING' });
+        }
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#updateNowBtn').click(() => this.applyUpdate());
+        $('#updateLaterBtn').click(() => this.hideUpdatePrompt());
+    },
+
+    /**
+     * Show the update prompt once a newly found worker has finished installing
+     * @param {ServiceWorker} worker - Installing service worker
+     * @private
+     */
+    _watchInstall(worker) {
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt();
+            }
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineModule;
+} else if (typeof window !== 'undefined') {
+    window.OfflineModule = OfflineModule;
+}
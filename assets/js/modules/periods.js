@@ -0,0 +1,314 @@
+// Period Module
+// Handles named budget periods, switching between them and rolling over unspent money
+
+const PeriodModule = {
+    // Private properties
+    _periods: [],
+    _activePeriodId: null,
+
+    /**
+     * Initialize period module
+     * @param {Array} periods - Saved budget periods
+     * @param {number} activePeriodId - ID of the active period
+     */
+    init(periods = [], activePeriodId = null) {
+        this.setPeriods(periods, activePeriodId);
+        this._bindEvents();
+    },
+
+    /**
+     * Replace periods (e.g. after import)
+     * @param {Array} periods - Budget periods
+     * @param {number} activePeriodId - ID of the active period
+     */
+    setPeriods(periods = [], activePeriodId = null) {
+        this._periods = periods.map(period => ({ ...period }));
+
+        if (this._periods.length === 0) {
+            this._periods.push(this._buildPeriod({}));
+        }
+
+        this._activePeriodId = this._periods.some(period => period.id === activePeriodId)
+            ? activePeriodId
+            : this._periods[this._periods.length - 1].id;
+
+        this.render();
+    },
+
+    /**
+     * Get all periods sorted by start date
+     * @returns {Array} Array of periods
+     */
+    getPeriods() {
+        return this._periods
+            .map(period => ({ ...period }))
+            .sort((a, b) => a.startDate.localeCompare(b.startDate));
+    },
+
+    /**
+     * Get the active period
+     * @returns {object} Active period
+     */
+    getActivePeriod() {
+        return { ...this._periods.find(period => period.id === this._activePeriodId) };
+    },
+
+    /**
+     * Get the period a date belongs to
+     * @param {string} dateStr - Date string in YYYY-MM-DD format
+     * @returns {object|null} Period or null if the date is outside every period
+     */
+    getPeriodForDate(dateStr) {
+        const period = this._periods.find(p => dateStr >= p.startDate && dateStr <= p.endDate);
+        return period ? { ...period } : null;
+    },
+
+    /**
+     * Get the money rolled over into a period: what was left of the period before it.
+     * It is worked out from the current data, so later edits to the previous period count too
+     * @param {number} id - Period ID
+     * @param {Map} memo - Carry overs already worked out, by period ID (share one across calls
+     *                     that read the same data, e.g. one render, to scan the expenses once per period)
+     * @returns {number} Carry over (0 if the period does not roll over)
+     */
+    getCarryOver(id, memo = new Map()) {
+        if (memo.has(id)) return memo.get(id);
+
+        const period = this._periods.find(p => p.id === id);
+        const previous = period && period.rollover ? this._getPreviousPeriod(period) : null;
+        let carryOver = 0;
+
+        if (previous) {
+            // Same as the "remaining" of StatisticsModule, for the previous period
+            const entries = ExpenseManager.getExpensesForPeriod(previous);
+            const remaining = (parseFloat(previous.totalBudget) || 0) + this.getCarryOver(previous.id, memo)
+                + ExpenseManager.getTotalIncome(entries)
+                - ExpenseManager.getTotalSpent(entries)
+                - GoalModule.getAllocatedForPeriod(previous.id);
+            carryOver = Math.max(0, remaining);
+        }
+
+        memo.set(id, carryOver);
+        return carryOver;
+    },
+
+    /**
+     * Get budget settings of the active period for StatisticsModule
+     * (the budget includes money rolled over from the previous period)
+     * @returns {object} Budget settings
+     */
+    getBudgetSettings() {
+        const period = this.getActivePeriod();
+        return {
+            totalBudget: (parseFloat(period.totalBudget) || 0) + this.getCarryOver(period.id),
+            startDate: period.startDate,
+            endDate: period.endDate
+        };
+    },
+
+    /**
+     * Switch the active period
+     * @param {number} id - Period ID
+     * @returns {boolean} True if switched
+     */
+    setActivePeriod(id) {
+        if (!this._periods.some(period => period.id === id)) return false;
+
+        this._activePeriodId = id;
+        this.render();
+        return true;
+    },
+
+    /**
+     * Update the active period from the budget form
+     * @param {object} periodData - Name, budget and dates
+     * @throws {Error} If the start date is after the end date or the dates overlap another period
+     */
+    updateActivePeriod(periodData) {
+        const period = this._periods.find(p => p.id === this._activePeriodId);
+        if (!period) return;
+
+        const startDate = periodData.startDate || period.startDate;
+        const endDate = periodData.endDate || period.endDate;
+        if (startDate > endDate) {
+            throw new Error(CONFIG.MESSAGES.PERIOD_DATES_ERROR);
+        }
+        this._checkOverlap(startDate, endDate, period.id);
+
+        if (periodData.name !== undefined) period.name = periodData.name.trim() || period.name;
+        if (periodData.totalBudget !== undefined) period.totalBudget = periodData.totalBudget;
+        if (periodData.startDate) period.startDate = periodData.startDate;
+        if (periodData.endDate) period.endDate = periodData.endDate;
+
+        this.render();
+    },
+
+    /**
+     * Convert the budget of every period (after the base currency changed)
+     * @param {Function} convert - Converts an amount in the old base currency to the new one
+     */
+    convertBudgets(convert) {
+        this._periods.forEach(period => {
+            const budget = parseFloat(period.totalBudget);
+            if (budget > 0) period.totalBudget = String(convert(budget));
+        });
+        this.render();
+    },
+
+    /**
+     * Create a new period and make it active
+     * @param {object} periodData - Name, budget, dates and whether to roll over the previous period
+     * @returns {object} Created period
+     * @throws {Error} If the dates are invalid or overlap another period
+     */
+    createPeriod(periodData) {
+        if (!periodData.startDate || !periodData.endDate || periodData.startDate > periodData.endDate) {
+            throw new Error(CONFIG.MESSAGES.PERIOD_VALIDATION_ERROR);
+        }
+        this._checkOverlap(periodData.startDate, periodData.endDate);
+
+        const period = this._buildPeriod(periodData);
+        this._periods.push(period);
+        this._activePeriodId = period.id;
+        this.render();
+
+        return period;
+    },
+
+    /**
+     * Suggest dates for the period following the active one
+     * @returns {object} Suggested startDate and endDate
+     */
+    getNextPeriodDefaults() {
+        const active = this.getActivePeriod();
+        const startDate = active.endDate ? Utils.addDays(active.endDate, 1) : Utils.getTodayString();
+
+        return {
+            startDate,
+            endDate: Utils.addDays(startDate, CONFIG.DEFAULT_PERIOD_DAYS - 1)
+        };
+    },
+
+    /**
+     * Render period selector and carry over note
+     */
+    render() {
+        const options = this.getPeriods().map(period => {
+            const label = `${Utils.sanitizeHtml(period.name)} (${period.startDate} → ${period.endDate})`;
+            const selected = period.id === this._activePeriodId ? 'selected' : '';
+            return `<option value="${period.id}" ${selected}>${label}</option>`;
+        }).join('');
+        $('#periodSelect').html(options);
+
+        const carryOver = this.getCarryOver(this._activePeriodId);
+        if (carryOver) {
+            $('#periodCarryOver').removeClass('hidden')
+                .text(CONFIG.MESSAGES.PERIOD_CARRY_OVER.replace('{amount}', CurrencyModule.formatBase(carryOver)));
+        } else {
+            $('#periodCarryOver').addClass('hidden');
+        }
+    },
+
+    /**
+     * Get current data for storage
+     * @returns {object} Data object for storage
+     */
+    getData() {
+        return {
+            periods: this.getPeriods(),
+            activePeriodId: this._activePeriodId
+        };
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#periodSelect').off('change').on('change', (e) => AppController.switchPeriod(parseInt(e.target.value, 10)));
+        $('#newPeriodBtn').off('click').on('click', () => this._showNewPeriodForm());
+        $('#cancelPeriodBtn').off('click').on('click', () => $('#newPeriodForm').addClass('hidden'));
+        $('#createPeriodBtn').off('click').on('click', () => AppController.createPeriod());
+    },
+
+    /**
+     * Show the new period form prefilled with suggested values
+     * @private
+     */
+    _showNewPeriodForm() {
+        const defaults = this.getNextPeriodDefaults();
+        const active = this.getActivePeriod();
+
+        $('#newPeriodName').val('');
+        $('#newPeriodStart').val(defaults.startDate);
+        $('#newPeriodEnd').val(defaults.endDate);
+        $('#newPeriodBudget').val(active.totalBudget || '');
+        $('#newPeriodRollover').prop('checked', true);
+        $('#newPeriodForm').removeClass('hidden');
+    },
+
+    /**
+     * Make sure a date range does not overlap any period (each date belongs to one period)
+     * @param {string} startDate - Start date string
+     * @param {string} endDate - End date string
+     * @param {number} ignoreId - Period that is being changed
+     * @throws {Error} If the range overlaps another period
+     * @private
+     */
+    _checkOverlap(startDate, endDate, ignoreId = null) {
+        const overlapping = this._periods.find(period => period.id !== ignoreId &&
+            startDate <= period.endDate && endDate >= period.startDate);
+
+        if (overlapping) {
+            throw new Error(CONFIG.MESSAGES.PERIOD_OVERLAP_ERROR.replace('{name}', overlapping.name));
+        }
+    },
+
+    /**
+     * Get the period that ended last before a period starts
+     * @param {object} period - Period
+     * @returns {object|null} Previous period or null if it is the first one
+     * @private
+     */
+    _getPreviousPeriod(period) {
+        return this._periods
+            .filter(p => p.endDate < period.startDate)
+            .sort((a, b) => b.endDate.localeCompare(a.endDate))[0] || null;
+    },
+
+    /**
+     * Build a period object with defaults
+     * @param {object} periodData - Partial period data
+     * @returns {object} Period object
+     * @private
+     */
+    _buildPeriod(periodData) {
+        const startDate = periodData.startDate || Utils.getTodayString();
+
+        return {
+            id: Utils.generateId(),
+            name: (periodData.name || '').trim() || this._defaultName(startDate),
+            startDate,
+            endDate: periodData.endDate || Utils.addDays(startDate, CONFIG.DEFAULT_PERIOD_DAYS - 1),
+            totalBudget: periodData.totalBudget || '',
+            rollover: Boolean(periodData.rollover)
+        };
+    },
+
+    /**
+     * Default period name from its start month
+     * @param {string} startDate - Start date string
+     * @returns {string} Period name
+     * @private
+     */
+    _defaultName(startDate) {
+        return `Kỳ ${Utils.formatDate(Utils.parseDateString(startDate), { month: '2-digit', year: 'numeric' })}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PeriodModule;
+} else if (typeof window !== 'undefined') {
+    window.PeriodModule = PeriodModule;
+}
@@ -0,0 +1,231 @@
+// Quick Add Module
+// Handles the one-line quick-add input: parses phrases like "phở 45k" or "hôm qua grab 1tr2 di chuyển"
+// into an expense and shows it for confirmation before it is added
+
+const QuickAddModule = {
+    // Private properties
+    _parsed: null, // Expense data waiting for confirmation
+    _parsedText: '', // Text the waiting expense was parsed from
+
+    // Money shorthand (keys without diacritics): 45k, 45 nghìn, 1tr2, 2 triệu, 30.000đ
+    _units: {
+        k: 1000,
+        nghin: 1000,
+        ngan: 1000,
+        tr: 1000000,
+        trieu: 1000000,
+        cu: 1000000,
+        d: 1,
+        vnd: 1
+    },
+
+    // Relative dates, as days from today (keys without diacritics)
+    _relativeDates: {
+        'hom nay': 0,
+        'hom qua': -1,
+        'hom kia': -2
+    },
+
+    /**
+     * Initialize quick add module
+     */
+    init() {
+        this._bindEvents();
+    },
+
+    /**
+     * Parse a quick-add phrase into expense data
+     * @param {string} text - Phrase such as "hôm qua cà phê 30.000"
+     * @param {string} today - Date the relative dates count from (YYYY-MM-DD)
+     * @returns {object} { description, amount, category, date }
+     */
+    parse(text, today = Utils.getTodayString()) {
+        const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+        const words = tokens.map(token => Utils.normalizeText(token));
+        const used = tokens.map(() => false);
+
+        let date = today;
+        Object.entries(this._relativeDates).forEach(([phrase, offset]) => {
+            if (this._takePhrase(words, used, phrase) > -1) {
+                date = Utils.addDays(today, offset);
+            }
+        });
+
+        const amount = this._takeAmount(words, used);
+        if (!(amount > 0)) {
+            throw new Error(CONFIG.MESSAGES.QUICK_ADD_NO_AMOUNT);
+        }
+
+        // A category named in the phrase is not part of the description
+        const categories = [...new Set([...CONFIG.DEFAULT_CATEGORIES, ...ExpenseManager.getCategories()])]
+            .filter(category => category !== CONFIG.INCOME_CATEGORY)
+            .sort((a, b) => b.split(/\s+/).length - a.split(/\s+/).length);
+        let category = categories.find(name => this._takePhrase(words, used, name) > -1);
+
+        const description = tokens.filter((token, index) => !used[index]).join(' ');
+        category = category || CategoryRuleModule.suggest(description) || 'Khác';
+
+        return {
+            description: description
+                ? description.charAt(0).toUpperCase() + description.slice(1)
+                : category,
+            amount,
+            category,
+            date
+        };
+    },
+
+    /**
+     * Parse the quick-add input and show the result for confirmation
+     */
+    preview() {
+        const text = $('#quickAddInput').val();
+        if (!text.trim()) return;
+
+        try {
+            this._parsed = this.parse(text);
+            this._parsedText = text;
+            this._renderPreview();
+        } catch (error) {
+            this.cancel();
+            $('#quickAddError').text(error.message).removeClass('hidden');
+        }
+    },
+
+    /**
+     * Add the previewed expense
+     */
+    confirm() {
+        if (!this._parsed) return;
+        AppController.quickAddExpense({ ...this._parsed });
+    },
+
+    /**
+     * Clear the input and the preview (after adding)
+     */
+    clear() {
+        $('#quickAddInput').val('');
+        this.cancel();
+    },
+
+    /**
+     * Drop the previewed expense
+     */
+    cancel() {
+        this._parsed = null;
+        this._parsedText = '';
+        $('#quickAddPreview, #quickAddError').addClass('hidden');
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#quickAddBtn').click(() => this.preview());
+        $('#quickAddConfirmBtn').click(() => this.confirm());
+        $('#quickAddCancelBtn').click(() => this.cancel());
+
+        // Enter shows the preview; Enter again on the same text adds it
+        $('#quickAddInput').keypress(event => {
+            if (event.which !== 13) return;
+            if (this._parsed && $('#quickAddInput').val() === this._parsedText) {
+                this.confirm();
+            } else {
+                this.preview();
+            }
+        });
+        $('#quickAddInput').on('input', () => {
+            if (this._parsed && $('#quickAddInput').val() !== this._parsedText) this.cancel();
+        });
+    },
+
+    /**
+     * Find a phrase among the words that are not used yet and mark it as used
+     * @param {Array} words - Words without diacritics
+     * @param {Array} used - Used flags, one per word
+     * @param {string} phrase - Phrase to look for
+     * @returns {number} Index of the first word of the phrase or -1
+     * @private
+     */
+    _takePhrase(words, used, phrase) {
+        const parts = Utils.normalizeText(phrase).split(/\s+/);
+
+        for (let i = 0; i + parts.length <= words.length; i++) {
+            if (parts.every((part, offset) => !used[i + offset] && words[i + offset] === part)) {
+                parts.forEach((part, offset) => {
+                    used[i + offset] = true;
+                });
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * Find the amount among the words and mark it as used ("1tr2" is 1.2 million, "45k5" is 45,500,
+     * "45 nghìn" takes the unit from the next word). The first amount with a unit wins, otherwise
+     * the largest plain number ("iphone 15 20tr" is 20 million, not 15)
+     * @param {Array} words - Words without diacritics
+     * @param {Array} used - Used flags, one per word
+     * @returns {number} Amount or NaN if there is none
+     * @private
+     */
+    _takeAmount(words, used) {
+        const candidates = [];
+
+        words.forEach((word, index) => {
+            const match = !used[index] && word.match(/^(\d[\d.,]*)([a-z]*)(\d*)$/);
+            if (!match) return;
+
+            const [, number, suffix, tail] = match;
+            const value = CsvUtils.parseAmount(number);
+            const nextUnit = !suffix && !used[index + 1] ? this._units[words[index + 1]] : undefined;
+            const multiplier = suffix ? this._units[suffix] : (nextUnit || 1);
+            if (isNaN(value) || !multiplier || (tail && multiplier === 1)) return;
+
+            const fraction = tail ? Number(tail) / Math.pow(10, tail.length) : 0;
+            candidates.push({
+                indexes: nextUnit ? [index, index + 1] : [index],
+                amount: Math.round((value + fraction) * multiplier),
+                hasUnit: Boolean(suffix || nextUnit)
+            });
+        });
+
+        const best = candidates.find(candidate => candidate.hasUnit)
+            || candidates.sort((a, b) => b.amount - a.amount)[0];
+        if (!best) return NaN;
+
+        best.indexes.forEach(index => {
+            used[index] = true;
+        });
+        return best.amount;
+    },
+
+    /**
+     * Show the parsed expense for confirmation
+     * @private
+     */
+    _renderPreview() {
+        const expense = this._parsed;
+        const date = Utils.formatDate(Utils.parseDateString(expense.date), { weekday: 'short', day: '2-digit', month: '2-digit' });
+
+        $('#quickAddError').addClass('hidden');
+        $('#quickAddSummary').html(`
+            <div class="font-semibold text-gray-800">${Utils.sanitizeHtml(expense.description)}</div>
+            <div class="flex flex-wrap items-center gap-2 mt-1 text-gray-600">
+                <span class="font-semibold text-red-600">${CurrencyModule.formatBase(expense.amount)}</span>
+                ${CategoryModule.renderBadge(expense.category)}
+                <span>📅 ${date}</span>
+            </div>
+        `);
+        $('#quickAddPreview').removeClass('hidden');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuickAddModule;
+} else if (typeof window !== 'undefined') {
+    window.QuickAddModule = QuickAddModule;
+}
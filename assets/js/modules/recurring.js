@@ -0,0 +1,348 @@
+// Recurring Module
+// Handles recurring expense templates (rent, subscriptions, bills) and their occurrences
+
+const RecurringModule = {
+    // Private properties
+    _templates: [],
+
+    /**
+     * Initialize recurring module
+     * @param {Array} templates - Saved recurring templates
+     */
+    init(templates = []) {
+        this._templates = templates;
+        this._bindEvents();
+        this._toggleRuleParam();
+        this.renderList();
+    },
+
+    /**
+     * Replace templates (e.g. after import)
+     * @param {Array} templates - Recurring templates
+     */
+    setTemplates(templates = []) {
+        this._templates = templates;
+        this.renderList();
+    },
+
+    /**
+     * Get all templates
+     * @returns {Array} Array of templates
+     */
+    getTemplates() {
+        return this._templates.map(template => ({ ...template, rule: { ...template.rule } }));
+    },
+
+    /**
+     * Add a new recurring template
+     * @param {object} templateData - Template data
+     * @returns {object} Created template
+     */
+    addTemplate(templateData) {
+        if (!this._validateTemplate(templateData)) {
+            throw new Error(CONFIG.MESSAGES.RECURRING_VALIDATION_ERROR);
+        }
+
+        const template = {
+            id: Utils.generateId(),
+            // Kept as typed: ExpenseManager.addExpense sanitizes the posted expenses
+            description: templateData.description.trim(),
+            amount: parseFloat(templateData.amount),
+            currency: templateData.currency || CurrencyModule.getBaseCurrency(),
+            category: templateData.category || 'Khác',
+            rule: this._normalizeRule(templateData.rule),
+            startDate: templateData.startDate || Utils.getTodayString(),
+            lastGenerated: null
+        };
+
+        this._templates.push(template);
+        this.renderList();
+
+        return template;
+    },
+
+    /**
+     * Remove a template (already posted expenses are kept)
+     * @param {number} id - Template ID
+     * @returns {boolean} True if removed
+     */
+    removeTemplate(id) {
+        const initialLength = this._templates.length;
+        this._templates = this._templates.filter(template => template.id !== id);
+        this.renderList();
+        return this._templates.length < initialLength;
+    },
+
+    /**
+     * Move templates of a renamed, merged or deleted category
+     * @param {string} from - Old category name
+     * @param {string} to - New category name
+     */
+    renameCategory(from, to) {
+        this._templates = this._templates.map(template =>
+            template.category === from ? { ...template, category: to } : template
+        );
+        this.renderList();
+    },
+
+    /**
+     * Collect occurrences that are due up to a date and mark them as generated
+     * @param {string} untilDateStr - Last date to generate (usually today)
+     * @returns {Array} Expense data objects ready for ExpenseManager.addExpense
+     */
+    collectDueExpenses(untilDateStr = Utils.getTodayString()) {
+        const dueExpenses = [];
+
+        this._templates.forEach(template => {
+            const fromDateStr = template.lastGenerated
+                ? Utils.addDays(template.lastGenerated, 1)
+                : template.startDate;
+
+            this.getOccurrences(template, fromDateStr, untilDateStr).forEach(dateStr => {
+                dueExpenses.push({
+                    description: template.description,
+                    amount: template.amount,
+                    currency: template.currency,
+                    category: template.category,
+                    date: dateStr,
+                    recurringId: template.id
+                });
+            });
+
+            if (fromDateStr <= untilDateStr) {
+                template.lastGenerated = untilDateStr;
+            }
+        });
+
+        return dueExpenses;
+    },
+
+    /**
+     * Get occurrences that are not posted yet within a date range
+     * @param {string} fromDateStr - Range start (YYYY-MM-DD)
+     * @param {string} toDateStr - Range end (YYYY-MM-DD)
+     * @returns {Array} Upcoming occurrence objects
+     */
+    getUpcomingOccurrences(fromDateStr, toDateStr) {
+        const tomorrow = Utils.addDays(Utils.getTodayString(), 1);
+        const start = fromDateStr > tomorrow ? fromDateStr : tomorrow;
+        const upcoming = [];
+
+        this._templates.forEach(template => {
+            this.getOccurrences(template, start, toDateStr).forEach(dateStr => {
+                upcoming.push({
+                    templateId: template.id,
+                    description: template.description,
+                    amount: template.amount,
+                    currency: template.currency,
+                    category: template.category,
+                    date: dateStr
+                });
+            });
+        });
+
+        return upcoming;
+    },
+
+    /**
+     * Get the dates a template occurs on within a range
+     * @param {object} template - Recurring template
+     * @param {string} fromDateStr - Range start (YYYY-MM-DD)
+     * @param {string} toDateStr - Range end (YYYY-MM-DD)
+     * @returns {Array} Date strings
+     */
+    getOccurrences(template, fromDateStr, toDateStr) {
+        const dates = [];
+        let current = fromDateStr > template.startDate ? fromDateStr : template.startDate;
+
+        while (current <= toDateStr) {
+            if (this._occursOn(template, current)) {
+                dates.push(current);
+            }
+            current = Utils.addDays(current, 1);
+        }
+
+        return dates;
+    },
+
+    /**
+     * Render the template list
+     */
+    renderList() {
+        if (this._templates.length === 0) {
+            $('#recurringList').html(`<p class="text-gray-500 text-sm text-center py-2">${CONFIG.MESSAGES.NO_RECURRING}</p>`);
+            return;
+        }
+
+        const html = this._templates.map(template => this._renderTemplateItem(template)).join('');
+        $('#recurringList').html(html);
+    },
+
+    /**
+     * Get current data for storage
+     * @returns {object} Data object for storage
+     */
+    getData() {
+        return {
+            recurring: this.getTemplates()
+        };
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#recurringRule').off('change').on('change', () => this._toggleRuleParam());
+        $('#addRecurringBtn').off('click').on('click', () => AppController.addRecurring());
+        $('#recurringStart').val(Utils.getTodayString());
+    },
+
+    /**
+     * Show or hide the rule parameter input depending on rule type
+     * @private
+     */
+    _toggleRuleParam() {
+        const type = $('#recurringRule').val();
+        const placeholders = {
+            [CONFIG.RECURRENCE_TYPES.MONTHLY]: 'Ngày trong tháng (1-31)',
+            [CONFIG.RECURRENCE_TYPES.INTERVAL]: 'Số ngày giữa mỗi lần'
+        };
+
+        if (placeholders[type]) {
+            $('#recurringParam').removeClass('hidden').attr('placeholder', placeholders[type]);
+        } else {
+            $('#recurringParam').addClass('hidden').val('');
+        }
+    },
+
+    /**
+     * Check whether a template occurs on a date
+     * @param {object} template - Recurring template
+     * @param {string} dateStr - Date string
+     * @returns {boolean} True if it occurs
+     * @private
+     */
+    _occursOn(template, dateStr) {
+        const { rule } = template;
+        const date = Utils.parseDateString(dateStr);
+
+        switch (rule.type) {
+            case CONFIG.RECURRENCE_TYPES.DAILY:
+                return true;
+            case CONFIG.RECURRENCE_TYPES.WEEKLY:
+                return date.getDay() === Utils.parseDateString(template.startDate).getDay();
+            case CONFIG.RECURRENCE_TYPES.MONTHLY: {
+                // Clamp to the last day for short months (e.g. day 31 in February)
+                const targetDay = Math.min(rule.dayOfMonth, Utils.getDaysInMonth(date));
+                return date.getDate() === targetDay;
+            }
+            case CONFIG.RECURRENCE_TYPES.INTERVAL: {
+                const daysSinceStart = Utils.daysBetween(Utils.parseDateString(template.startDate), date) - 1;
+                return daysSinceStart % rule.interval === 0;
+            }
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Keep only the fields a rule type needs
+     * @param {object} rule - Raw rule
+     * @returns {object} Normalized rule
+     * @private
+     */
+    _normalizeRule(rule) {
+        switch (rule.type) {
+            case CONFIG.RECURRENCE_TYPES.MONTHLY:
+                return { type: rule.type, dayOfMonth: parseInt(rule.dayOfMonth, 10) };
+            case CONFIG.RECURRENCE_TYPES.INTERVAL:
+                return { type: rule.type, interval: parseInt(rule.interval, 10) };
+            default:
+                return { type: rule.type };
+        }
+    },
+
+    /**
+     * Validate template data
+     * @param {object} templateData - Template data
+     * @returns {boolean} True if valid
+     * @private
+     */
+    _validateTemplate(templateData) {
+        if (!Utils.validateExpense(templateData) || !templateData.rule) return false;
+
+        const { rule } = templateData;
+        switch (rule.type) {
+            case CONFIG.RECURRENCE_TYPES.DAILY:
+            case CONFIG.RECURRENCE_TYPES.WEEKLY:
+                return true;
+            case CONFIG.RECURRENCE_TYPES.MONTHLY: {
+                const day = parseInt(rule.dayOfMonth, 10);
+                return day >= 1 && day <= 31;
+            }
+            case CONFIG.RECURRENCE_TYPES.INTERVAL:
+                return parseInt(rule.interval, 10) >= 1;
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Describe a rule in Vietnamese
+     * @param {object} template - Recurring template
+     * @returns {string} Rule description
+     * @private
+     */
+    _describeRule(template) {
+        const { rule } = template;
+        const label = CONFIG.RECURRENCE_LABELS[rule.type] || rule.type;
+
+        switch (rule.type) {
+            case CONFIG.RECURRENCE_TYPES.WEEKLY:
+                return `${label} (${Utils.formatDate(Utils.parseDateString(template.startDate), { weekday: 'long' })})`;
+            case CONFIG.RECURRENCE_TYPES.MONTHLY:
+                return `${label} ngày ${rule.dayOfMonth}`;
+            case CONFIG.RECURRENCE_TYPES.INTERVAL:
+                return `Mỗi ${rule.interval} ngày`;
+            default:
+                return label;
+        }
+    },
+
+    /**
+     * Render a single template item
+     * @param {object} template - Recurring template
+     * @returns {string} HTML string for template item
+     * @private
+     */
+    _renderTemplateItem(template) {
+        const sanitizedDescription = Utils.sanitizeHtml(template.description);
+
+        return `
+            <div class="bg-gray-50 p-3 rounded-lg flex justify-between items-start">
+                <div class="flex-1">
+                    <div class="font-semibold text-gray-800">${sanitizedDescription}</div>
+                    <div class="mt-1">
+                        ${CategoryModule.renderBadge(template.category)}
+                        <span class="text-xs text-gray-600">${this._describeRule(template)}</span>
+                    </div>
+                </div>
+                <div class="text-right">
+                    <div class="font-bold text-red-600 text-sm">${Utils.formatMoney(template.amount, template.currency || CurrencyModule.getBaseCurrency())}</div>
+                    <button onclick="AppController.deleteRecurring(${template.id})"
+                            class="mt-1 bg-red-500 text-white px-2 py-1 rounded text-xs hover:bg-red-600 transition-colors">
+                        Xóa
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecurringModule;
+} else if (typeof window !== 'undefined') {
+    window.RecurringModule = RecurringModule;
+}
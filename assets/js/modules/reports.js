@@ -0,0 +1,297 @@
+// Report Module
+// Handles period comparison reports: two date ranges side by side with totals,
+// per-category changes and the categories that drove the difference
+
+const ReportModule = {
+    /**
+     * Initialize report module with the default comparison (rendered with the rest of the display)
+     */
+    init() {
+        this._bindEvents();
+        this._fillRanges(CONFIG.REPORT_PRESETS.MONTH_OVER_MONTH);
+    },
+
+    /**
+     * Get the two ranges of a preset comparison. This month only runs until today, so the
+     * other month is cut to the same days (Oct 1–19 is compared with Sep 1–19)
+     * @param {string} preset - One of CONFIG.REPORT_PRESETS
+     * @param {string} today - Date the ranges are based on (YYYY-MM-DD)
+     * @returns {object} { current, previous } - each { startDate, endDate }
+     */
+    getPresetRanges(preset, today = Utils.getTodayString()) {
+        const date = Utils.parseDateString(today);
+        const elapsedRange = (year, month) => {
+            // A shorter month ends on its last day (Mar 1–31 is compared with Feb 1–28)
+            const day = Math.min(date.getDate(), Utils.getDaysInMonth(new Date(year, month, 1)));
+            return {
+                startDate: Utils.toDateString(new Date(year, month, 1)),
+                endDate: Utils.toDateString(new Date(year, month, day))
+            };
+        };
+
+        return {
+            current: elapsedRange(date.getFullYear(), date.getMonth()),
+            previous: preset === CONFIG.REPORT_PRESETS.YEAR_OVER_YEAR
+                ? elapsedRange(date.getFullYear() - 1, date.getMonth())
+                : elapsedRange(date.getFullYear(), date.getMonth() - 1)
+        };
+    },
+
+    /**
+     * Show a preset comparison in the form and render it
+     * @param {string} preset - One of CONFIG.REPORT_PRESETS
+     */
+    applyPreset(preset) {
+        this._fillRanges(preset);
+        this.render();
+    },
+
+    /**
+     * Compare spending of two date ranges
+     * @param {object} current - { startDate, endDate } of the range being looked at
+     * @param {object} previous - { startDate, endDate } of the range it is compared with
+     * @returns {object} { current, previous, delta, percent, categories, drivers }
+     */
+    compare(current, previous) {
+        const currentSummary = this._summarize(current);
+        const previousSummary = this._summarize(previous);
+        const delta = currentSummary.total - previousSummary.total;
+
+        const names = new Set([
+            ...Object.keys(currentSummary.categoryStats),
+            ...Object.keys(previousSummary.categoryStats)
+        ]);
+        const categories = [...names]
+            .map(category => {
+                const now = currentSummary.categoryStats[category]?.total || 0;
+                const before = previousSummary.categoryStats[category]?.total || 0;
+                return {
+                    category,
+                    current: now,
+                    previous: before,
+                    delta: now - before,
+                    percent: this._percentChange(now, before)
+                };
+            })
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+        // The biggest changes in the same direction as the total explain the difference
+        const drivers = categories
+            .filter(row => row.delta !== 0 && Math.sign(row.delta) === Math.sign(delta))
+            .slice(0, CONFIG.REPORT_MAX_DRIVERS)
+            .map(row => row.category);
+
+        return {
+            current: currentSummary,
+            previous: previousSummary,
+            delta,
+            percent: this._percentChange(currentSummary.total, previousSummary.total),
+            categories,
+            drivers
+        };
+    },
+
+    /**
+     * Render the comparison of the ranges in the form
+     */
+    render() {
+        const current = { startDate: $('#reportCurrentStart').val(), endDate: $('#reportCurrentEnd').val() };
+        const previous = { startDate: $('#reportPreviousStart').val(), endDate: $('#reportPreviousEnd').val() };
+
+        const isValid = [current, previous].every(range => range.startDate && range.endDate && range.startDate <= range.endDate);
+        if (!isValid) {
+            $('#reportSummary').html(`<p class="text-red-600 text-sm">${CONFIG.MESSAGES.REPORT_RANGE_ERROR}</p>`);
+            $('#reportColumns, #reportCategories').html('');
+            return;
+        }
+
+        const report = this.compare(current, previous);
+        this._renderSummary(report);
+        this._renderColumns(report);
+        this._renderCategories(report);
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#reportPreset').change(event => this.applyPreset(event.currentTarget.value));
+
+        // Editing a date turns the comparison into a custom one
+        $('#reportCurrentStart, #reportCurrentEnd, #reportPreviousStart, #reportPreviousEnd').change(() => {
+            $('#reportPreset').val(CONFIG.REPORT_PRESETS.CUSTOM);
+            this.render();
+        });
+    },
+
+    /**
+     * Select a preset and put its ranges in the date inputs (a custom preset keeps the dates)
+     * @param {string} preset - One of CONFIG.REPORT_PRESETS
+     * @private
+     */
+    _fillRanges(preset) {
+        $('#reportPreset').val(preset);
+        if (preset === CONFIG.REPORT_PRESETS.CUSTOM) return;
+
+        const { current, previous } = this.getPresetRanges(preset);
+        $('#reportCurrentStart').val(current.startDate);
+        $('#reportCurrentEnd').val(current.endDate);
+        $('#reportPreviousStart').val(previous.startDate);
+        $('#reportPreviousEnd').val(previous.endDate);
+    },
+
+    /**
+     * Sum up spending in a range
+     * @param {object} range - { startDate, endDate }
+     * @returns {object} { startDate, endDate, total, count, days, averagePerDay, categoryStats }
+     * @private
+     */
+    _summarize(range) {
+        const stats = ExpenseManager.getStatistics(new Date(range.startDate), new Date(range.endDate));
+
+        // A range that is still running is averaged over the days so far
+        const lastDay = range.endDate < Utils.getTodayString() ? range.endDate : Utils.getTodayString();
+        const days = lastDay >= range.startDate
+            ? Utils.daysBetween(Utils.parseDateString(range.startDate), Utils.parseDateString(lastDay))
+            : 0;
+
+        return {
+            ...range,
+            total: stats.totalSpent,
+            count: stats.expenseCount,
+            days,
+            averagePerDay: days > 0 ? stats.totalSpent / days : 0,
+            categoryStats: stats.categoryStats
+        };
+    },
+
+    /**
+     * Percentage change from one amount to another
+     * @param {number} now - New amount
+     * @param {number} before - Old amount
+     * @returns {number|null} Percent change, or null if there was nothing before
+     * @private
+     */
+    _percentChange(now, before) {
+        return before > 0 ? ((now - before) / before) * 100 : null;
+    },
+
+    /**
+     * Render the one-line conclusion of the comparison
+     * @param {object} report - Result of compare()
+     * @private
+     */
+    _renderSummary(report) {
+        let message;
+
+        if (report.delta === 0) {
+            message = CONFIG.MESSAGES.REPORT_SAME;
+        } else {
+            message = (report.delta > 0 ? CONFIG.MESSAGES.REPORT_MORE : CONFIG.MESSAGES.REPORT_LESS)
+                .replace('{amount}', CurrencyModule.formatBase(Math.abs(report.delta)))
+                .replace('{percent}', this._formatPercent(report.percent));
+
+            if (report.drivers.length > 0) {
+                message += CONFIG.MESSAGES.REPORT_DRIVERS
+                    .replace('{categories}', report.drivers.map(category => CategoryModule.getLabel(category)).join(', '));
+            }
+        }
+
+        $('#reportSummary').html(`<p class="text-sm font-semibold ${report.delta > 0 ? 'text-red-600' : 'text-green-600'}">${message}</p>`);
+    },
+
+    /**
+     * Render both ranges side by side (total, count, average per day)
+     * @param {object} report - Result of compare()
+     * @private
+     */
+    _renderColumns(report) {
+        const column = (summary, title) => `
+            <div class="bg-gray-50 p-4 rounded-lg">
+                <div class="text-sm font-semibold text-gray-700">${title}</div>
+                <div class="text-xs text-gray-500 mb-2">
+                    ${this._formatRange(summary)}${summary.endDate >= Utils.getTodayString() ? ` · ${CONFIG.MESSAGES.REPORT_PARTIAL}` : ''}
+                </div>
+                <div class="text-xl font-bold text-gray-800">${CurrencyModule.formatBase(summary.total)}</div>
+                <div class="text-sm text-gray-600">${summary.count} khoản · ${CurrencyModule.formatBase(summary.averagePerDay)}/ngày</div>
+            </div>
+        `;
+
+        $('#reportColumns').html(
+            column(report.previous, CONFIG.MESSAGES.REPORT_PREVIOUS) + column(report.current, CONFIG.MESSAGES.REPORT_CURRENT)
+        );
+    },
+
+    /**
+     * Render the per-category changes, highlighting the categories that drove the difference
+     * @param {object} report - Result of compare()
+     * @private
+     */
+    _renderCategories(report) {
+        if (report.categories.length === 0) {
+            $('#reportCategories').html(`<p class="text-gray-500 text-sm text-center py-2">${CONFIG.MESSAGES.REPORT_NO_DATA}</p>`);
+            return;
+        }
+
+        const rows = report.categories.map(row => {
+            const isDriver = report.drivers.includes(row.category);
+            const color = row.delta > 0 ? 'text-red-600' : row.delta < 0 ? 'text-green-600' : 'text-gray-500';
+            const sign = row.delta > 0 ? '+' : row.delta < 0 ? '-' : '';
+
+            return `
+                <tr class="border-t border-gray-100 ${isDriver ? 'bg-yellow-50 font-semibold' : ''}">
+                    <td class="p-2">${isDriver ? '🔥 ' : ''}${CategoryModule.renderBadge(row.category)}</td>
+                    <td class="p-2 text-right">${CurrencyModule.formatBaseNumber(row.previous)}</td>
+                    <td class="p-2 text-right">${CurrencyModule.formatBaseNumber(row.current)}</td>
+                    <td class="p-2 text-right ${color}">${sign}${CurrencyModule.formatBaseNumber(Math.abs(row.delta))}</td>
+                    <td class="p-2 text-right ${color}">${this._formatPercent(row.percent)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        $('#reportCategories').html(`
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-gray-500 text-xs">
+                        <th class="p-2 text-left">Danh mục</th>
+                        <th class="p-2 text-right">${CONFIG.MESSAGES.REPORT_PREVIOUS}</th>
+                        <th class="p-2 text-right">${CONFIG.MESSAGES.REPORT_CURRENT}</th>
+                        <th class="p-2 text-right">Chênh lệch</th>
+                        <th class="p-2 text-right">%</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+    },
+
+    /**
+     * Format a percent change with its sign ("mới" when there was nothing before)
+     * @param {number|null} percent - Percent change
+     * @returns {string} Formatted percent
+     * @private
+     */
+    _formatPercent(percent) {
+        if (percent === null) return CONFIG.MESSAGES.REPORT_NEW;
+        return `${percent > 0 ? '+' : ''}${Utils.formatNumber(percent, 1)}%`;
+    },
+
+    /**
+     * Format a range for display
+     * @param {object} range - { startDate, endDate }
+     * @returns {string} Formatted range
+     * @private
+     */
+    _formatRange(range) {
+        const options = { day: '2-digit', month: '2-digit', year: 'numeric' };
+        return `${Utils.formatDate(Utils.parseDateString(range.startDate), options)} – ${Utils.formatDate(Utils.parseDateString(range.endDate), options)}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportModule;
+} else if (typeof window !== 'undefined') {
+    window.ReportModule = ReportModule;
+}
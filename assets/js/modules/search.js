@@ -0,0 +1,220 @@
+// Search Module
+// Handles the searchable expense list across all dates
+
+const SearchModule = {
+    // Private properties
+    _selectedCategories: [],
+
+    /**
+     * Initialize search module
+     */
+    init() {
+        this._bindEvents();
+        this.render();
+    },
+
+    /**
+     * Read the current filters from the search form
+     * @returns {object} Search filters
+     */
+    getFilters() {
+        return {
+            text: $('#searchText').val() || '',
+            categories: [...this._selectedCategories],
+            type: $('#searchType').val() || CONFIG.ENTRY_TYPES.EXPENSE,
+            minAmount: parseFloat($('#searchMin').val()),
+            maxAmount: parseFloat($('#searchMax').val()),
+            from: $('#searchFrom').val(),
+            to: $('#searchTo').val(),
+            sort: $('#searchSort').val() || 'date-desc'
+        };
+    },
+
+    /**
+     * Find expenses matching filters
+     * @param {object} filters - Search filters
+     * @returns {Array} Matching expenses, sorted
+     */
+    search(filters) {
+        const query = Utils.normalizeText(filters.text.trim());
+
+        const results = ExpenseManager.getExpenses().filter(expense => {
+            if (filters.type !== 'all' && (expense.type || CONFIG.ENTRY_TYPES.EXPENSE) !== filters.type) return false;
+            if (query && !Utils.normalizeText(Utils.unescapeHtml(expense.description)).includes(query)) return false;
+            if (filters.categories.length > 0 && !filters.categories.includes(expense.category)) return false;
+            if (!isNaN(filters.minAmount) && ExpenseManager.getBaseAmount(expense) < filters.minAmount) return false;
+            if (!isNaN(filters.maxAmount) && ExpenseManager.getBaseAmount(expense) > filters.maxAmount) return false;
+            if (filters.from && expense.date < filters.from) return false;
+            if (filters.to && expense.date > filters.to) return false;
+            return true;
+        });
+
+        return results.sort(this._getComparator(filters.sort));
+    },
+
+    /**
+     * Toggle a category in the multi-select filter
+     * @param {string} category - Category name
+     */
+    toggleCategory(category) {
+        const index = this._selectedCategories.indexOf(category);
+        if (index > -1) {
+            this._selectedCategories.splice(index, 1);
+        } else {
+            this._selectedCategories.push(category);
+        }
+        this.render();
+    },
+
+    /**
+     * Reset all filters
+     */
+    clearFilters() {
+        $('#searchText, #searchMin, #searchMax, #searchFrom, #searchTo').val('');
+        $('#searchType').val(CONFIG.ENTRY_TYPES.EXPENSE);
+        $('#searchSort').val('date-desc');
+        this._selectedCategories = [];
+        this.render();
+    },
+
+    /**
+     * Render category chips and results
+     */
+    render() {
+        // Drop selections for categories that no longer exist
+        const categories = ExpenseManager.getCategories();
+        this._selectedCategories = this._selectedCategories.filter(category => categories.includes(category));
+
+        this._renderCategoryChips(categories);
+        this._renderResults(this.search(this.getFilters()));
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#searchText, #searchMin, #searchMax').on('input', Utils.debounce(() => this.render(), 200));
+        $('#searchFrom, #searchTo, #searchSort, #searchType').on('change', () => this.render());
+        $('#searchClearBtn').click(() => this.clearFilters());
+
+        // Chips are re-rendered on every change, so events are delegated
+        $('#searchCategories').on('click', '.filter-chip', event => {
+            this.toggleCategory($(event.currentTarget).attr('data-category'));
+        });
+    },
+
+    /**
+     * Render category multi-select chips
+     * @param {Array} categories - All categories
+     * @private
+     */
+    _renderCategoryChips(categories) {
+        const html = categories.map(category => {
+            const activeClass = this._selectedCategories.includes(category) ? 'active' : '';
+            return `<span class="filter-chip ${activeClass}" data-category="${Utils.escapeAttr(category)}">${CategoryModule.renderDot(category)}${CategoryModule.getLabel(category)}</span>`;
+        }).join('');
+
+        $('#searchCategories').html(html);
+    },
+
+    /**
+     * Render matching expenses with a running total
+     * @param {Array} results - Matching expenses
+     * @private
+     */
+    _renderResults(results) {
+        // Income reduces the total when both types are listed (own amounts in the base currency)
+        const signedAmount = expense => {
+            const amount = ExpenseManager.getOwnAmount(expense);
+            return ExpenseManager.isIncome(expense) ? -amount : amount;
+        };
+        const total = results.reduce((sum, expense) => sum + signedAmount(expense), 0);
+
+        $('#searchSummary').text(CONFIG.MESSAGES.SEARCH_SUMMARY
+            .replace('{count}', results.length)
+            .replace('{total}', CurrencyModule.formatBase(total)));
+
+        if (results.length === 0) {
+            $('#searchResults').html(`<p class="text-gray-500 text-center py-4">${CONFIG.MESSAGES.SEARCH_NO_RESULTS}</p>`);
+            return;
+        }
+
+        let runningTotal = 0;
+        const html = results.slice(0, CONFIG.SEARCH_MAX_RESULTS).map(expense => {
+            runningTotal += signedAmount(expense);
+            return this._renderResultItem(expense, runningTotal);
+        }).join('');
+
+        const more = results.length > CONFIG.SEARCH_MAX_RESULTS
+            ? `<p class="text-gray-500 text-sm text-center py-2">${CONFIG.MESSAGES.SEARCH_TRUNCATED.replace('{count}', CONFIG.SEARCH_MAX_RESULTS)}</p>`
+            : '';
+
+        $('#searchResults').html(html + more);
+    },
+
+    /**
+     * Render a single result row (clicking it opens the day)
+     * @param {object} expense - Expense object
+     * @param {number} runningTotal - Total up to and including this row
+     * @returns {string} HTML string for result row
+     * @private
+     */
+    _renderResultItem(expense, runningTotal) {
+        const isIncome = ExpenseManager.isIncome(expense);
+        const isForeign = expense.currency && expense.currency !== CurrencyModule.getBaseCurrency();
+        const amount = isForeign
+            ? Utils.formatMoney(expense.amount, expense.currency)
+            : CurrencyModule.formatBaseNumber(expense.amount);
+        const formattedDate = Utils.formatDate(Utils.parseDateString(expense.date), {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric'
+        });
+
+        return `
+            <div class="search-result bg-gray-50 p-3 rounded-lg flex justify-between items-center cursor-pointer hover:bg-gray-100"
+                 onclick="AppController.jumpToDate('${expense.date}')">
+                <div class="flex-1 min-w-0">
+                    <div class="font-semibold text-gray-800 truncate">${Utils.sanitizeHtml(expense.description)}</div>
+                    <div class="mt-1">
+                        ${CategoryModule.renderBadge(expense.category)}
+                        <span class="text-sm text-gray-600">${formattedDate}</span>
+                    </div>
+                </div>
+                <div class="text-right ml-3">
+                    <div class="font-bold ${isIncome ? 'text-green-600' : 'text-red-600'}">${isIncome ? '+' : ''}${amount}</div>
+                    <div class="text-xs text-gray-500">Σ ${CurrencyModule.formatBaseNumber(runningTotal)}</div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Get sort comparator
+     * @param {string} sort - Sort key
+     * @returns {Function} Comparator
+     * @private
+     */
+    _getComparator(sort) {
+        const byDate = (a, b) => a.date.localeCompare(b.date) || (a.timestamp || '').localeCompare(b.timestamp || '');
+
+        switch (sort) {
+            case 'date-asc':
+                return byDate;
+            case 'amount-desc':
+                return (a, b) => ExpenseManager.getBaseAmount(b) - ExpenseManager.getBaseAmount(a);
+            case 'amount-asc':
+                return (a, b) => ExpenseManager.getBaseAmount(a) - ExpenseManager.getBaseAmount(b);
+            default:
+                return (a, b) => byDate(b, a);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchModule;
+} else if (typeof window !== 'undefined') {
+    window.SearchModule = SearchModule;
+}
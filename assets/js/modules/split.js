@@ -0,0 +1,512 @@
+// Split Module
+// Handles shared expenses: how an expense is split among named people,
+// the balances of who owes whom and the settle-up entries that clear debts
+
+const SplitModule = {
+    // Private properties
+    _settlements: [], // { id, date, from, to, amount, currency } - from paid to, not counted as spending
+
+    /**
+     * Initialize split module
+     * @param {Array} settlements - Saved settle-up entries
+     */
+    init(settlements) {
+        this.setSettlements(settlements);
+        this._bindEvents();
+        this.renderForm();
+    },
+
+    /**
+     * Replace all settle-up entries (e.g. after import or undo)
+     * @param {Array} settlements - Settle-up entries
+     */
+    setSettlements(settlements) {
+        this._settlements = (settlements || []).map(settlement => ({ ...settlement }));
+    },
+
+    /**
+     * Get all settle-up entries, newest first
+     * @returns {Array} Array of settlement objects
+     */
+    getSettlements() {
+        return this._settlements
+            .map(settlement => ({ ...settlement }))
+            .sort((a, b) => b.date.localeCompare(a.date));
+    },
+
+    /**
+     * Validate a split and bring it into its stored form
+     * @param {object} split - { method, paidBy, shares: [{ person, value }] }
+     * @param {number} amount - Amount of the expense
+     * @returns {object} Normalized split
+     * @throws {Error} If people are missing or the shares do not add up
+     */
+    normalizeSplit(split, amount) {
+        const method = Object.values(CONFIG.SPLIT_METHODS).includes(split.method)
+            ? split.method
+            : CONFIG.SPLIT_METHODS.EQUAL;
+        const paidBy = String(split.paidBy || '').trim() || CONFIG.SPLIT_SELF;
+
+        // One share per person; names are kept as typed and sanitized when rendered
+        const seen = new Set();
+        const shares = (split.shares || [])
+            .map(share => ({
+                person: String(share.person || '').trim(),
+                value: method === CONFIG.SPLIT_METHODS.EQUAL ? null : parseFloat(share.value) || 0
+            }))
+            .filter(share => share.person && !seen.has(share.person) && seen.add(share.person));
+
+        // Sharing only with yourself is not a shared expense
+        const isSelfOnly = shares.every(share => share.person === CONFIG.SPLIT_SELF) && paidBy === CONFIG.SPLIT_SELF;
+        if (shares.length === 0 || isSelfOnly) {
+            throw new Error(CONFIG.MESSAGES.SPLIT_PEOPLE_ERROR);
+        }
+
+        const total = shares.reduce((sum, share) => sum + (share.value || 0), 0);
+        if (method === CONFIG.SPLIT_METHODS.PERCENT && Math.abs(total - 100) > 0.01) {
+            throw new Error(CONFIG.MESSAGES.SPLIT_PERCENT_ERROR.replace('{total}', Utils.formatNumber(total, 2)));
+        }
+        if (method === CONFIG.SPLIT_METHODS.EXACT && Math.abs(total - amount) > 0.01) {
+            throw new Error(CONFIG.MESSAGES.SPLIT_EXACT_ERROR
+                .replace('{total}', Utils.formatNumber(total, 2))
+                .replace('{amount}', Utils.formatNumber(amount, 2)));
+        }
+
+        return { method, paidBy, shares };
+    },
+
+    /**
+     * Scale exact shares to a new amount, keeping each person's part of the total
+     * (percent and equal splits do not depend on the amount and are returned unchanged)
+     * @param {object} split - Split of the expense
+     * @param {number} oldAmount - Amount the shares add up to
+     * @param {number} newAmount - Edited amount
+     * @param {string} currency - Currency of the expense (for rounding)
+     * @returns {object} Split with shares adding up to the new amount
+     */
+    rescaleSplit(split, oldAmount, newAmount, currency) {
+        if (split.method !== CONFIG.SPLIT_METHODS.EXACT || !(oldAmount > 0) || oldAmount === newAmount) {
+            return split;
+        }
+
+        const decimals = (CONFIG.CURRENCIES[currency] || CONFIG.CURRENCIES[CurrencyModule.getBaseCurrency()]).decimals;
+        const round = value => Number(value.toFixed(decimals));
+        const shares = split.shares.map(share => ({
+            ...share,
+            value: round((parseFloat(share.value) || 0) * newAmount / oldAmount)
+        }));
+
+        // Rounding leftovers go to the last share so the total matches exactly
+        const rest = round(newAmount - shares.reduce((sum, share) => sum + share.value, 0));
+        if (shares.length > 0) shares[shares.length - 1].value = round(shares[shares.length - 1].value + rest);
+
+        return { ...split, shares };
+    },
+
+    /**
+     * Get how much each person owes of a shared expense
+     * @param {object} expense - Expense with a split
+     * @returns {Array} Array of { person, amount } in the expense currency
+     */
+    getShares(expense) {
+        const { method, shares } = expense.split;
+
+        return shares.map(share => {
+            switch (method) {
+                case CONFIG.SPLIT_METHODS.PERCENT:
+                    return { person: share.person, amount: expense.amount * share.value / 100 };
+                case CONFIG.SPLIT_METHODS.EXACT:
+                    return { person: share.person, amount: share.value };
+                default:
+                    return { person: share.person, amount: expense.amount / shares.length };
+            }
+        });
+    },
+
+    /**
+     * Get the user's own share of an expense
+     * @param {object} expense - Expense object
+     * @returns {number} Own share in the expense currency (the full amount when not shared)
+     */
+    getOwnShare(expense) {
+        if (!expense.split) return expense.amount;
+
+        const own = this.getShares(expense).find(share => share.person === CONFIG.SPLIT_SELF);
+        return own ? own.amount : 0;
+    },
+
+    /**
+     * Get every person mentioned in shared expenses and settle-up entries
+     * @returns {Array} Sorted names (the user is left out)
+     */
+    getPeople() {
+        const people = new Set();
+        ExpenseManager.getExpenses()
+            .filter(expense => expense.split)
+            .forEach(expense => {
+                people.add(expense.split.paidBy);
+                expense.split.shares.forEach(share => people.add(share.person));
+            });
+        this._settlements.forEach(settlement => {
+            people.add(settlement.from);
+            people.add(settlement.to);
+        });
+        people.delete(CONFIG.SPLIT_SELF);
+
+        return [...people].sort((a, b) => a.localeCompare(b, CONFIG.LOCALE));
+    },
+
+    /**
+     * Calculate net balances and the transfers that settle them
+     * @returns {object} { balances: { person: amount }, transfers: [{ from, to, amount }] }
+     *                   Positive balances are owed money; amounts are in the base currency
+     */
+    getBalances() {
+        const balances = {};
+        const add = (person, amount) => {
+            balances[person] = (balances[person] || 0) + amount;
+        };
+
+        ExpenseManager.getExpenses()
+            .filter(expense => expense.split)
+            .forEach(expense => {
+                const payer = expense.split.paidBy;
+                this.getShares(expense)
+                    .filter(share => share.person !== payer)
+                    .forEach(share => {
+                        const amount = CurrencyModule.toBase(share.amount, expense.currency, expense.date);
+                        add(payer, amount);
+                        add(share.person, -amount);
+                    });
+            });
+
+        this._settlements.forEach(settlement => {
+            const amount = CurrencyModule.toBase(settlement.amount, settlement.currency, settlement.date);
+            add(settlement.from, amount);
+            add(settlement.to, -amount);
+        });
+
+        return { balances, transfers: this._getTransfers(balances) };
+    },
+
+    /**
+     * Record that one person paid another back
+     * @param {object} data - { from, to, amount, date }
+     * @returns {object} Saved settlement
+     */
+    addSettlement(data) {
+        const amount = parseFloat(data.amount);
+        const from = String(data.from || '').trim();
+        const to = String(data.to || '').trim();
+        if (!from || !to || from === to || !(amount > 0)) {
+            throw new Error(CONFIG.MESSAGES.SETTLEMENT_ERROR);
+        }
+
+        const settlement = {
+            id: Utils.generateId(),
+            date: data.date || Utils.getTodayString(),
+            from,
+            to,
+            amount,
+            currency: CurrencyModule.getBaseCurrency()
+        };
+        this._settlements.push(settlement);
+        return { ...settlement };
+    },
+
+    /**
+     * Remove a settle-up entry (the debt it cleared comes back)
+     * @param {number} id - Settlement ID
+     * @returns {boolean} True if removed
+     */
+    removeSettlement(id) {
+        const initialLength = this._settlements.length;
+        this._settlements = this._settlements.filter(settlement => settlement.id !== id);
+        return this._settlements.length < initialLength;
+    },
+
+    /**
+     * Read the split section of the expense form
+     * @returns {object|null} Split data, or null when the expense is not shared
+     */
+    getFormSplit() {
+        if (!$('#splitToggle').is(':checked')) return null;
+
+        const method = $('#splitMethod').val();
+        const people = this._getFormPeople();
+        const values = {};
+        $('#splitShares .split-value').each((index, input) => {
+            values[$(input).attr('data-person')] = input.value;
+        });
+
+        return {
+            method,
+            paidBy: $('#splitPaidBy').val().trim() || CONFIG.SPLIT_SELF,
+            shares: people.map(person => ({ person, value: values[person] }))
+        };
+    },
+
+    /**
+     * Reset the split section of the expense form
+     */
+    clearForm() {
+        $('#splitToggle').prop('checked', false);
+        $('#splitPeople').val('');
+        $('#splitPaidBy').val(CONFIG.SPLIT_SELF);
+        $('#splitIncludeSelf').prop('checked', true);
+        this.renderForm();
+    },
+
+    /**
+     * Render the split section: share inputs for percent and exact splits and the own share preview
+     */
+    renderForm() {
+        const isShared = $('#splitToggle').is(':checked');
+        $('#splitSection').toggleClass('hidden', !isShared);
+        $('#splitPeopleList').html([CONFIG.SPLIT_SELF, ...this.getPeople()]
+            .map(person => `<option value="${Utils.escapeAttr(person)}">`).join(''));
+        if (!isShared) return;
+
+        // Keep values already typed for people still in the list
+        const values = {};
+        $('#splitShares .split-value').each((index, input) => {
+            values[$(input).attr('data-person')] = input.value;
+        });
+
+        const method = $('#splitMethod').val();
+        const people = this._getFormPeople();
+        const unit = method === CONFIG.SPLIT_METHODS.PERCENT ? '%' : Utils.sanitizeHtml($('#expenseCurrency').val() || '');
+
+        $('#splitShares').html(method === CONFIG.SPLIT_METHODS.EQUAL ? '' : people.map(person => `
+            <div class="flex items-center gap-2">
+                <span class="flex-1 text-sm text-gray-700 truncate">${Utils.sanitizeHtml(person)}</span>
+                <input type="number" class="split-value w-32 p-2 border-2 border-gray-200 rounded-lg focus:border-primary focus:outline-none"
+                       data-person="${Utils.escapeAttr(person)}" value="${Utils.escapeAttr(values[person] || '')}" min="0" step="any">
+                <span class="w-10 text-sm text-gray-500">${unit}</span>
+            </div>
+        `).join(''));
+
+        this._renderPreview();
+    },
+
+    /**
+     * Check whether the balances screen is open
+     * @returns {boolean} True if visible
+     */
+    isOpen() {
+        return !$('#balancesModal').hasClass('hidden');
+    },
+
+    /**
+     * Open the balances screen
+     */
+    open() {
+        this.render();
+        $('#balancesModal').removeClass('hidden');
+    },
+
+    /**
+     * Close the balances screen
+     */
+    close() {
+        $('#balancesModal').addClass('hidden');
+    },
+
+    /**
+     * Render balances per person, suggested transfers and settle-up history
+     */
+    render() {
+        const { balances, transfers } = this.getBalances();
+        this._renderBalances(balances);
+        this._renderTransfers(transfers);
+        this._renderSettlements();
+    },
+
+    /**
+     * Get data for storage
+     * @returns {object} { settlements }
+     */
+    getData() {
+        return {
+            settlements: this.getSettlements()
+        };
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#splitToggle, #splitMethod, #splitIncludeSelf, #expenseCurrency').change(() => this.renderForm());
+        $('#splitPeople').on('input', Utils.debounce(() => this.renderForm(), 300));
+        $('#expenseAmount, #expenseType').on('input change', () => this._renderPreview());
+        $('#splitShares').on('input', '.split-value', () => this._renderPreview());
+
+        $('#openBalancesBtn').click(() => this.open());
+        $('#closeBalancesModal').click(() => this.close());
+
+        // Rows are re-rendered on every change, so events are delegated
+        $('#balanceTransfers').on('click', '.settle-up', event => {
+            const $row = $(event.currentTarget).closest('[data-index]');
+            const transfer = this.getBalances().transfers[$row.data('index')];
+            if (transfer) AppController.settleUp(transfer);
+        });
+        $('#settlementList').on('click', '.settlement-delete', event => {
+            AppController.deleteSettlement(Number($(event.currentTarget).closest('[data-id]').data('id')));
+        });
+    },
+
+    /**
+     * Get the people typed in the form, with the user first when included
+     * @returns {Array} Names
+     * @private
+     */
+    _getFormPeople() {
+        const others = $('#splitPeople').val()
+            .split(',')
+            .map(name => name.trim())
+            .filter(name => name && name !== CONFIG.SPLIT_SELF);
+        const people = $('#splitIncludeSelf').is(':checked') ? [CONFIG.SPLIT_SELF, ...others] : others;
+        return [...new Set(people)];
+    },
+
+    /**
+     * Show the user's share of the expense being entered
+     * @private
+     */
+    _renderPreview() {
+        const $preview = $('#splitPreview');
+        const split = this.getFormSplit();
+        const amount = parseFloat($('#expenseAmount').val());
+
+        if (!split || !(amount > 0)) {
+            $preview.text('');
+            return;
+        }
+
+        try {
+            const expense = { amount, split: this.normalizeSplit(split, amount) };
+            $preview
+                .removeClass('text-red-600')
+                .text(CONFIG.MESSAGES.SPLIT_MY_SHARE.replace('{amount}',
+                    Utils.formatMoney(this.getOwnShare(expense), $('#expenseCurrency').val() || CurrencyModule.getBaseCurrency())));
+        } catch (error) {
+            $preview.addClass('text-red-600').text(error.message);
+        }
+    },
+
+    /**
+     * Pair people who owe with people who are owed, largest amounts first
+     * @param {object} balances - Net balance per person
+     * @returns {Array} Array of { from, to, amount }
+     * @private
+     */
+    _getTransfers(balances) {
+        // Amounts below one cent of the smallest unit are rounding leftovers
+        const epsilon = 0.005;
+        const debtors = Object.keys(balances)
+            .filter(person => balances[person] < -epsilon)
+            .map(person => ({ person, amount: -balances[person] }))
+            .sort((a, b) => b.amount - a.amount);
+        const creditors = Object.keys(balances)
+            .filter(person => balances[person] > epsilon)
+            .map(person => ({ person, amount: balances[person] }))
+            .sort((a, b) => b.amount - a.amount);
+
+        const transfers = [];
+        let d = 0;
+        let c = 0;
+        while (d < debtors.length && c < creditors.length) {
+            const amount = Math.min(debtors[d].amount, creditors[c].amount);
+            transfers.push({ from: debtors[d].person, to: creditors[c].person, amount });
+            debtors[d].amount -= amount;
+            creditors[c].amount -= amount;
+            if (debtors[d].amount <= epsilon) d++;
+            if (creditors[c].amount <= epsilon) c++;
+        }
+
+        return transfers;
+    },
+
+    /**
+     * Render the net balance of every person
+     * @param {object} balances - Net balance per person
+     * @private
+     */
+    _renderBalances(balances) {
+        const people = Object.keys(balances)
+            .filter(person => Math.abs(balances[person]) > 0.005)
+            .sort((a, b) => balances[b] - balances[a]);
+
+        if (people.length === 0) {
+            $('#balanceList').html(`<p class="text-gray-500 text-sm text-center py-2">${CONFIG.MESSAGES.NO_BALANCES}</p>`);
+            return;
+        }
+
+        $('#balanceList').html(people.map(person => {
+            const amount = balances[person];
+            return `
+                <div class="flex justify-between items-center bg-gray-50 p-3 rounded-lg">
+                    <span class="font-semibold text-gray-800">${Utils.sanitizeHtml(person)}</span>
+                    <span class="font-bold ${amount > 0 ? 'text-green-600' : 'text-red-600'}">
+                        ${amount > 0 ? '+' : ''}${CurrencyModule.formatBase(amount)}
+                    </span>
+                </div>
+            `;
+        }).join(''));
+    },
+
+    /**
+     * Render who should pay whom, each with a settle-up button
+     * @param {Array} transfers - Suggested transfers
+     * @private
+     */
+    _renderTransfers(transfers) {
+        $('#balanceTransfers').html(transfers.map((transfer, index) => `
+            <div class="flex justify-between items-center gap-2 border-b border-gray-100 py-2" data-index="${index}">
+                <span class="text-gray-700">
+                    ${CONFIG.MESSAGES.BALANCE_OWES
+                        .replace('{from}', `<strong>${Utils.sanitizeHtml(transfer.from)}</strong>`)
+                        .replace('{to}', `<strong>${Utils.sanitizeHtml(transfer.to)}</strong>`)}
+                    <strong class="text-red-600">${CurrencyModule.formatBase(transfer.amount)}</strong>
+                </span>
+                <button class="settle-up bg-green-500 text-white px-3 py-1 rounded text-sm hover:bg-green-600 transition-colors">
+                    Đã trả
+                </button>
+            </div>
+        `).join(''));
+    },
+
+    /**
+     * Render the settle-up history
+     * @private
+     */
+    _renderSettlements() {
+        const settlements = this.getSettlements();
+
+        if (settlements.length === 0) {
+            $('#settlementList').html(`<p class="text-gray-500 text-sm text-center py-2">${CONFIG.MESSAGES.NO_SETTLEMENTS}</p>`);
+            return;
+        }
+
+        $('#settlementList').html(settlements.map(settlement => `
+            <div class="flex justify-between items-center text-sm border-b border-gray-100 py-2" data-id="${settlement.id}">
+                <span class="text-gray-700">
+                    ${Utils.formatDate(Utils.parseDateString(settlement.date), { day: '2-digit', month: '2-digit', year: 'numeric' })}
+                    · ${Utils.sanitizeHtml(settlement.from)} → ${Utils.sanitizeHtml(settlement.to)}
+                </span>
+                <span>
+                    <strong>${Utils.formatMoney(settlement.amount, settlement.currency)}</strong>
+                    <button class="settlement-delete ml-1 text-gray-400 hover:text-red-500">×</button>
+                </span>
+            </div>
+        `).join(''));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SplitModule;
+} else if (typeof window !== 'undefined') {
+    window.SplitModule = SplitModule;
+}
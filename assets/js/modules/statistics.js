@@ -8,6 +8,9 @@ const StatisticsModule = {
         startDate: null,
         endDate: null
     },
+    _categoryLimits: {},
+    _forecastMethod: CONFIG.FORECAST_METHODS.AVERAGE,
+    _thresholds: { ...CONFIG.DEFAULT_ALERT_THRESHOLDS },
 
     /**
      * Initialize statistics module
@@ -19,12 +22,16 @@ const StatisticsModule = {
             startDate: settings.startDate ? new Date(settings.startDate) : null,
             endDate: settings.endDate ? new Date(settings.endDate) : null
         };
+        this._categoryLimits = { ...(settings.categoryLimits || {}) };
+        this._setForecastMethod(settings.forecastMethod);
+        this._thresholds = { ...CONFIG.DEFAULT_ALERT_THRESHOLDS, ...(settings.alertThresholds || {}) };
+        this._bindEvents();
         this.updateDisplay();
     },
 
     /**
      * Update budget settings
-     * @param {object} settings - New settings
+     * @param {object} settings - New settings (category limits are kept unless provided)
      */
     updateSettings(settings) {
         this._settings = {
@@ -32,17 +39,276 @@ const StatisticsModule = {
             startDate: settings.startDate ? new Date(settings.startDate) : null,
             endDate: settings.endDate ? new Date(settings.endDate) : null
         };
+        if (settings.categoryLimits) {
+            this._categoryLimits = { ...settings.categoryLimits };
+        }
+        if (settings.forecastMethod) {
+            this._setForecastMethod(settings.forecastMethod);
+        }
+        if (settings.alertThresholds) {
+            this._thresholds = { ...CONFIG.DEFAULT_ALERT_THRESHOLDS, ...settings.alertThresholds };
+        }
+        this.updateDisplay();
+    },
+
+    /**
+     * Change the thresholds that trigger budget alerts
+     * @param {object} thresholds - { lowDailyAllowance, warningDays, categoryWarningPercent }
+     * @throws {Error} If a threshold is not a valid number
+     */
+    setAlertThresholds(thresholds) {
+        const lowDailyAllowance = parseFloat(thresholds.lowDailyAllowance);
+        const warningDays = parseInt(thresholds.warningDays, 10);
+        const categoryWarningPercent = parseFloat(thresholds.categoryWarningPercent);
+
+        if (!(lowDailyAllowance >= 0) || !(warningDays >= 0) ||
+            !(categoryWarningPercent >= 1 && categoryWarningPercent <= 100)) {
+            throw new Error(CONFIG.MESSAGES.ALERT_THRESHOLD_ERROR);
+        }
+
+        this._thresholds = { lowDailyAllowance, warningDays, categoryWarningPercent };
+        this.updateDisplay();
+    },
+
+    /**
+     * Get the thresholds that trigger budget alerts
+     * @returns {object} { lowDailyAllowance, warningDays, categoryWarningPercent }
+     */
+    getAlertThresholds() {
+        return { ...this._thresholds };
+    },
+
+    /**
+     * Choose how the end-of-period forecast weighs past days
+     * @param {string} method - One of CONFIG.FORECAST_METHODS
+     */
+    setForecastMethod(method) {
+        this._setForecastMethod(method);
+        this.updateDisplay();
+    },
+
+    /**
+     * Get the forecast method
+     * @returns {string} One of CONFIG.FORECAST_METHODS
+     */
+    getForecastMethod() {
+        return this._forecastMethod;
+    },
+
+    /**
+     * Set or clear the spending limit of a category
+     * @param {string} category - Category name
+     * @param {number} limit - Limit amount (0 or empty removes the limit)
+     */
+    setCategoryLimit(category, limit) {
+        const amount = parseFloat(limit);
+        if (amount > 0) {
+            this._categoryLimits[category] = amount;
+        } else {
+            delete this._categoryLimits[category];
+        }
+        this.updateDisplay();
+    },
+
+    /**
+     * Move a category limit to a new category name
+     * (when merging, the target keeps its own limit if it has one)
+     * @param {string} from - Old category name
+     * @param {string} to - New category name
+     */
+    renameCategoryLimit(from, to) {
+        if (this._categoryLimits[from] === undefined) return;
+
+        if (this._categoryLimits[to] === undefined) {
+            this._categoryLimits[to] = this._categoryLimits[from];
+        }
+        delete this._categoryLimits[from];
+        this.updateDisplay();
+    },
+
+    /**
+     * Convert category limits and the daily allowance threshold (after the base currency changed)
+     * @param {Function} convert - Converts an amount in the old base currency to the new one
+     */
+    convertAmounts(convert) {
+        Object.keys(this._categoryLimits).forEach(category => {
+            this._categoryLimits[category] = convert(this._categoryLimits[category]);
+        });
+        this._thresholds.lowDailyAllowance = convert(this._thresholds.lowDailyAllowance);
         this.updateDisplay();
     },
 
+    /**
+     * Get all category limits
+     * @returns {object} Map of category name to limit
+     */
+    getCategoryLimits() {
+        return { ...this._categoryLimits };
+    },
+
     /**
      * Update statistics display
      */
     updateDisplay() {
         const stats = this._calculateStatistics();
+        const forecast = this.getForecast();
+        const categoryBudgets = this.getCategoryBudgetStats();
+        const alerts = this._buildAlerts(stats, forecast, categoryBudgets);
         this._updateStatCards(stats);
-        this._updateWarnings(stats);
+        this._updateForecast(forecast);
+        this._updateWarnings(alerts);
         this._updateRemainingCardColor(stats);
+        this._updateCategoryBudgets(categoryBudgets);
+        this._updateCategoryWarnings(alerts);
+    },
+
+    /**
+     * Get every alert state that is currently active
+     * @returns {Array} Array of { type, level, category, message }
+     */
+    getAlerts() {
+        return this._buildAlerts(this._calculateStatistics(), this.getForecast(), this.getCategoryBudgetStats());
+    },
+
+    /**
+     * Calculate spent versus limit for every category that has a limit
+     * @returns {Array} Category budget objects
+     */
+    getCategoryBudgetStats() {
+        const categoryStats = this.getCategoryBreakdown();
+        const stats = this._calculateStatistics();
+
+        return Object.keys(this._categoryLimits).map(category => {
+            const limit = this._categoryLimits[category];
+            const spent = categoryStats[category] ? categoryStats[category].total : 0;
+            const remaining = limit - spent;
+            const percentUsed = (spent / limit) * 100;
+            const dailyAllowance = stats.daysRemaining > 0 ? remaining / stats.daysRemaining : 0;
+
+            return {
+                category,
+                limit,
+                spent,
+                remaining,
+                percentUsed,
+                dailyAllowance: Math.max(0, dailyAllowance),
+                isOverLimit: remaining < 0,
+                isNearLimit: remaining >= 0 && percentUsed >= this._thresholds.categoryWarningPercent
+            };
+        });
+    },
+
+    /**
+     * Project spending to the end of the period from the pace so far
+     * @returns {object|null} { method, projectedTotal, available, projectedRemaining, dailyRate, endDate,
+     *                        runOutDate, hasData, isOnTrack } or null when the period has no valid dates
+     */
+    getForecast() {
+        const stats = this._calculateStatistics();
+        if (!this._settings.startDate || !this._settings.endDate || this._settings.startDate >= this._settings.endDate) {
+            return null;
+        }
+
+        // Period dates come from YYYY-MM-DD strings, which Date parses as UTC
+        const startDate = this._settings.startDate.toISOString().slice(0, 10);
+        const endDate = this._settings.endDate.toISOString().slice(0, 10);
+        const today = Utils.getTodayString();
+        const lastElapsed = today < endDate ? today : endDate;
+
+        // Own spending of every day that has already started
+        const pastDays = [];
+        for (let date = startDate; date <= lastElapsed; date = Utils.addDays(date, 1)) {
+            pastDays.push({ date, total: ExpenseManager.getTotalSpent(ExpenseManager.getExpensesByDate(date)) });
+        }
+
+        const futureDays = [];
+        for (let date = Utils.addDays(lastElapsed, 1); date <= endDate; date = Utils.addDays(date, 1)) {
+            futureDays.push(date);
+        }
+
+        const rateFor = this._getDailyRates(pastDays);
+        const available = stats.remaining + stats.totalSpent;
+
+        // Walk the remaining days to find the day spending passes the budget
+        let runningTotal = stats.totalSpent;
+        let runOutDate = runningTotal > available ? lastElapsed : null;
+        futureDays.forEach(date => {
+            runningTotal += rateFor(date);
+            if (!runOutDate && runningTotal > available) runOutDate = date;
+        });
+
+        return {
+            method: this._forecastMethod,
+            projectedTotal: runningTotal,
+            available,
+            projectedRemaining: available - runningTotal,
+            dailyRate: futureDays.length > 0 ? (runningTotal - stats.totalSpent) / futureDays.length : stats.averageDaily,
+            endDate,
+            runOutDate,
+            hasData: pastDays.length > 0,
+            isOnTrack: runningTotal <= available
+        };
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        $('#forecastMethod').change(event => AppController.setForecastMethod(event.currentTarget.value));
+
+        // Rows are re-rendered on every change, so events are delegated
+        $('#categoryBudgetList').on('click', '.category-limit-remove', event => {
+            AppController.removeCategoryLimit($(event.currentTarget).attr('data-category'));
+        });
+    },
+
+    /**
+     * Keep the forecast method if it is a known one
+     * @param {string} method - Forecast method
+     * @private
+     */
+    _setForecastMethod(method) {
+        this._forecastMethod = Object.values(CONFIG.FORECAST_METHODS).includes(method)
+            ? method
+            : CONFIG.FORECAST_METHODS.AVERAGE;
+    },
+
+    /**
+     * Build the expected spending per future day for the chosen forecast method
+     * @param {Array} pastDays - Array of { date, total } for days already started
+     * @returns {Function} Returns the expected spending of a date string
+     * @private
+     */
+    _getDailyRates(pastDays) {
+        const average = days => (days.length > 0 ? days.reduce((sum, day) => sum + day.total, 0) / days.length : 0);
+        const overall = average(pastDays);
+
+        switch (this._forecastMethod) {
+            case CONFIG.FORECAST_METHODS.RECENT: {
+                // Each day counts half as much as a day FORECAST_RECENT_HALF_LIFE days later
+                let weighted = 0;
+                let weights = 0;
+                pastDays.forEach((day, index) => {
+                    const weight = Math.pow(0.5, (pastDays.length - 1 - index) / CONFIG.FORECAST_RECENT_HALF_LIFE);
+                    weighted += day.total * weight;
+                    weights += weight;
+                });
+                const rate = weights > 0 ? weighted / weights : 0;
+                return () => rate;
+            }
+            case CONFIG.FORECAST_METHODS.WEEKDAY: {
+                // Weekdays and weekends follow their own pace (the overall pace until one has been seen)
+                const isWeekend = date => [0, 6].includes(Utils.parseDateString(date).getDay());
+                const weekends = pastDays.filter(day => isWeekend(day.date));
+                const weekdays = pastDays.filter(day => !isWeekend(day.date));
+                const weekendRate = weekends.length > 0 ? average(weekends) : overall;
+                const weekdayRate = weekdays.length > 0 ? average(weekdays) : overall;
+                return date => (isWeekend(date) ? weekendRate : weekdayRate);
+            }
+            default:
+                return () => overall;
+        }
     },
 
     /**
@@ -62,7 +328,13 @@ const StatisticsModule = {
         );
 
         const totalSpent = ExpenseManager.getTotalSpent(expensesInRange);
-        const remaining = this._settings.totalBudget - totalSpent;
+        const totalIncome = ExpenseManager.getTotalIncome(expensesInRange);
+
+        // Money set aside for savings goals leaves the budget without being spending
+        const allocated = GoalModule.getAllocatedForPeriod(PeriodModule.getActivePeriod().id);
+
+        // Income received during the period adds to what can still be spent
+        const remaining = this._settings.totalBudget + totalIncome - totalSpent - allocated;
 
         const today = new Date();
         const daysRemaining = Utils.daysBetween(today, this._settings.endDate);
@@ -71,13 +343,16 @@ const StatisticsModule = {
         return {
             totalBudget: this._settings.totalBudget,
             totalSpent,
+            totalIncome,
+            netFlow: totalIncome - totalSpent,
+            allocated,
             remaining,
             dailyBudget: Math.max(0, dailyBudget),
             daysRemaining,
-            expenseCount: expensesInRange.length,
+            expenseCount: expensesInRange.filter(entry => !ExpenseManager.isIncome(entry)).length,
             averageDaily: this._calculateAverageDaily(expensesInRange),
             isOverBudget: remaining < 0,
-            isLowBudget: dailyBudget < CONFIG.LOW_BUDGET_THRESHOLD && dailyBudget > 0
+            isLowBudget: dailyBudget < this._thresholds.lowDailyAllowance && dailyBudget > 0
         };
     },
 
@@ -90,6 +365,9 @@ const StatisticsModule = {
         return {
             totalBudget: 0,
             totalSpent: 0,
+            totalIncome: 0,
+            netFlow: 0,
+            allocated: 0,
             remaining: 0,
             dailyBudget: 0,
             daysRemaining: 0,
@@ -122,24 +400,166 @@ const StatisticsModule = {
      * @private
      */
     _updateStatCards(stats) {
-        $('#remainingAmount').text(Utils.formatNumber(stats.remaining));
-        $('#dailyBudget').text(Utils.formatNumber(stats.dailyBudget));
-        $('#totalSpent').text(Utils.formatNumber(stats.totalSpent));
+        $('#remainingAmount').text(CurrencyModule.formatBaseNumber(stats.remaining));
+        $('#dailyBudget').text(CurrencyModule.formatBaseNumber(stats.dailyBudget));
+        $('#totalSpent').text(CurrencyModule.formatBaseNumber(stats.totalSpent));
+        $('#totalIncome').text(CurrencyModule.formatBaseNumber(stats.totalIncome));
     },
 
     /**
-     * Update warning messages
+     * Show the end-of-period projection and whether the budget is on track
+     * @param {object|null} forecast - Forecast object
+     * @private
+     */
+    _updateForecast(forecast) {
+        $('#forecastMethod').val(this._forecastMethod);
+
+        if (!forecast || !forecast.hasData) {
+            $('#forecastSummary').text(CONFIG.MESSAGES.FORECAST_NO_DATA);
+            $('#forecastStatus').text('').removeClass('text-green-600 text-red-600');
+            return;
+        }
+
+        const formatDate = dateStr => Utils.formatDate(Utils.parseDateString(dateStr), { day: '2-digit', month: '2-digit' });
+        $('#forecastSummary').text(CONFIG.MESSAGES.FORECAST_PROJECTED
+            .replace('{date}', formatDate(forecast.endDate))
+            .replace('{amount}', CurrencyModule.formatBase(forecast.projectedTotal))
+            .replace('{budget}', CurrencyModule.formatBase(forecast.available))
+            .replace('{rate}', CurrencyModule.formatBase(forecast.dailyRate)));
+
+        const status = forecast.isOnTrack
+            ? CONFIG.MESSAGES.FORECAST_ON_TRACK.replace('{amount}', CurrencyModule.formatBase(forecast.projectedRemaining))
+            : CONFIG.MESSAGES.FORECAST_OFF_TRACK
+                .replace('{amount}', CurrencyModule.formatBase(-forecast.projectedRemaining))
+                .replace('{date}', formatDate(forecast.runOutDate));
+        $('#forecastStatus')
+            .text(status)
+            .toggleClass('text-green-600', forecast.isOnTrack)
+            .toggleClass('text-red-600', !forecast.isOnTrack);
+    },
+
+    /**
+     * Work out which alert states are active
+     * Period ended and over budget are separate states; the softer warnings only apply
+     * while the period is still running and money is left.
      * @param {object} stats - Statistics object
+     * @param {object|null} forecast - Forecast object
+     * @param {Array} categoryBudgets - Category budget objects
+     * @returns {Array} Array of { type, level, category, message } (messages are HTML-safe)
      * @private
      */
-    _updateWarnings(stats) {
-        const $warning = $('#daysRemaining');
+    _buildAlerts(stats, forecast, categoryBudgets) {
+        const types = CONFIG.ALERT_TYPES;
+        const messages = CONFIG.MESSAGES;
+        const alerts = [];
+        const add = (type, level, message, category = null) => alerts.push({ type, level, category, message });
+
+        // Without valid period dates there is nothing to warn about
+        if (!forecast) return alerts;
 
         if (stats.daysRemaining <= 0) {
-            $warning.removeClass('hidden').html(CONFIG.MESSAGES.BUDGET_EXCEEDED);
-        } else if (stats.daysRemaining <= CONFIG.WARNING_DAYS_THRESHOLD) {
-            const message = CONFIG.MESSAGES.BUDGET_WARNING.replace('{days}', stats.daysRemaining);
-            $warning.removeClass('hidden').html(message);
+            add(types.PERIOD_ENDED, 'info', messages.PERIOD_ENDED);
+        }
+        if (stats.isOverBudget) {
+            add(types.OVER_BUDGET, 'danger', messages.BUDGET_EXCEEDED.replace('{amount}', CurrencyModule.formatBase(-stats.remaining)));
+        } else if (stats.daysRemaining > 0) {
+            // Running out before the end of the period matters more than how many days are left
+            if (forecast.hasData && forecast.runOutDate) {
+                const daysEarly = Utils.daysBetween(Utils.parseDateString(forecast.runOutDate), Utils.parseDateString(forecast.endDate)) - 1;
+                add(types.RUN_OUT, 'warning', messages.BUDGET_RUN_OUT_WARNING
+                    .replace('{date}', Utils.formatDate(Utils.parseDateString(forecast.runOutDate), { day: '2-digit', month: '2-digit' }))
+                    .replace('{days}', daysEarly));
+            }
+            if (stats.isLowBudget) {
+                add(types.LOW_ALLOWANCE, 'warning', messages.LOW_ALLOWANCE_WARNING
+                    .replace('{amount}', CurrencyModule.formatBase(stats.dailyBudget))
+                    .replace('{threshold}', CurrencyModule.formatBase(this._thresholds.lowDailyAllowance)));
+            }
+            if (stats.daysRemaining <= this._thresholds.warningDays) {
+                add(types.PERIOD_ENDING, 'info', messages.BUDGET_WARNING.replace('{days}', stats.daysRemaining));
+            }
+        }
+
+        categoryBudgets.forEach(budget => {
+            const category = Utils.sanitizeHtml(budget.category);
+            if (budget.isOverLimit) {
+                add(types.CATEGORY_OVER, 'danger', messages.CATEGORY_OVER_LIMIT
+                    .replace('{category}', category)
+                    .replace('{amount}', CurrencyModule.formatBase(-budget.remaining)), budget.category);
+            } else if (budget.isNearLimit) {
+                add(types.CATEGORY_NEAR, 'warning', messages.CATEGORY_NEAR_LIMIT
+                    .replace('{category}', category)
+                    .replace('{amount}', CurrencyModule.formatBase(budget.remaining)), budget.category);
+            }
+        });
+
+        return alerts;
+    },
+
+    /**
+     * Update budget warning messages
+     * @param {Array} alerts - Active alerts
+     * @private
+     */
+    _updateWarnings(alerts) {
+        const $warning = $('#daysRemaining');
+        const messages = alerts.filter(alert => !alert.category).map(alert => alert.message);
+
+        if (messages.length > 0) {
+            $warning.removeClass('hidden').html(messages.join('<br>'));
+        } else {
+            $warning.addClass('hidden');
+        }
+    },
+
+    /**
+     * Render per-category progress bars
+     * @param {Array} categoryBudgets - Category budget objects
+     * @private
+     */
+    _updateCategoryBudgets(categoryBudgets) {
+        if (categoryBudgets.length === 0) {
+            $('#categoryBudgetList').html(`<p class="text-gray-500 text-sm text-center py-2">${CONFIG.MESSAGES.NO_CATEGORY_LIMITS}</p>`);
+            return;
+        }
+
+        const html = categoryBudgets.map(budget => {
+            const barColor = budget.isOverLimit ? 'bg-red-500' : budget.isNearLimit ? 'bg-orange-400' : 'bg-green-500';
+
+            return `
+                <div>
+                    <div class="flex justify-between items-center text-sm mb-1">
+                        <span class="font-semibold text-gray-800">${CategoryModule.getLabel(budget.category)}</span>
+                        <span class="text-gray-600">
+                            ${CurrencyModule.formatBaseNumber(budget.spent)} / ${CurrencyModule.formatBase(budget.limit)}
+                            <button data-category="${Utils.escapeAttr(budget.category)}"
+                                    class="category-limit-remove ml-1 text-gray-400 hover:text-red-500">×</button>
+                        </span>
+                    </div>
+                    <div class="w-full bg-gray-200 rounded-full h-2">
+                        <div class="${barColor} h-2 rounded-full" style="width: ${Math.min(100, budget.percentUsed)}%"></div>
+                    </div>
+                    <div class="text-xs text-gray-500 mt-1">
+                        ${CurrencyModule.formatBase(budget.dailyAllowance)}/ngày còn được tiêu
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        $('#categoryBudgetList').html(html);
+    },
+
+    /**
+     * Update per-category warning messages
+     * @param {Array} alerts - Active alerts
+     * @private
+     */
+    _updateCategoryWarnings(alerts) {
+        const $warning = $('#categoryWarnings');
+        const messages = alerts.filter(alert => alert.category).map(alert => alert.message);
+
+        if (messages.length > 0) {
+            $warning.removeClass('hidden').html(messages.join('<br>'));
         } else {
             $warning.addClass('hidden');
         }
@@ -0,0 +1,184 @@
+// CSV Utilities for Expense Tracker
+// Parsing CSV text and Vietnamese-formatted numbers and dates
+
+const CsvUtils = {
+    /**
+     * Parse CSV text into rows of cells
+     * @param {string} text - CSV file content
+     * @param {string} delimiter - Cell delimiter (detected when omitted)
+     * @returns {Array} Array of rows, each an array of strings
+     */
+    parse(text, delimiter = null) {
+        const content = text.replace(/^\uFEFF/, '');
+        const separator = delimiter || this.detectDelimiter(content);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Convert rows of values to CSV text (cells are quoted when needed)
+     * @param {Array} rows - Array of rows, each an array of values
+     * @param {string} delimiter - Cell delimiter
+     * @returns {string} CSV text
+     */
+    stringify(rows, delimiter = ',') {
+        return rows.map(row => row.map(value => {
+            const text = value === null || value === undefined ? '' : this.escapeFormula(value);
+            return /[",\r\n;\t]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(delimiter)).join('\r\n');
+    },
+
+    /**
+     * Keep spreadsheet tools from running text as a formula: text starting with = + - @
+     * (or a tab / carriage return) gets a leading apostrophe. Numbers are left alone
+     * @param {*} value - Cell value
+     * @returns {string} Cell text
+     */
+    escapeFormula(value) {
+        const text = String(value);
+        return typeof value === 'string' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    },
+
+    /**
+     * Undo escapeFormula when reading a cell back
+     * @param {string} text - Cell text
+     * @returns {string} Original text
+     */
+    unescapeFormula(text) {
+        return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+    },
+
+    /**
+     * Build a CSV blob that spreadsheet tools open as UTF-8
+     * (the byte order mark keeps Vietnamese diacritics intact in Excel)
+     * @param {Array} rows - Array of rows
+     * @returns {Blob} CSV blob for download
+     */
+    toBlob(rows) {
+        return new Blob(['\uFEFF' + this.stringify(rows)], {
+            type: 'text/csv;charset=utf-8'
+        });
+    },
+
+    /**
+     * Guess the delimiter from the first line
+     * @param {string} text - CSV content
+     * @returns {string} Delimiter character
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        const candidates = [',', ';', '\t'];
+        const counts = candidates.map(candidate => firstLine.split(candidate).length - 1);
+        const best = counts.indexOf(Math.max(...counts));
+        return counts[best] > 0 ? candidates[best] : ',';
+    },
+
+    /**
+     * Parse an amount written in Vietnamese or international format
+     * ("1.234.567", "1,234,567", "1.234.567,50", "-50.000 đ", "(20.000)")
+     * @param {string} value - Raw amount text
+     * @returns {number} Parsed number or NaN
+     */
+    parseAmount(value) {
+        if (value === null || value === undefined) return NaN;
+
+        let text = String(value).trim();
+        const isNegative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+        text = text.replace(/[^\d.,]/g, '');
+        if (!text) return NaN;
+
+        const lastDot = text.lastIndexOf('.');
+        const lastComma = text.lastIndexOf(',');
+
+        if (lastDot > -1 && lastComma > -1) {
+            // Both present: the one that comes last is the decimal separator
+            const decimal = lastDot > lastComma ? '.' : ',';
+            const thousands = decimal === '.' ? ',' : '.';
+            text = text.split(thousands).join('').replace(decimal, '.');
+        } else if (lastDot > -1) {
+            text = /^\d{1,3}(\.\d{3})+$/.test(text) ? text.split('.').join('') : text;
+        } else if (lastComma > -1) {
+            text = /^\d{1,3}(,\d{3})+$/.test(text) ? text.split(',').join('') : text.replace(',', '.');
+        }
+
+        const amount = parseFloat(text);
+        return isNaN(amount) ? NaN : (isNegative ? -amount : amount);
+    },
+
+    /**
+     * Parse a date in dd/mm/yyyy, dd-mm-yyyy, dd.mm.yyyy, dd/mm/yy or yyyy-mm-dd form
+     * (a time part after the date is ignored)
+     * @param {string} value - Raw date text
+     * @returns {string|null} Date string in YYYY-MM-DD format or null if invalid
+     */
+    parseDate(value) {
+        if (!value) return null;
+
+        const text = String(value).trim().split(/[\sT]/)[0];
+        let year;
+        let month;
+        let day;
+
+        let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else {
+            match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+            if (!match) return null;
+            [, day, month, year] = match.map(Number);
+            if (year < 100) year += 2000;
+        }
+
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+
+        return Utils.toDateString(date);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvUtils;
+} else if (typeof window !== 'undefined') {
+    window.CsvUtils = CsvUtils;
+}
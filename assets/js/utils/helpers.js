@@ -4,10 +4,28 @@ const Utils = {
     /**
      * Format number to Vietnamese locale
      * @param {number} num - Number to format
+     * @param {number} decimals - Digits after the decimal separator (rounds to integers by default)
      * @returns {string} Formatted number string
      */
-    formatNumber(num) {
-        return Math.round(num).toLocaleString(CONFIG.LOCALE);
+    formatNumber(num, decimals = 0) {
+        if (decimals === 0) {
+            return Math.round(num).toLocaleString(CONFIG.LOCALE);
+        }
+        return Number(num).toLocaleString(CONFIG.LOCALE, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        });
+    },
+
+    /**
+     * Format an amount with its currency code, using the currency's decimals
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code (e.g. 'VND', 'USD')
+     * @returns {string} Formatted amount, e.g. "12,50 USD"
+     */
+    formatMoney(amount, currency) {
+        const decimals = CONFIG.CURRENCIES[currency] ? CONFIG.CURRENCIES[currency].decimals : 0;
+        return `${this.formatNumber(amount, decimals)} ${currency}`;
     },
 
     /**
@@ -15,7 +33,38 @@ const Utils = {
      * @returns {string} Today's date string
      */
     getTodayString() {
-        return new Date().toISOString().split('T')[0];
+        return this.toDateString(new Date());
+    },
+
+    /**
+     * Convert a Date to YYYY-MM-DD using local time (toISOString would shift to UTC)
+     * @param {Date} date - Date object
+     * @returns {string} Date string
+     */
+    toDateString(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Parse a YYYY-MM-DD string as a local date
+     * @param {string} dateStr - Date string
+     * @returns {Date} Date at local midnight
+     */
+    parseDateString(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Add days to a YYYY-MM-DD date string
+     * @param {string} dateStr - Date string
+     * @param {number} days - Number of days (may be negative)
+     * @returns {string} Resulting date string
+     */
+    addDays(dateStr, days) {
+        const date = this.parseDateString(dateStr);
+        date.setDate(date.getDate() + days);
+        return this.toDateString(date);
     },
 
     /**
@@ -41,10 +90,12 @@ const Utils = {
 
     /**
      * Generate unique ID based on timestamp
+     * (bumped past the last issued ID so IDs created in the same millisecond stay unique)
      * @returns {number} Unique ID
      */
     generateId() {
-        return Date.now();
+        this._lastId = Math.max(Date.now(), (this._lastId || 0) + 1);
+        return this._lastId;
     },
 
     /**
@@ -85,6 +136,54 @@ const Utils = {
         return div.innerHTML;
     },
 
+    /**
+     * Escape a string for use inside a quoted HTML attribute (also encodes quotes)
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeAttr(str) {
+        return String(str ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Check if a value is a color in #rrggbb form
+     * @param {*} value - Value to check
+     * @returns {boolean} True if value is a hex color
+     */
+    isHexColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    },
+
+    /**
+     * Turn sanitized text back into plain text (e.g. for file exports)
+     * @param {string} str - Sanitized string
+     * @returns {string} Plain text
+     */
+    unescapeHtml(str) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = str;
+        return textarea.value;
+    },
+
+    /**
+     * Normalize text for searching: lowercase, without Vietnamese diacritics
+     * @param {string} str - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalizeText(str) {
+        return String(str || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .toLowerCase();
+    },
+
     /**
      * Validate expense data
      * @param {object} expense - Expense object to validate
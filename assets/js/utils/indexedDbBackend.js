@@ -0,0 +1,138 @@
+// IndexedDB Storage Backend
+// Stores each expense as its own record and only writes expenses that changed
+
+const IndexedDbBackend = {
+    name: 'indexedDB',
+
+    // Private state
+    _db: null,
+    _savedExpenses: new Map(), // id -> JSON of the last saved version
+
+    /**
+     * Check whether IndexedDB can be used
+     * @returns {boolean} True if available
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    },
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise} Resolves when the database is open
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(CONFIG.IDB_NAME, CONFIG.IDB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('expenses')) {
+                    db.createObjectStore('expenses', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                this._db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    },
+
+    /**
+     * Load saved data
+     * @returns {Promise<object|null>} Raw saved data or null if nothing is saved
+     */
+    async load() {
+        const transaction = this._db.transaction(['expenses', 'meta'], 'readonly');
+        const [meta, expenses] = await Promise.all([
+            this._request(transaction.objectStore('meta').get('data')),
+            this._request(transaction.objectStore('expenses').getAll())
+        ]);
+
+        this._savedExpenses = new Map(expenses.map(expense => [expense.id, JSON.stringify(expense)]));
+        if (!meta) return null;
+
+        // Records come back in key order; ids grow over time, so newest first matches ExpenseManager
+        return {
+            ...meta.value,
+            expenses: expenses.sort((a, b) => b.id - a.id)
+        };
+    },
+
+    /**
+     * Save data, writing only added, changed and removed expenses
+     * @param {object} data - Data to save (every expense must have an id)
+     * @returns {Promise} Resolves when the transaction completes
+     */
+    save(data) {
+        const { expenses, ...meta } = data;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['expenses', 'meta'], 'readwrite');
+            const store = transaction.objectStore('expenses');
+            const saved = new Map();
+
+            expenses.forEach(expense => {
+                const json = JSON.stringify(expense);
+                saved.set(expense.id, json);
+                if (this._savedExpenses.get(expense.id) !== json) {
+                    store.put(expense);
+                }
+            });
+
+            this._savedExpenses.forEach((_, id) => {
+                if (!saved.has(id)) store.delete(id);
+            });
+
+            transaction.objectStore('meta').put({ key: 'data', value: meta });
+
+            transaction.oncomplete = () => {
+                this._savedExpenses = saved;
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    },
+
+    /**
+     * Remove all saved data
+     * @returns {Promise} Resolves when cleared
+     */
+    clear() {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['expenses', 'meta'], 'readwrite');
+            transaction.objectStore('expenses').clear();
+            transaction.objectStore('meta').clear();
+            transaction.oncomplete = () => {
+                this._savedExpenses = new Map();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - IndexedDB request
+     * @returns {Promise} Resolves with the request result
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDbBackend;
+} else if (typeof window !== 'undefined') {
+    window.IndexedDbBackend = IndexedDbBackend;
+}
@@ -0,0 +1,60 @@
+// localStorage Storage Backend
+// Keeps the whole dataset in one localStorage key (fallback when IndexedDB is unavailable)
+
+const LocalStorageBackend = {
+    name: 'localStorage',
+
+    /**
+     * Check whether localStorage can be used
+     * @returns {boolean} True if available
+     */
+    isAvailable() {
+        try {
+            const test = '__storage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Open the backend (nothing to do for localStorage)
+     * @returns {Promise} Resolves when ready
+     */
+    async open() {},
+
+    /**
+     * Load saved data
+     * @returns {Promise<object|null>} Raw saved data or null if nothing is saved
+     */
+    async load() {
+        const saved = localStorage.getItem(CONFIG.STORAGE_KEY);
+        return saved ? JSON.parse(saved) : null;
+    },
+
+    /**
+     * Save the whole dataset
+     * @param {object} data - Data to save
+     * @returns {Promise} Rejects when the quota is exceeded
+     */
+    async save(data) {
+        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(data));
+    },
+
+    /**
+     * Remove saved data
+     * @returns {Promise} Resolves when cleared
+     */
+    async clear() {
+        localStorage.removeItem(CONFIG.STORAGE_KEY);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalStorageBackend;
+} else if (typeof window !== 'undefined') {
+    window.LocalStorageBackend = LocalStorageBackend;
+}
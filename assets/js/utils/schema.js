@@ -0,0 +1,466 @@
+// Data Schema for Expense Tracker
+// Handles the schema version of saved data, the ordered chain of migrations
+// and strict validation of expense records (repairing what can be repaired)
+
+const SchemaManager = {
+    // Ordered migrations; each one upgrades data from (version - 1) to version
+    _migrations: [
+        {
+            version: 2,
+            description: 'Dữ liệu trước khi có số phiên bản (thu nhập, định kỳ, màu danh mục)',
+            migrate(data) {
+                // Budget periods are built from the old single-period settings by StorageManager
+                return {
+                    ...data,
+                    expenses: (data.expenses || []).map(expense =>
+                        (expense && typeof expense === 'object' && !expense.type
+                            ? { ...expense, type: CONFIG.ENTRY_TYPES.EXPENSE }
+                            : expense)
+                    ),
+                    recurring: data.recurring || [],
+                    categoryStyles: data.categoryStyles || {}
+                };
+            }
+        },
+        {
+            version: 3,
+            description: 'Thêm tiền tệ cho từng khoản (dữ liệu cũ đều là VND)',
+            migrate(data) {
+                const withCurrency = entry => (entry && typeof entry === 'object' && !entry.currency
+                    ? { ...entry, currency: 'VND' }
+                    : entry);
+
+                return {
+                    ...data,
+                    expenses: (data.expenses || []).map(withCurrency),
+                    recurring: (data.recurring || []).map(withCurrency),
+                    baseCurrency: data.baseCurrency || 'VND',
+                    exchangeRates: data.exchangeRates || []
+                };
+            }
+        },
+        {
+            version: 4,
+            description: 'Thêm chia tiền với người khác và các lần thanh toán nợ',
+            migrate(data) {
+                return {
+                    ...data,
+                    settlements: data.settlements || []
+                };
+            }
+        },
+        {
+            version: 5,
+            description: 'Thêm mục tiêu tiết kiệm và các khoản để dành',
+            migrate(data) {
+                return {
+                    ...data,
+                    goals: data.goals || [],
+                    goalAllocations: data.goalAllocations || []
+                };
+            }
+        },
+        {
+            version: 6,
+            description: 'Thêm quy tắc tự phân loại danh mục',
+            migrate(data) {
+                return {
+                    ...data,
+                    categoryRules: data.categoryRules || []
+                };
+            }
+        },
+        {
+            version: 7,
+            description: 'Tiền chuyển kỳ được tính lại từ kỳ trước thay vì lưu cố định',
+            migrate(data) {
+                const withRollover = period => {
+                    if (!period || typeof period !== 'object') return period;
+                    const { carryOver, ...rest } = period;
+                    return { ...rest, rollover: (parseFloat(carryOver) || 0) > 0 };
+                };
+
+                return {
+                    ...data,
+                    periods: Array.isArray(data.periods) ? data.periods.map(withRollover) : data.periods
+                };
+            }
+        },
+        {
+            version: 8,
+            description: 'Mô tả khoản định kỳ được lưu nguyên văn (khoản chi được ghi ra mới mã hóa một lần)',
+            migrate(data) {
+                const withPlainText = template => (template && typeof template === 'object' && typeof template.description === 'string'
+                    ? { ...template, description: Utils.unescapeHtml(template.description) }
+                    : template);
+
+                return {
+                    ...data,
+                    recurring: Array.isArray(data.recurring) ? data.recurring.map(withPlainText) : data.recurring
+                };
+            }
+        }
+    ],
+
+    /**
+     * Get the schema version of a payload (payloads without one are version 1)
+     * @param {object} data - Raw data
+     * @returns {number} Schema version
+     */
+    getVersion(data) {
+        return Number.isInteger(data.schemaVersion) && data.schemaVersion > 0 ? data.schemaVersion : 1;
+    },
+
+    /**
+     * Run every migration newer than the payload's version, in order
+     * @param {object} data - Raw data
+     * @returns {object} { data, fromVersion, applied } where applied lists migration descriptions
+     * @throws {Error} If the payload comes from a newer schema than this app knows
+     */
+    migrate(data) {
+        const fromVersion = this.getVersion(data);
+        if (fromVersion > CONFIG.SCHEMA_VERSION) {
+            throw new Error(CONFIG.MESSAGES.SCHEMA_TOO_NEW
+                .replace('{version}', fromVersion)
+                .replace('{supported}', CONFIG.SCHEMA_VERSION));
+        }
+
+        const applied = [];
+        let migrated = data;
+        this._migrations
+            .filter(migration => migration.version > fromVersion)
+            .sort((a, b) => a.version - b.version)
+            .forEach(migration => {
+                migrated = migration.migrate(migrated);
+                applied.push(migration.description);
+            });
+
+        return {
+            data: { ...migrated, schemaVersion: CONFIG.SCHEMA_VERSION },
+            fromVersion,
+            applied
+        };
+    },
+
+    /**
+     * Validate every expense, savings goal, goal allocation and category rule strictly, repairing what can be repaired
+     * @param {object} data - Normalized data
+     * @param {object} options - Validation options
+     * @param {boolean} options.assignIds - Give records without a usable id a new one; when false
+     *                                      expense ids are left out so a merge can still match the record,
+     *                                      and other ids are kept as they are (see assignRecordIds)
+     * @returns {object} { data, report } where report is { repaired, rejected }
+     */
+    validate(data, options = {}) {
+        const { assignIds = true } = options;
+        const categories = [...data.categories];
+        const usedIds = new Set();
+        const report = { repaired: [], rejected: [] };
+        const expenses = [];
+
+        data.expenses.forEach((record, index) => {
+            const result = this._validateExpense(record, categories, usedIds, data.baseCurrency, assignIds);
+
+            if (result.reasons.length > 0) {
+                report.rejected.push({ index, record, reasons: result.reasons });
+                return;
+            }
+            if (result.issues.length > 0) {
+                report.repaired.push({ index, expense: result.expense, issues: result.issues });
+            }
+            if (result.expense.id !== undefined) usedIds.add(result.expense.id);
+            expenses.push(result.expense);
+        });
+
+        // Ids are only assigned after the allocations are checked, so they still find their goal by its original id
+        const goals = this._validateRecords(data.goals, 'goals', report,
+            record => this._validateGoal(record, data.baseCurrency));
+        const goalIds = new Set(goals.map(goal => goal.id));
+        const goalAllocations = this._validateRecords(data.goalAllocations, 'goalAllocations', report,
+            record => this._validateAllocation(record, goalIds, data.baseCurrency));
+        const categoryRules = this._validateRecords(data.categoryRules, 'categoryRules', report,
+            record => this._validateRule(record));
+
+        const validated = { ...data, expenses, categories, goals, goalAllocations, categoryRules };
+        return {
+            data: assignIds ? this.assignRecordIds(validated) : validated,
+            report
+        };
+    },
+
+    /**
+     * Give savings goals, goal allocations and category rules without a usable id a new one
+     * (allocations follow the new id of their goal)
+     * @param {object} data - Validated data
+     * @returns {object} Data where every goal, allocation and rule has a unique numeric id
+     */
+    assignRecordIds(data) {
+        const { records: goals, newIds } = this._assignIds(data.goals);
+        const goalAllocations = data.goalAllocations.map(allocation => (newIds.has(allocation.goalId)
+            ? { ...allocation, goalId: newIds.get(allocation.goalId) }
+            : allocation));
+
+        return {
+            ...data,
+            goals,
+            goalAllocations: this._assignIds(goalAllocations).records,
+            categoryRules: this._assignIds(data.categoryRules).records
+        };
+    },
+
+    /**
+     * Check whether a report contains any repaired or rejected record
+     * @param {object} report - Validation report
+     * @returns {boolean} True if there is something to show
+     */
+    hasIssues(report) {
+        return report.repaired.length > 0 || report.rejected.length > 0;
+    },
+
+    /**
+     * Check for a real calendar date in YYYY-MM-DD form
+     * @param {string} value - Date string
+     * @returns {boolean} True if valid
+     */
+    isIsoDate(value) {
+        return typeof value === 'string' &&
+            /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+            CsvUtils.parseDate(value) === value;
+    },
+
+    /**
+     * Validate and repair a single expense record
+     * @param {*} record - Raw record
+     * @param {Array} categories - Known categories (unknown ones are appended)
+     * @param {Set} usedIds - Ids already taken by earlier records
+     * @param {string} baseCurrency - Currency assumed for records without one
+     * @param {boolean} assignIds - Give a record without a usable id a new one (otherwise it is left without)
+     * @returns {object} { expense, issues, reasons } (rejected when reasons is not empty)
+     * @private
+     */
+    _validateExpense(record, categories, usedIds, baseCurrency, assignIds = true) {
+        const messages = CONFIG.MESSAGES;
+        const issues = [];
+        const reasons = [];
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { expense: null, issues, reasons: [messages.SCHEMA_NOT_RECORD] };
+        }
+
+        const expense = { ...record };
+
+        // Amount: a positive number; numbers saved as text are converted
+        if (typeof expense.amount === 'string' && CsvUtils.parseAmount(expense.amount) > 0) {
+            expense.amount = CsvUtils.parseAmount(expense.amount);
+            issues.push(messages.SCHEMA_AMOUNT_REPAIRED.replace('{value}', record.amount));
+        }
+        if (typeof expense.amount !== 'number' || !isFinite(expense.amount) || expense.amount <= 0) {
+            reasons.push(messages.SCHEMA_BAD_AMOUNT.replace('{value}', record.amount));
+        }
+
+        // Date: YYYY-MM-DD; other recognizable formats are converted
+        if (!this.isIsoDate(expense.date)) {
+            const date = typeof expense.date === 'string' ? CsvUtils.parseDate(expense.date) : null;
+            if (date) {
+                expense.date = date;
+                issues.push(messages.SCHEMA_DATE_REPAIRED.replace('{value}', record.date).replace('{date}', date));
+            } else {
+                reasons.push(messages.SCHEMA_BAD_DATE.replace('{value}', record.date));
+            }
+        }
+
+        // Currency: one of the supported currencies
+        if (expense.currency !== undefined && !CONFIG.CURRENCIES[expense.currency]) {
+            reasons.push(messages.SCHEMA_BAD_CURRENCY.replace('{value}', record.currency));
+        }
+
+        if (reasons.length > 0) {
+            return { expense: null, issues, reasons };
+        }
+
+        if (expense.currency === undefined) {
+            expense.currency = baseCurrency;
+            issues.push(messages.SCHEMA_CURRENCY_MISSING.replace('{currency}', baseCurrency));
+        }
+
+        if (!Object.values(CONFIG.ENTRY_TYPES).includes(expense.type)) {
+            expense.type = CONFIG.ENTRY_TYPES.EXPENSE;
+            issues.push(messages.SCHEMA_TYPE_REPAIRED);
+        }
+
+        if (typeof expense.description !== 'string' || expense.description.trim() === '') {
+            expense.description = messages.SCHEMA_DEFAULT_DESCRIPTION;
+            issues.push(messages.SCHEMA_DESCRIPTION_REPAIRED);
+        }
+
+        // Category: must be one of the known categories
+        if (typeof expense.category !== 'string' || expense.category.trim() === '') {
+            expense.category = expense.type === CONFIG.ENTRY_TYPES.INCOME ? CONFIG.INCOME_CATEGORY : 'Khác';
+            issues.push(messages.SCHEMA_CATEGORY_MISSING.replace('{category}', expense.category));
+        }
+        if (!categories.includes(expense.category)) {
+            categories.push(expense.category);
+            issues.push(messages.SCHEMA_CATEGORY_ADDED.replace('{category}', expense.category));
+        }
+
+        // Split: a known method and a list of named people; anything else counts as not shared
+        if (expense.split !== undefined && !this._isValidSplit(expense)) {
+            delete expense.split;
+            issues.push(messages.SCHEMA_SPLIT_REMOVED);
+        }
+
+        if (typeof expense.id !== 'number' || usedIds.has(expense.id)) {
+            issues.push(usedIds.has(expense.id) ? messages.SCHEMA_ID_DUPLICATE : messages.SCHEMA_ID_MISSING);
+            if (assignIds) {
+                expense.id = Utils.generateId();
+            } else {
+                delete expense.id;
+            }
+        }
+
+        return { expense, issues, reasons };
+    },
+
+    /**
+     * Validate a list of records, moving the ones that cannot be used to the report
+     * @param {Array} records - Raw records
+     * @param {string} collection - Name of the list the records come from (shown in the report)
+     * @param {object} report - Validation report to add rejected records to
+     * @param {Function} validateRecord - Returns { record, reason } for one raw record
+     * @returns {Array} Usable records
+     * @private
+     */
+    _validateRecords(records, collection, report, validateRecord) {
+        const valid = [];
+
+        (records || []).forEach((raw, index) => {
+            const { record, reason } = validateRecord(raw);
+            if (reason) {
+                report.rejected.push({ index, record: raw, reasons: [reason], collection });
+                return;
+            }
+
+            valid.push(record);
+        });
+
+        return valid;
+    },
+
+    /**
+     * Give records without a usable id (a number not taken by an earlier record) a new one
+     * @param {Array} records - Records
+     * @returns {object} { records, newIds } where newIds maps a replaced id to the new one
+     *                   (a duplicate id keeps pointing at the first record that has it)
+     * @private
+     */
+    _assignIds(records) {
+        const usedIds = new Set();
+        const newIds = new Map();
+
+        return {
+            records: records.map(record => {
+                if (typeof record.id === 'number' && !usedIds.has(record.id)) {
+                    usedIds.add(record.id);
+                    return record;
+                }
+
+                const id = Utils.generateId();
+                if (record.id !== undefined && !usedIds.has(record.id) && !newIds.has(record.id)) {
+                    newIds.set(record.id, id);
+                }
+                usedIds.add(id);
+                return { ...record, id };
+            }),
+            newIds
+        };
+    },
+
+    /**
+     * Validate a savings goal: a name, a positive target and an ISO deadline
+     * @param {*} raw - Raw goal
+     * @param {string} baseCurrency - Currency assumed for goals without one
+     * @returns {object} { record, reason } (rejected when reason is set)
+     * @private
+     */
+    _validateGoal(raw, baseCurrency) {
+        const goal = raw && typeof raw === 'object' && !Array.isArray(raw) ? { ...raw } : null;
+        const isValid = goal &&
+            typeof goal.name === 'string' && goal.name.trim() !== '' &&
+            typeof goal.target === 'number' && isFinite(goal.target) && goal.target > 0 &&
+            this.isIsoDate(goal.deadline) &&
+            (goal.currency === undefined || !!CONFIG.CURRENCIES[goal.currency]);
+
+        if (!isValid) return { record: null, reason: CONFIG.MESSAGES.SCHEMA_BAD_GOAL };
+
+        goal.currency = goal.currency || baseCurrency;
+        if (!this.isIsoDate(goal.createdAt)) goal.createdAt = Utils.getTodayString();
+        return { record: goal, reason: null };
+    },
+
+    /**
+     * Validate a goal allocation: an existing goal, a positive amount and an ISO date
+     * @param {*} raw - Raw allocation
+     * @param {Set} goalIds - Ids of the valid goals
+     * @param {string} baseCurrency - Currency assumed for allocations without one
+     * @returns {object} { record, reason } (rejected when reason is set)
+     * @private
+     */
+    _validateAllocation(raw, goalIds, baseCurrency) {
+        const allocation = raw && typeof raw === 'object' && !Array.isArray(raw) ? { ...raw } : null;
+        const isValid = allocation &&
+            allocation.goalId !== undefined && goalIds.has(allocation.goalId) &&
+            typeof allocation.amount === 'number' && isFinite(allocation.amount) && allocation.amount > 0 &&
+            this.isIsoDate(allocation.date) &&
+            (allocation.currency === undefined || !!CONFIG.CURRENCIES[allocation.currency]);
+
+        if (!isValid) return { record: null, reason: CONFIG.MESSAGES.SCHEMA_BAD_ALLOCATION };
+
+        allocation.currency = allocation.currency || baseCurrency;
+        return { record: allocation, reason: null };
+    },
+
+    /**
+     * Validate a category rule: a keyword and a category (both text)
+     * @param {*} raw - Raw rule
+     * @returns {object} { record, reason } (rejected when reason is set)
+     * @private
+     */
+    _validateRule(raw) {
+        const rule = raw && typeof raw === 'object' && !Array.isArray(raw) ? { ...raw } : null;
+        const isValid = rule &&
+            typeof rule.keyword === 'string' && rule.keyword.trim() !== '' &&
+            typeof rule.category === 'string' && rule.category.trim() !== '';
+
+        if (!isValid) return { record: null, reason: CONFIG.MESSAGES.SCHEMA_BAD_RULE };
+
+        rule.keyword = rule.keyword.trim();
+        rule.category = rule.category.trim();
+        return { record: rule, reason: null };
+    },
+
+    /**
+     * Check the shape of the split of a shared expense
+     * @param {object} expense - Expense with a split
+     * @returns {boolean} True if the split can be used
+     * @private
+     */
+    _isValidSplit(expense) {
+        const split = expense.split;
+        const isPerson = name => typeof name === 'string' && name.trim() !== '';
+
+        return expense.type === CONFIG.ENTRY_TYPES.EXPENSE &&
+            !!split && typeof split === 'object' &&
+            Object.values(CONFIG.SPLIT_METHODS).includes(split.method) &&
+            isPerson(split.paidBy) &&
+            Array.isArray(split.shares) && split.shares.length > 0 &&
+            split.shares.every(share => share && isPerson(share.person) &&
+                (split.method === CONFIG.SPLIT_METHODS.EQUAL || (typeof share.value === 'number' && isFinite(share.value))));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaManager;
+} else if (typeof window !== 'undefined') {
+    window.SchemaManager = SchemaManager;
+}
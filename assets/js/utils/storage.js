@@ -1,56 +1,107 @@
 // Storage Manager for Expense Tracker
-// Handles all localStorage operations
+// Handles persistence through a pluggable backend (IndexedDB, falling back to localStorage)
+// A backend provides: name, isAvailable(), open(), load(), save(data), clear()
 
 const StorageManager = {
+    // Private properties
+    _backend: null,
+    _saveQueue: Promise.resolve(),
+    _loadReport: null,
+
     /**
-     * Save application data to localStorage
-     * @param {object} data - Data object to save
+     * Pick the first backend that is available and opens, migrating old localStorage data
+     * @param {Array} backends - Backends in order of preference
+     * @returns {Promise<string|null>} Name of the backend in use, null if none works
      */
-    saveData(data) {
-        try {
-            const dataToSave = {
-                expenses: data.expenses || [],
-                categories: data.categories || CONFIG.DEFAULT_CATEGORIES,
-                settings: {
-                    totalBudget: data.settings?.totalBudget || '',
-                    startDate: data.settings?.startDate || Utils.getTodayString(),
-                    endDate: data.settings?.endDate || '2025-10-06'
-                },
-                lastUpdated: new Date().toISOString()
-            };
-            localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(dataToSave));
-        } catch (error) {
-            console.error('Error saving data:', error);
+    async init(backends = [IndexedDbBackend, LocalStorageBackend]) {
+        this._backend = null;
+
+        for (const backend of backends) {
+            if (!backend.isAvailable()) continue;
+
+            try {
+                await backend.open();
+                this._backend = backend;
+                break;
+            } catch (error) {
+                console.error(`Error opening ${backend.name} storage:`, error);
+            }
+        }
+
+        // Keep using localStorage until its data has been moved over
+        if (this._backend && this._backend !== LocalStorageBackend && !(await this._migrateFromLocalStorage())) {
+            this._backend = LocalStorageBackend;
         }
+
+        return this._backend ? this._backend.name : null;
     },
 
     /**
-     * Load application data from localStorage
-     * @returns {object} Loaded data object
+     * Get the name of the backend in use
+     * @returns {string|null} Backend name
      */
-    loadData() {
-        try {
-            const saved = localStorage.getItem(CONFIG.STORAGE_KEY);
-            if (!saved) {
-                return this.getDefaultData();
+    getBackendName() {
+        return this._backend ? this._backend.name : null;
+    },
+
+    /**
+     * Save application data (saves run one after another)
+     * @param {object} data - Data object to save
+     * @returns {Promise} Rejects when the data could not be saved
+     */
+    saveData(data) {
+        const dataToSave = {
+            ...this._normalizeData(data),
+            schemaVersion: CONFIG.SCHEMA_VERSION,
+            lastUpdated: new Date().toISOString()
+        };
+
+        // A failed save must not block the ones queued after it
+        this._saveQueue = this._saveQueue.catch(() => {}).then(() => {
+            if (!this._backend) {
+                throw new Error(CONFIG.MESSAGES.STORAGE_UNAVAILABLE);
             }
+            return this._backend.save(dataToSave);
+        });
 
-            const data = JSON.parse(saved);
+        return this._saveQueue;
+    },
 
-            // Ensure data structure is valid
-            return {
-                expenses: Array.isArray(data.expenses) ? data.expenses : [],
-                categories: Array.isArray(data.categories) ? data.categories : CONFIG.DEFAULT_CATEGORIES,
-                settings: {
-                    totalBudget: data.settings?.totalBudget || '',
-                    startDate: data.settings?.startDate || Utils.getTodayString(),
-                    endDate: data.settings?.endDate || '2025-10-06'
-                }
-            };
+    /**
+     * Load application data, migrating and validating it
+     * Rejected records are set aside under their own key instead of being dropped.
+     * @returns {Promise<object>} Loaded data object
+     * @throws {Error} If the saved data comes from a newer schema version
+     */
+    async loadData() {
+        this._loadReport = null;
+
+        let saved = null;
+        try {
+            saved = this._backend ? await this._backend.load() : null;
         } catch (error) {
             console.error('Error loading data:', error);
+        }
+
+        if (!saved) {
             return this.getDefaultData();
         }
+
+        // Data from a newer schema throws here, so it is never overwritten with defaults
+        const { data, report } = this._prepareData(saved);
+        if (report.rejected.length > 0) {
+            this._setAsideRejected(report.rejected);
+        }
+        this._loadReport = report;
+        return data;
+    },
+
+    /**
+     * Get the migration and validation report of the last load
+     * @returns {object|null} Report { fromVersion, migrations, repaired, rejected }, null if nothing was loaded
+     */
+    getLoadReport() {
+        return this._loadReport;
     },
 
     /**
@@ -58,28 +109,82 @@ const StorageManager = {
      * @returns {object} Default data object
      */
     getDefaultData() {
-        return {
-            expenses: [],
-            categories: [...CONFIG.DEFAULT_CATEGORIES],
-            settings: {
-                totalBudget: '',
-                startDate: Utils.getTodayString(),
-                endDate: '2025-10-06'
-            }
-        };
+        return this._normalizeData({});
     },
 
     /**
-     * Clear all data from localStorage
+     * Clear all saved data
+     * @returns {Promise} Resolves when cleared
      */
-    clearData() {
+    async clearData() {
         try {
-            localStorage.removeItem(CONFIG.STORAGE_KEY);
+            if (this._backend) await this._backend.clear();
         } catch (error) {
             console.error('Error clearing data:', error);
         }
     },
 
+    /**
+     * Save undo/redo history (kept apart from the data so backups stay small)
+     * @param {object} history - History object { undo, redo }
+     * @returns {boolean} True if saved
+     */
+    saveHistory(history) {
+        try {
+            localStorage.setItem(CONFIG.HISTORY_STORAGE_KEY, JSON.stringify(history));
+            return true;
+        } catch (error) {
+            console.error('Error saving history:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Load undo/redo history
+     * @returns {object} History object { undo, redo }
+     */
+    loadHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.HISTORY_STORAGE_KEY) || '{}');
+            return {
+                undo: Array.isArray(saved.undo) ? saved.undo : [],
+                redo: Array.isArray(saved.redo) ? saved.redo : []
+            };
+        } catch (error) {
+            console.error('Error loading history:', error);
+            return { undo: [], redo: [] };
+        }
+    },
+
+    /**
+     * Save the alert history (kept apart from the data like the undo history)
+     * @param {Array} alerts - Alert entries
+     * @returns {boolean} True if saved
+     */
+    saveAlerts(alerts) {
+        try {
+            localStorage.setItem(CONFIG.ALERTS_STORAGE_KEY, JSON.stringify(alerts));
+            return true;
+        } catch (error) {
+            console.error('Error saving alerts:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Load the alert history
+     * @returns {Array} Alert entries
+     */
+    loadAlerts() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.ALERTS_STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading alerts:', error);
+            return [];
+        }
+    },
+
     /**
      * Export data as JSON blob
      * @param {object} data - Data to export
@@ -88,6 +193,7 @@ const StorageManager = {
     exportData(data) {
         const exportData = {
             ...data,
+            schemaVersion: CONFIG.SCHEMA_VERSION,
             exportDate: new Date().toISOString(),
             version: CONFIG.VERSION
         };
@@ -98,47 +204,460 @@ const StorageManager = {
     },
 
     /**
-     * Import data from JSON string
+     * Import data from JSON string, migrating and validating it
+     * (expenses without a usable id are left without one, so mergeData can match them as duplicates;
+     * see assignMissingIds)
      * @param {string} jsonString - JSON string to import
-     * @returns {object} Parsed data object
-     * @throws {Error} If data format is invalid
+     * @returns {object} { data, report } where report lists repaired and rejected records
+     * @throws {Error} If the file is not JSON, not a backup, or from a newer schema version
      */
     importData(jsonString) {
+        let data;
         try {
-            const data = JSON.parse(jsonString);
+            data = JSON.parse(jsonString);
+        } catch (error) {
+            throw new Error(CONFIG.MESSAGES.SCHEMA_BAD_JSON.replace('{error}', error.message));
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(CONFIG.MESSAGES.SCHEMA_BAD_FORMAT.replace('{error}', 'không phải một đối tượng'));
+        }
+        if (data.expenses !== undefined && !Array.isArray(data.expenses)) {
+            throw new Error(CONFIG.MESSAGES.SCHEMA_BAD_FORMAT.replace('{error}', '"expenses" không phải danh sách'));
+        }
+
+        return this._prepareData(data, { assignIds: false });
+    },
+
+    /**
+     * Give imported records that have no usable id a new one (before using the import as it is)
+     * @param {object} data - Imported data
+     * @returns {object} Data where every expense, goal, allocation and rule has an id
+     */
+    assignMissingIds(data) {
+        return {
+            ...SchemaManager.assignRecordIds(data),
+            expenses: data.expenses.map(expense => (expense.id === undefined
+                ? { ...expense, id: Utils.generateId() }
+                : expense))
+        };
+    },
 
-            // Validate imported data structure
-            if (!data || typeof data !== 'object') {
-                throw new Error('Invalid data format');
+    /**
+     * Merge imported data into current data instead of replacing it
+     * Expenses are united by id; expenses without an id are matched by date, amount and description,
+     * and occurrences of the same recurring template on the same date count once.
+     * @param {object} current - Current application data
+     * @param {object} incoming - Normalized imported data
+     * @param {object} options - Conflict resolution
+     * @param {string} options.expenseConflicts - 'local' or 'incoming' for same id with different content
+     * @param {string} options.settings - 'local' or 'incoming' for category limits and periods
+     * @param {boolean} options.addCategories - Whether to add categories that only exist in the import
+     * @returns {object} { data, summary: { added, skipped, conflicting }, conflicts }
+     */
+    mergeData(current, incoming, options = {}) {
+        const { expenseConflicts = 'local', settings = 'local', addCategories = true } = options;
+        const summary = { added: 0, skipped: 0, conflicting: 0 };
+        const conflicts = {
+            expenses: [],
+            settings: this._findSettingsConflicts(current, incoming),
+            categories: incoming.categories.filter(category => !current.categories.includes(category))
+        };
+
+        // Expenses
+        const expenses = [...current.expenses];
+        const indexById = new Map(expenses.map((expense, index) => [expense.id, index]));
+        const fingerprints = new Set(expenses.map(expense => this._expenseFingerprint(expense)));
+        const recurringKeys = new Set(expenses.map(expense => this._recurringKey(expense)).filter(Boolean));
+
+        incoming.expenses.forEach(expense => {
+            // A template posted on two devices creates the same occurrence with different ids
+            const recurringKey = this._recurringKey(expense);
+            if (recurringKey && !indexById.has(expense.id) && recurringKeys.has(recurringKey)) {
+                summary.skipped++;
+                return;
             }
+            if (recurringKey) recurringKeys.add(recurringKey);
 
-            return {
-                expenses: Array.isArray(data.expenses) ? data.expenses : [],
-                categories: Array.isArray(data.categories) ? data.categories : CONFIG.DEFAULT_CATEGORIES,
-                settings: {
-                    totalBudget: data.settings?.totalBudget || '',
-                    startDate: data.settings?.startDate || Utils.getTodayString(),
-                    endDate: data.settings?.endDate || '2025-10-06'
+            if (expense.id !== undefined && expense.id !== null) {
+                if (!indexById.has(expense.id)) {
+                    indexById.set(expense.id, expenses.length);
+                    expenses.push(expense);
+                    fingerprints.add(this._expenseFingerprint(expense));
+                    summary.added++;
+                    return;
+                }
+
+                const index = indexById.get(expense.id);
+                if (this._isSameExpense(expenses[index], expense)) {
+                    summary.skipped++;
+                } else {
+                    conflicts.expenses.push({ local: expenses[index], incoming: expense });
+                    summary.conflicting++;
+                    if (expenseConflicts === 'incoming') expenses[index] = expense;
                 }
+                return;
+            }
+
+            // No id: treat a matching date + amount + description as a likely duplicate
+            const fingerprint = this._expenseFingerprint(expense);
+            if (fingerprints.has(fingerprint)) {
+                summary.skipped++;
+                return;
+            }
+
+            fingerprints.add(fingerprint);
+            expenses.push({ ...expense, id: Utils.generateId() });
+            summary.added++;
+        });
+
+        // Newest first, like ExpenseManager.addExpense
+        expenses.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+        const preferred = settings === 'incoming' ? incoming : current;
+        const other = settings === 'incoming' ? current : incoming;
+        const categories = addCategories
+            ? [...current.categories, ...conflicts.categories]
+            : [...current.categories];
+        const { periods, replacedIds } = this._unionPeriods(preferred.periods, other.periods);
+        // Imported goals, allocations and rules keep their ids until now (see SchemaManager.validate)
+        const records = SchemaManager.assignRecordIds(incoming);
+
+        return {
+            data: {
+                expenses,
+                categories,
+                categoryStyles: { ...incoming.categoryStyles, ...current.categoryStyles },
+                recurring: this._unionById(current.recurring, incoming.recurring),
+                baseCurrency: preferred.baseCurrency,
+                exchangeRates: this._unionById(preferred.exchangeRates, other.exchangeRates),
+                settlements: this._unionById(current.settlements, incoming.settlements),
+                goals: this._unionById(current.goals, records.goals),
+                goalAllocations: this._unionById(current.goalAllocations, records.goalAllocations)
+                    .map(allocation => (replacedIds.has(allocation.periodId)
+                        ? { ...allocation, periodId: replacedIds.get(allocation.periodId) }
+                        : allocation)),
+                categoryRules: this._unionRules(current.categoryRules, records.categoryRules),
+                periods,
+                activePeriodId: preferred.activePeriodId,
+                settings: preferred.settings
+            },
+            summary,
+            conflicts
+        };
+    },
+
+    /**
+     * Describe differences in settings between two data sets
+     * @param {object} current - Current data
+     * @param {object} incoming - Imported data
+     * @returns {Array} Array of { label, local, incoming } objects
+     * @private
+     */
+    _findSettingsConflicts(current, incoming) {
+        const conflicts = [];
+        const localLimits = current.settings.categoryLimits || {};
+        const incomingLimits = incoming.settings.categoryLimits || {};
+
+        new Set([...Object.keys(localLimits), ...Object.keys(incomingLimits)]).forEach(category => {
+            if (localLimits[category] !== incomingLimits[category]) {
+                conflicts.push({
+                    label: `Giới hạn "${category}"`,
+                    local: localLimits[category] ? Utils.formatNumber(localLimits[category]) : '—',
+                    incoming: incomingLimits[category] ? Utils.formatNumber(incomingLimits[category]) : '—'
+                });
+            }
+        });
+
+        const localPeriods = new Map((current.periods || []).map(period => [period.id, period]));
+        const describe = p => `${p.name}: ${p.startDate} → ${p.endDate}, ${Utils.formatNumber(parseFloat(p.totalBudget) || 0)}`;
+        (incoming.periods || []).forEach(period => {
+            const local = localPeriods.get(period.id);
+            if (local && describe(local) !== describe(period)) {
+                conflicts.push({ label: 'Kỳ ngân sách', local: describe(local), incoming: describe(period) });
+            }
+
+            // Only one of two overlapping periods is kept, the one of the chosen side
+            const isSame = (current.periods || []).some(other => other.id === period.id ||
+                (other.startDate === period.startDate && other.endDate === period.endDate));
+            const overlapping = isSame ? null : (current.periods || []).find(other => this._periodsOverlap(other, period));
+            if (overlapping) {
+                conflicts.push({ label: 'Kỳ ngân sách trùng ngày', local: describe(overlapping), incoming: describe(period) });
+            }
+        });
+
+        if (current.baseCurrency !== incoming.baseCurrency) {
+            conflicts.push({ label: 'Tiền tệ gốc', local: current.baseCurrency, incoming: incoming.baseCurrency });
+        }
+
+        if (current.activePeriodId !== incoming.activePeriodId) {
+            const name = (data) => {
+                const period = (data.periods || []).find(p => p.id === data.activePeriodId);
+                return period ? period.name : '—';
             };
+            conflicts.push({ label: 'Kỳ đang dùng', local: name(current), incoming: name(incoming) });
+        }
+
+        return conflicts;
+    },
+
+    /**
+     * Build a key used to spot duplicate expenses without an id
+     * @param {object} expense - Expense object
+     * @returns {string} Fingerprint
+     * @private
+     */
+    _expenseFingerprint(expense) {
+        return `${expense.date}|${parseFloat(expense.amount)}|${String(expense.description || '').trim().toLowerCase()}`;
+    },
+
+    /**
+     * Check whether two expenses with the same id have the same content
+     * @param {object} a - First expense
+     * @param {object} b - Second expense
+     * @returns {boolean} True if identical
+     * @private
+     */
+    _isSameExpense(a, b) {
+        const typeOf = expense => expense.type || CONFIG.ENTRY_TYPES.EXPENSE;
+
+        return typeOf(a) === typeOf(b) && ['date', 'amount', 'currency', 'description', 'category']
+            .every(field => String(a[field] ?? '') === String(b[field] ?? '')) &&
+            JSON.stringify(a.split || null) === JSON.stringify(b.split || null);
+    },
+
+    /**
+     * Key of a recurring occurrence: its template and date
+     * @param {object} expense - Expense object
+     * @returns {string|null} Key, or null for expenses not posted by a template
+     * @private
+     */
+    _recurringKey(expense) {
+        return expense.recurringId ? `${expense.recurringId}|${expense.date}` : null;
+    },
+
+    /**
+     * Union periods by id; a period with the same dates as a kept one is the same period
+     * (e.g. the default period that each device created with its own id). A period that overlaps
+     * a kept one is skipped, as periods may not overlap (it is listed in the settings conflicts)
+     * @param {Array} preferred - Periods kept on collisions
+     * @param {Array} other - Periods added when they are new
+     * @returns {object} { periods, replacedIds } where replacedIds maps a dropped id to the kept one
+     * @private
+     */
+    _unionPeriods(preferred = [], other = []) {
+        const replacedIds = new Map();
+        const periods = [...preferred];
+
+        other.forEach(period => {
+            const same = periods.find(kept => kept.id === period.id ||
+                (kept.startDate === period.startDate && kept.endDate === period.endDate));
+            if (same) {
+                if (same.id !== period.id) replacedIds.set(period.id, same.id);
+                return;
+            }
+
+            if (!periods.some(kept => this._periodsOverlap(kept, period))) {
+                periods.push(period);
+            }
+        });
+
+        return { periods, replacedIds };
+    },
+
+    /**
+     * Check whether two periods share at least one day
+     * @param {object} a - Period
+     * @param {object} b - Period
+     * @returns {boolean} True if they overlap
+     * @private
+     */
+    _periodsOverlap(a, b) {
+        return a.startDate <= b.endDate && a.endDate >= b.startDate;
+    },
+
+    /**
+     * Union two arrays of objects by id (first array wins on duplicates)
+     * @param {Array} preferred - Items kept on id collisions
+     * @param {Array} other - Items added when their id is new
+     * @returns {Array} Merged array
+     * @private
+     */
+    _unionById(preferred = [], other = []) {
+        const ids = new Set(preferred.map(item => item.id));
+        return [...preferred, ...other.filter(item => !ids.has(item.id))];
+    },
+
+    /**
+     * Union category rules; an incoming rule for a keyword that already has one is skipped
+     * @param {Array} current - Current rules
+     * @param {Array} incoming - Imported rules
+     * @returns {Array} Combined rules
+     * @private
+     */
+    _unionRules(current = [], incoming = []) {
+        const keywords = new Set(current.map(rule => Utils.normalizeText(rule.keyword)));
+        return this._unionById(current, incoming.filter(rule => !keywords.has(Utils.normalizeText(rule.keyword))));
+    },
+
+    /**
+     * Migrate raw data to the current schema, normalize it and validate every expense
+     * @param {object} raw - Raw saved or imported data
+     * @param {object} options - Options for SchemaManager.validate
+     * @returns {object} { data, report }
+     * @throws {Error} If the data comes from a newer schema version
+     * @private
+     */
+    _prepareData(raw, options = {}) {
+        const { data: migrated, fromVersion, applied } = SchemaManager.migrate(raw);
+        const { data, report } = SchemaManager.validate(this._normalizeData(migrated), options);
+
+        return {
+            data,
+            report: { fromVersion, migrations: applied, ...report }
+        };
+    },
+
+    /**
+     * Keep records that failed validation under their own key so they can be recovered by hand
+     * @param {Array} rejected - Rejected entries from the validation report
+     * @private
+     */
+    _setAsideRejected(rejected) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.REJECTED_STORAGE_KEY) || '[]');
+            const rejectedAt = new Date().toISOString();
+            localStorage.setItem(CONFIG.REJECTED_STORAGE_KEY, JSON.stringify([
+                ...saved,
+                ...rejected.map(({ record, reasons }) => ({ record, reasons, rejectedAt }))
+            ]));
         } catch (error) {
-            throw new Error(CONFIG.MESSAGES.IMPORT_ERROR);
+            console.error('Error saving rejected records:', error);
         }
     },
 
     /**
-     * Check if localStorage is available
-     * @returns {boolean} True if localStorage is available
+     * Coerce a raw data object into the expected structure
+     * @param {object} data - Raw data (saved, loaded or imported)
+     * @returns {object} Normalized data object
+     * @private
      */
-    isStorageAvailable() {
+    _normalizeData(data) {
+        const startDate = data.settings?.startDate || Utils.getTodayString();
+        const settings = {
+            totalBudget: data.settings?.totalBudget || '',
+            startDate,
+            endDate: data.settings?.endDate || Utils.addDays(startDate, CONFIG.DEFAULT_PERIOD_DAYS - 1),
+            categoryLimits: data.settings?.categoryLimits && typeof data.settings.categoryLimits === 'object'
+                ? data.settings.categoryLimits
+                : {},
+            forecastMethod: data.settings?.forecastMethod || CONFIG.FORECAST_METHODS.AVERAGE,
+            alertThresholds: {
+                ...CONFIG.DEFAULT_ALERT_THRESHOLDS,
+                ...(data.settings?.alertThresholds && typeof data.settings.alertThresholds === 'object'
+                    ? data.settings.alertThresholds
+                    : {})
+            }
+        };
+
+        return {
+            expenses: Array.isArray(data.expenses) ? data.expenses : [],
+            categories: Array.isArray(data.categories) ? data.categories : [...CONFIG.DEFAULT_CATEGORIES],
+            categoryStyles: this._normalizeCategoryStyles(data.categoryStyles),
+            recurring: Array.isArray(data.recurring) ? data.recurring : [],
+            baseCurrency: CONFIG.CURRENCIES[data.baseCurrency] ? data.baseCurrency : CONFIG.DEFAULT_BASE_CURRENCY,
+            exchangeRates: Array.isArray(data.exchangeRates) ? data.exchangeRates : [],
+            settlements: Array.isArray(data.settlements) ? data.settlements : [],
+            goals: Array.isArray(data.goals) ? data.goals : [],
+            goalAllocations: Array.isArray(data.goalAllocations) ? data.goalAllocations : [],
+            categoryRules: Array.isArray(data.categoryRules) ? data.categoryRules : [],
+            settings,
+            periods: this._normalizePeriods(data.periods, settings),
+            activePeriodId: data.activePeriodId || null
+        };
+    },
+
+    /**
+     * Keep only valid category styles: colors in #rrggbb form and text icons
+     * (anything else falls back to the defaults of ExpenseManager.getCategoryStyle)
+     * @param {object} styles - Raw map of category name to style
+     * @returns {object} Map of category name to style
+     * @private
+     */
+    _normalizeCategoryStyles(styles) {
+        if (!styles || typeof styles !== 'object') return {};
+
+        return Object.fromEntries(Object.entries(styles)
+            .filter(([, style]) => style && typeof style === 'object')
+            .map(([category, style]) => [category, {
+                ...(Utils.isHexColor(style.color) ? { color: style.color } : {}),
+                ...(typeof style.icon === 'string' ? { icon: style.icon } : {})
+            }]));
+    },
+
+    /**
+     * Keep saved periods, or build the first one from legacy single-period settings
+     * @param {Array} periods - Raw periods
+     * @param {object} settings - Normalized settings
+     * @returns {Array} Periods array
+     * @private
+     */
+    _normalizePeriods(periods, settings) {
+        if (Array.isArray(periods) && periods.length > 0) {
+            return periods;
+        }
+
+        return [{
+            id: Utils.generateId(),
+            name: 'Kỳ ngân sách',
+            startDate: settings.startDate,
+            endDate: settings.endDate,
+            totalBudget: settings.totalBudget,
+            rollover: false
+        }];
+    },
+
+    /**
+     * Move data saved by older versions under the localStorage key into the current backend
+     * (only when the current backend is still empty)
+     * @returns {Promise<boolean>} False if there is data left that could not be migrated
+     * @private
+     */
+    async _migrateFromLocalStorage() {
         try {
-            const test = '__storage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
+            if (!LocalStorageBackend.isAvailable() || await this._backend.load()) return true;
+
+            const legacy = await LocalStorageBackend.load();
+            if (!legacy) return true;
+
+            // Migrated and validated like a load, so every record has a key in the new backend and
+            // the schema version is kept (otherwise the migrations would run again on the next load)
+            const { data, report } = this._prepareData(legacy);
+            if (report.rejected.length > 0) {
+                this._setAsideRejected(report.rejected);
+            }
+
+            await this._backend.save({
+                ...data,
+                schemaVersion: CONFIG.SCHEMA_VERSION,
+                lastUpdated: legacy.lastUpdated || new Date().toISOString()
+            });
+            await LocalStorageBackend.clear();
+            console.log(`Data migrated from localStorage to ${this._backend.name}`);
             return true;
         } catch (error) {
+            // The localStorage copy is kept, so the migration is retried on next load
+            console.error('Error migrating data from localStorage:', error);
             return false;
         }
+    },
+
+    /**
+     * Check if a storage backend is available
+     * @returns {boolean} True if data can be saved
+     */
+    isStorageAvailable() {
+        return this._backend !== null;
     }
 };
 
@@ -0,0 +1,116 @@
+// Service Worker
+// Handles offline use: precaches the app shell, styles, all modules and the CDN libraries,
+// and serves them from the cache so the app opens without network
+
+importScripts('assets/js/config.js');
+
+// One cache per release: bumping CONFIG.VERSION installs a fresh copy of every file
+const CACHE_NAME = `${CONFIG.CACHE_PREFIX}-${CONFIG.VERSION}`;
+
+// Same-origin files (keep in sync with the script tags in index-modular.html)
+const APP_SHELL = [
+    'index-modular.html',
+    'manifest.webmanifest',
+    'assets/icons/icon.svg',
+    'assets/css/styles.css',
+    'assets/js/config.js',
+    'assets/js/utils/helpers.js',
+    'assets/js/utils/localStorageBackend.js',
+    'assets/js/utils/indexedDbBackend.js',
+    'assets/js/utils/storage.js',
+    'assets/js/utils/csv.js',
+    'assets/js/utils/schema.js',
+    'assets/js/modules/currency.js',
+    'assets/js/modules/split.js',
+    'assets/js/modules/goals.js',
+    'assets/js/modules/expenseManager.js',
+    'assets/js/modules/categories.js',
+    'assets/js/modules/categoryRules.js',
+    'assets/js/modules/recurring.js',
+    'assets/js/modules/periods.js',
+    'assets/js/modules/statistics.js',
+    'assets/js/modules/calendar.js',
+    'assets/js/modules/modal.js',
+    'assets/js/modules/charts.js',
+    'assets/js/modules/reports.js',
+    'assets/js/modules/csvImport.js',
+    'assets/js/modules/importDialog.js',
+    'assets/js/modules/csvExport.js',
+    'assets/js/modules/search.js',
+    'assets/js/modules/quickAdd.js',
+    'assets/js/modules/history.js',
+    'assets/js/modules/alerts.js',
+    'assets/js/modules/offline.js',
+    'assets/js/app.js'
+];
+
+// Libraries loaded from CDNs (cached as opaque responses, the CDNs do not all send CORS headers)
+const CDN_FILES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/jquery/3.7.1/jquery.min.js',
+    'https://cdn.tailwindcss.com'
+];
+
+// Request URLs are normalized ('https://cdn.tailwindcss.com' is requested as '.../'), so compare hrefs
+const CDN_URLS = CDN_FILES.map(url => new URL(url).href);
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => Promise.all([
+            // 'reload' skips the HTTP cache so a new release never precaches stale files
+            cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' }))),
+            ...CDN_FILES.map(url => fetch(new Request(url, { mode: 'no-cors', cache: 'reload' }))
+                .then(response => cache.put(url, response)))
+        ]))
+    );
+    // No skipWaiting() here: the new version waits until the user accepts the update prompt
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CONFIG.CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isOwn = url.origin === self.location.origin;
+    if (!isOwn && !CDN_URLS.includes(url.href)) return;
+
+    // The app page comes from the same versioned cache as its scripts, so a new release of both
+    // is used together once the user accepts the update prompt (other pages in scope, such as
+    // index.html, are left to the browser)
+    if (request.mode === 'navigate') {
+        if (!url.pathname.endsWith('/index-modular.html')) return;
+
+        event.respondWith(
+            caches.open(CACHE_NAME)
+                .then(cache => cache.match('index-modular.html'))
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    // Cache first; anything not precached is fetched and kept for next time
+    event.respondWith(
+        caches.match(request, { ignoreSearch: isOwn }).then(cached => cached || fetch(request).then(response => {
+            if (response.ok && isOwn) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});